@@ -1,21 +1,43 @@
-import express from "express";
-import fs from "fs";
+const express = require('express');
 
-const router = express.Router();
+/*
+  GET /devices/:id/state -> { state: 'locked' | 'unlocked', unlockUntil }
 
-function readState() {
-  return JSON.parse(fs.readFileSync("./state/devices.json"));
-}
+  Polled by devices to learn their timed unlock; unlockUntil is a ms
+  timestamp, 0 when locked.
+*/
+
+function createDeviceStateRouter({
+  getActiveDevice,
+  getDeviceState,
+  effectiveLockState,
+}) {
+  const router = express.Router();
+
+  router.get('/devices/:id/state', async (req, res, next) => {
+    try {
+      const id = req.params.id;
 
-router.get("/devices/:id/state", (req, res) => {
-  const id = req.params.id;
-  const data = readState();
+      if (!(await getActiveDevice(id))) {
+        return res.status(404).json({ error: 'Device not found', deviceId: id });
+      }
 
-  if (!data[id]) {
-    return res.json({ state: "locked", unlockUntil: 0 });
-  }
+      const data = await getDeviceState(id);
+      const state = effectiveLockState(data);
 
-  res.json(data[id]);
-});
+      res.json({
+        state,
+        unlockUntil:
+          state === 'unlocked' && data.unlockUntil
+            ? new Date(data.unlockUntil).getTime()
+            : 0,
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+}
 
-export default router;
+module.exports = createDeviceStateRouter;
@@ -1,65 +1,160 @@
-import express from "express";
-import { verifyBasePayment } from "../services/verifyBasePayment.js";
-import fs from "fs";
+const express = require('express');
+const { X402_VERSION } = require('../services/x402Paywall');
 
-const router = express.Router();
+/*
+  Timed unlock: pay for N minutes, the device stays unlocked until then.
 
-function readState() {
-  return JSON.parse(fs.readFileSync("./state/devices.json"));
-}
+    POST /unlock-request  { deviceId, minutes, walletAddress, chain? }
+      -> 402 { x402Version, error, accepts: [PaymentRequirements],
+               challengeId, expiresAt } (backed by an X.402 challenge)
+    POST /unlock-confirm  { deviceId, challengeId, txHash }
+      -> { ok, unlockUntil } once the payment is verified and the device
+         unlocked; 502 { ok: false, refund } when it did not
 
-function writeState(data) {
-  fs.writeFileSync("./state/devices.json", JSON.stringify(data, null, 2));
-}
+  Pricing, challenges and settlement are the server's own (injected), so
+  a tx used here cannot pay for anything else. A paid unlock the device did
+  not confirm ends its session and is reported for a refund.
+*/
 
-function priceFor(minutes) {
-  if (minutes === 15) return "1.00";
-  if (minutes === 30) return "1.50";
-  if (minutes === 60) return "2.50";
-  return "5.00";
-}
+function createPaymentRouter({
+  getActiveDevice,
+  openTimedUnlockChallenge,
+  offerToRequirements,
+  getChallenge,
+  settleX402Challenge,
+  grantTimedUnlock,
+  refundSessionPayment,
+}) {
+  const router = express.Router();
+
+  // ---- 1. x402 Payment Request ----
+  router.post('/unlock-request', async (req, res, next) => {
+    try {
+      const { deviceId, minutes, walletAddress, asset } = req.body;
+      const chain = String(req.body.chain || 'base').toLowerCase();
+
+      const device = await getActiveDevice(deviceId);
+      if (!device) {
+        return res.status(404).json({ ok: false, error: 'device_not_found' });
+      }
+
+      const opened = await openTimedUnlockChallenge(device, {
+        walletAddress,
+        chain,
+        asset,
+        minutes,
+      });
+      if (!opened.ok) {
+        return res
+          .status(opened.status)
+          .json({ ok: false, error: opened.error });
+      }
+
+      const { challengeId, record, offer } = opened;
+
+      console.log(
+        `\n⏱️  Timed unlock requested: ${deviceId} for ${record.minutes} min (${chain})`
+      );
 
-// ---- 1. x402 Payment Request ----
-router.post("/unlock-request", (req, res) => {
-  const { deviceId, minutes } = req.body;
-
-  const paymentRequirements = {
-    version: "1",
-    network: "base",
-    token: "USDC",
-    to: process.env.BASE_USDC_RECEIVER,
-    amount: priceFor(minutes),
-    metadata: { deviceId, minutes }
-  };
-
-  res.status(402).json(paymentRequirements);
-});
-
-// ---- 2. Payment Confirmation ----
-router.post("/unlock-confirm", async (req, res) => {
-  const { deviceId, minutes, txHash } = req.body;
-
-  const isPaid = await verifyBasePayment({
-    txHash,
-    expectedAmount: priceFor(minutes)
+      // Same requirements as the paywall's; extra.recipients lists the
+      // owner share + platform fee, paid together in one transaction
+      res.status(402).json({
+        x402Version: X402_VERSION,
+        error: 'Payment required',
+        accepts: [offerToRequirements(req, device, offer)],
+        challengeId,
+        expiresAt: record.expiresAt,
+      });
+    } catch (error) {
+      next(error);
+    }
   });
 
-  if (!isPaid) {
-    return res.status(400).json({ ok: false, error: "payment_not_verified" });
-  }
+  // ---- 2. Payment Confirmation ----
+  router.post('/unlock-confirm', async (req, res, next) => {
+    try {
+      const { deviceId, challengeId, txHash } = req.body;
 
-  const now = Date.now();
-  const unlockUntil = now + minutes * 60 * 1000;
+      if (!deviceId || !challengeId || !txHash) {
+        return res.status(400).json({
+          ok: false,
+          error: 'deviceId, challengeId and txHash required',
+        });
+      }
 
-  const data = readState();
-  data[deviceId] = {
-    state: "unlocked",
-    unlockUntil
-  };
+      if (!(await getActiveDevice(deviceId))) {
+        return res.status(404).json({ ok: false, error: 'device_not_found' });
+      }
 
-  writeState(data);
+      const record = await getChallenge(challengeId);
+      if (!record || record.deviceId !== deviceId || !record.minutes) {
+        return res.status(404).json({ ok: false, error: 'challenge_not_found' });
+      }
+      if (record.paid) {
+        return res.status(409).json({ ok: false, error: 'challenge_used' });
+      }
+      if (new Date() > new Date(record.expiresAt)) {
+        return res.status(410).json({ ok: false, error: 'challenge_expired' });
+      }
 
-  res.json({ ok: true, unlockUntil });
-});
+      const settlement = await settleX402Challenge(
+        challengeId,
+        record,
+        txHash
+      );
+      if (!settlement.ok) {
+        return res.status(settlement.status).json({
+          ok: false,
+          error:
+            settlement.status === 402
+              ? 'payment_not_verified'
+              : settlement.body.error,
+          message: settlement.body.message,
+        });
+      }
+
+      const unlockUntil = settlement.payload.exp * 1000;
+      const command = await grantTimedUnlock(
+        deviceId,
+        record.walletAddress,
+        new Date(unlockUntil).toISOString()
+      );
+
+      if (!command.ok) {
+        const refund = await refundSessionPayment(
+          challengeId,
+          record.chain,
+          txHash,
+          command.status === 'offline' ? 'device_offline' : 'command_failed',
+          { note: command.error }
+        );
+        return res.status(command.status === 'offline' ? 503 : 502).json({
+          ok: false,
+          error: 'unlock_failed',
+          message: command.error,
+          device: { commandId: command.commandId, status: command.status },
+          refund: refund
+            ? { status: refund.status, reason: refund.reason }
+            : undefined,
+        });
+      }
+
+      console.log(
+        `✅ ${deviceId} unlocked until ${new Date(unlockUntil).toISOString()}`
+      );
+
+      res.json({
+        ok: true,
+        unlockUntil,
+        accessToken: settlement.accessToken,
+        device: { commandId: command.commandId, status: command.status },
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+}
 
-export default router;
+module.exports = createPaymentRouter;
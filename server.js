@@ -1,26 +1,83 @@
 require('dotenv').config();
 const express = require('express');
 const { ethers } = require('ethers');
-const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
+const http = require('http');
+const path = require('path');
+const bs58 = require('bs58');
 
 // ---------- Solana imports (global, for all Solana helpers) ----------
+const { Connection, PublicKey, LAMPORTS_PER_SOL } = require('@solana/web3.js');
+
+const { createStore, startSweeper } = require('./services/store');
+const {
+  createSpentTransactionLedger,
+} = require('./services/spentTransactions');
+const {
+  createDeviceRegistry,
+  validateDevice,
+  pickDeviceFields,
+  toPublicDevice,
+  DEFAULT_DEVICES,
+  PAYOUT_CHAINS,
+} = require('./services/deviceRegistry');
+const { createDeviceChannel } = require('./services/deviceChannel');
+const {
+  createPricingEngine,
+  validatePricePlan,
+  DEFAULT_LOCK_PLAN_ID,
+  DEFAULT_BREW_PLAN_ID,
+} = require('./services/pricing');
+const { createPriceFeed } = require('./services/priceFeed');
+const {
+  createX402Paywall,
+  createFacilitatorClient,
+  decodePaymentHeader,
+} = require('./services/x402Paywall');
+const { createRelockScheduler } = require('./services/relockScheduler');
+const {
+  createRevocationList,
+  sessionIdOf,
+} = require('./services/sessionRevocations');
+const { createTokenKeyRing } = require('./services/tokenKeys');
+const { createTicketIssuer, ACTION_BITS } = require('./services/offlineTickets');
+const { createBrewOrderBook } = require('./services/brewOrders');
+const { buildTransferTransaction } = require('./services/solanaTransfers');
+const { createRefundBook, REFUND_STATUSES } = require('./services/refunds');
+const { createPaymentLedger, toCsv } = require('./services/paymentLedger');
+const { splitPayment, checkRecipients } = require('./services/payouts');
+const {
+  parseSolanaAssets,
+  receivedByOwners,
+  spentByOwner,
+  tokenProgramId,
+} = require('./services/solanaAssets');
+const {
+  createReference,
+  buildTransferRequestUrl,
+  referenceSignatures,
+} = require('./services/solanaPay');
+const { createEventBus, EVENT_TYPES } = require('./services/eventBus');
 const {
-  Connection,
-  PublicKey,
-  Transaction,
-  SystemProgram,
-  LAMPORTS_PER_SOL,
-} = require('@solana/web3.js');
-
-const splToken = require('@solana/spl-token');
+  createAbuseControls,
+  parseRateLimits,
+} = require('./services/abuseControls');
 const {
-  getAssociatedTokenAddress,
-  createTransferInstruction,
-  createAssociatedTokenAccountInstruction,
-  TOKEN_PROGRAM_ID,
-  ASSOCIATED_TOKEN_PROGRAM_ID,
-} = splToken;
+  createWebhookDispatcher,
+  validateSubscription,
+  toPublicSubscription,
+} = require('./services/webhooks');
+const {
+  createPaymentWatcher,
+  PAYMENT_WATCHER_MODES,
+} = require('./services/paymentWatcher');
+const { createRealtimeFeed } = require('./services/realtimeFeed');
+const {
+  createDeviceTelemetry,
+  validateHeartbeat,
+} = require('./services/deviceTelemetry');
+const createPaymentRouter = require('./routes/payment');
+const createDeviceStateRouter = require('./routes/device');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -33,42 +90,324 @@ const SOLANA_RPC_URL =
   process.env.SOLANA_RPC_URL ||
   'https://mainnet.helius-rpc.com/?api-key=3b904f43-e600-4d65-8cf4-aabf4d5fa5e3';
 
-const JWT_SECRET = process.env.JWT_SECRET || 'test-secret-key-change-me';
+// Tokens are ES256-signed with rotating keys (see services/tokenKeys.js).
+// JWT_SECRET is only read to keep accepting HS256 tokens issued before that.
+const JWT_SECRET = process.env.JWT_SECRET || null;
+const JWT_KEY_ROTATION_DAYS = parseFloat(
+  process.env.JWT_KEY_ROTATION_DAYS || '30'
+);
+
+// How long control routes wait for a device to ack a command
+const DEVICE_COMMAND_TIMEOUT_MS = parseInt(
+  process.env.DEVICE_COMMAND_TIMEOUT_MS || '10000',
+  10
+);
+
+// Optional x402 facilitator for standard (e.g. EIP-3009) payment payloads
+const X402_FACILITATOR_URL = process.env.X402_FACILITATOR_URL || null;
+
+// Bearer key for /admin routes (admin API is disabled when unset)
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY || null;
+
+// Persistence for challenges, sessions and device state ('file' | 'memory')
+const STORE_DRIVER = process.env.STORE_DRIVER || 'file';
+const STORE_PATH =
+  process.env.STORE_PATH || path.join(__dirname, 'state', 'store.json');
+const STORE_SWEEP_INTERVAL_SECONDS = parseInt(
+  process.env.STORE_SWEEP_INTERVAL_SECONDS || '60',
+  10
+);
+
+// How long after expiry an X.402 access token can still be topped up
+const X402_EXTENSION_GRACE_SECONDS = parseInt(
+  process.env.X402_EXTENSION_GRACE_SECONDS || '300',
+  10
+);
+
+// Requests allowed per client IP and per wallet within windowSeconds, by
+// route (0 = unlimited). RATE_LIMITS overrides single values as JSON, e.g.
+// RATE_LIMITS='{"x402-verify":{"perIp":10},"wallet-token":{"perWallet":0}}'
+const DEFAULT_RATE_LIMITS = {
+  'device-challenge': { windowSeconds: 60, perIp: 30, perWallet: 10 },
+  'device-verify': { windowSeconds: 60, perIp: 20, perWallet: 6 },
+  'x402-challenge': { windowSeconds: 60, perIp: 30, perWallet: 10 },
+  'x402-verify': { windowSeconds: 60, perIp: 20, perWallet: 6 },
+  'x402-lookup': { windowSeconds: 60, perIp: 60, perWallet: 30 },
+  'x402-status': { windowSeconds: 60, perIp: 60, perWallet: 30 },
+  'x402-extend': { windowSeconds: 60, perIp: 20, perWallet: 6 },
+  'unlock-request': { windowSeconds: 60, perIp: 30, perWallet: 10 },
+  'unlock-confirm': { windowSeconds: 60, perIp: 20, perWallet: 6 },
+  // X-PAYMENT on /x402/:deviceId/unlock|lock: challenge + verify in one
+  'x402-payment': { windowSeconds: 60, perIp: 20, perWallet: 6 },
+  'wallet-challenge': { windowSeconds: 60, perIp: 30, perWallet: 10 },
+  'wallet-token': { windowSeconds: 60, perIp: 20, perWallet: 6 },
+};
+
+function loadRateLimits() {
+  try {
+    return parseRateLimits(
+      DEFAULT_RATE_LIMITS,
+      JSON.parse(process.env.RATE_LIMITS || '{}')
+    );
+  } catch (error) {
+    console.error('❌ Invalid RATE_LIMITS:', error.message);
+    process.exit(1);
+  }
+}
+const RATE_LIMITS = loadRateLimits();
+
+// Unpaid, unexpired challenges one wallet / one device may have open
+const MAX_OPEN_CHALLENGES_PER_WALLET = parseInt(
+  process.env.MAX_OPEN_CHALLENGES_PER_WALLET || '5',
+  10
+);
+const MAX_OPEN_CHALLENGES_PER_DEVICE = parseInt(
+  process.env.MAX_OPEN_CHALLENGES_PER_DEVICE || '100',
+  10
+);
+
+// After this many failed verifications in a row a wallet must wait, starting
+// at the base delay and doubling per further failure up to the max
+const VERIFY_FAILURES_BEFORE_BACKOFF = parseInt(
+  process.env.VERIFY_FAILURES_BEFORE_BACKOFF || '3',
+  10
+);
+const VERIFY_BACKOFF_BASE_SECONDS = parseInt(
+  process.env.VERIFY_BACKOFF_BASE_SECONDS || '30',
+  10
+);
+const VERIFY_BACKOFF_MAX_SECONDS = parseInt(
+  process.env.VERIFY_BACKOFF_MAX_SECONDS || '900',
+  10
+);
+
+// Express 'trust proxy' setting (e.g. 1 behind one reverse proxy), so that
+// per-IP limits see the client address instead of the proxy's
+const TRUST_PROXY = process.env.TRUST_PROXY || null;
+
+// Webhook deliveries: attempts before giving up, first retry delay (doubles
+// each time), and how long finished deliveries stay in the log
+const WEBHOOK_MAX_ATTEMPTS = parseInt(
+  process.env.WEBHOOK_MAX_ATTEMPTS || '8',
+  10
+);
+const WEBHOOK_RETRY_BASE_SECONDS = parseInt(
+  process.env.WEBHOOK_RETRY_BASE_SECONDS || '10',
+  10
+);
+const WEBHOOK_LOG_RETENTION_DAYS = parseFloat(
+  process.env.WEBHOOK_LOG_RETENTION_DAYS || '7'
+);
+
+// Longest validity of an offline BLE/NFC ticket (it cannot be revoked)
+const OFFLINE_TICKET_MAX_MINUTES = parseInt(
+  process.env.OFFLINE_TICKET_MAX_MINUTES || '120',
+  10
+);
+
+// How long a paid brew order can wait before it is brewed
+const BREW_ORDER_TTL_HOURS = parseFloat(
+  process.env.BREW_ORDER_TTL_HOURS || '24'
+);
+
+// Background settlement of challenges paid without a /verify call:
+// 'poll' (default), 'subscribe' (Solana logs / Base block subscriptions on
+// top of the poll) or 'off'
+const PAYMENT_WATCHER_MODE = process.env.PAYMENT_WATCHER_MODE || 'poll';
+if (![...PAYMENT_WATCHER_MODES, 'off'].includes(PAYMENT_WATCHER_MODE)) {
+  console.error(
+    `❌ Invalid PAYMENT_WATCHER_MODE: ${PAYMENT_WATCHER_MODE} (use ${[
+      ...PAYMENT_WATCHER_MODES,
+      'off',
+    ].join(', ')})`
+  );
+  process.exit(1);
+}
+const PAYMENT_WATCHER_INTERVAL_SECONDS = parseInt(
+  process.env.PAYMENT_WATCHER_INTERVAL_SECONDS || '15',
+  10
+);
+
+// Event streams warn this long before the session they watch runs out
+const SESSION_EXPIRY_WARNING_SECONDS = parseInt(
+  process.env.SESSION_EXPIRY_WARNING_SECONDS || '120',
+  10
+);
+
+// Longest a client can wait on GET /x402/:deviceId/challenges/:challengeId
+const CHALLENGE_WAIT_MAX_SECONDS = 30;
+
+// A device that neither holds its command channel open nor reported for
+// this long counts as offline, and access to it is not sold
+const DEVICE_OFFLINE_AFTER_SECONDS = parseInt(
+  process.env.DEVICE_OFFLINE_AFTER_SECONDS || '90',
+  10
+);
+
+// How often timed unlocks are checked for a missed relock
+const RELOCK_SCAN_INTERVAL_SECONDS = parseInt(
+  process.env.RELOCK_SCAN_INTERVAL_SECONDS || '30',
+  10
+);
 
 const DEVICE_WALLET_ADDRESS =
   process.env.DEVICE_WALLET_ADDRESS ||
   '0x0000000000000000000000000000000000000000';
 
-// Where TSE payments for X.402 should be sent
+// Where Solana payments for X.402 (TSE and every other SOLANA_ASSETS
+// entry) should be sent
 const TSE_RECEIVER_WALLET =
   process.env.TSE_RECEIVER_WALLET ||
   'E7gnXdN4Nneh5KHBUgXVdUNXkBYtwNF4fkpzZU3otnmX';
 
+// Where USDC payments on Base for X.402 should be sent
+const BASE_USDC_RECEIVER =
+  process.env.BASE_USDC_RECEIVER || DEVICE_WALLET_ADDRESS;
+
+// Platform's cut (percent) of payments for devices with an owner payout
+// address, unless the device sets its own platformFeePct
+const PLATFORM_FEE_PCT = parseFloat(process.env.PLATFORM_FEE_PCT || '10');
+
 // USDC on Base
 const USDC_CONTRACT = '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913';
 const USDC_DECIMALS = 6;
-const USDC_COST = ethers.parseUnits('0.50', USDC_DECIMALS);
 
 // TSE on Solana
 const TSE_MINT = 'yrEwtVJKbxghF3P3tJtPARSXUctkBvQ2xyqvRLztpRD';
 const TSE_DECIMALS = 9;
-const TSE_PRICE_USD = 0.00003134;
-const TSE_COST = Math.ceil(
-  (0.5 / TSE_PRICE_USD) * Math.pow(10, TSE_DECIMALS)
-); // ~15,947 TSE
+
+// Wrapped SOL mint, which price APIs quote native SOL under
+const WSOL_MINT = 'So11111111111111111111111111111111111111112';
+
+// Solana assets X.402 challenges can be paid in (services/solanaAssets).
+// SOLANA_ASSETS adds or replaces assets as JSON and null removes one, e.g.
+// SOLANA_ASSETS='{"PYUSD":{"program":"token-2022","mint":"2b1k...",
+//   "decimals":6,"usdPrice":1},"SOL":null}'
+// TSE is priced by the TSE feed below.
+const DEFAULT_SOLANA_ASSETS = {
+  TSE: {
+    symbol: 'TSE',
+    program: 'spl-token',
+    mint: TSE_MINT,
+    decimals: TSE_DECIMALS,
+  },
+  USDC_SOL: {
+    symbol: 'USDC',
+    program: 'spl-token',
+    mint: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v',
+    decimals: 6,
+    usdPrice: 1,
+  },
+  SOL: {
+    symbol: 'SOL',
+    program: 'native',
+    decimals: 9,
+    priceFeed: {
+      url: `https://lite-api.jup.ag/price/v3?ids=${WSOL_MINT}`,
+      jsonPath: `${WSOL_MINT}.usdPrice`,
+      stubPrice: 150,
+    },
+  },
+};
+
+function loadSolanaAssets() {
+  try {
+    return parseSolanaAssets(
+      DEFAULT_SOLANA_ASSETS,
+      JSON.parse(process.env.SOLANA_ASSETS || '{}')
+    );
+  } catch (error) {
+    console.error('❌ Invalid SOLANA_ASSETS:', error.message);
+    process.exit(1);
+  }
+}
+const SOLANA_ASSETS = loadSolanaAssets();
+
+// Asset of Solana challenges that do not name one
+const DEFAULT_SOLANA_ASSET = SOLANA_ASSETS.TSE
+  ? 'TSE'
+  : Object.keys(SOLANA_ASSETS)[0];
+
+// Token mints we build transfers for (SOL is always available)
+const SOLANA_TOKENS = Object.fromEntries(
+  Object.entries(SOLANA_ASSETS)
+    .filter(([, asset]) => asset.program !== 'native')
+    .map(([code, asset]) => [
+      code,
+      {
+        mint: asset.mint,
+        decimals: asset.decimals,
+        programId: tokenProgramId(asset),
+      },
+    ])
+);
+
+// TSE/USD price feed ('stub' uses TSE_PRICE_USD; 'http' reads
+// PRICE_FEED_JSON_PATH from PRICE_FEED_URL, Jupiter's price API by default)
+const PRICE_FEED_SOURCE = process.env.PRICE_FEED_SOURCE || 'stub';
+const TSE_PRICE_USD = parseFloat(process.env.TSE_PRICE_USD || '0.00003134');
+const PRICE_FEED_URL =
+  process.env.PRICE_FEED_URL ||
+  `https://lite-api.jup.ag/price/v3?ids=${TSE_MINT}`;
+const PRICE_FEED_JSON_PATH =
+  process.env.PRICE_FEED_JSON_PATH || `${TSE_MINT}.usdPrice`;
+const PRICE_FEED_REFRESH_SECONDS = parseInt(
+  process.env.PRICE_FEED_REFRESH_SECONDS || '60',
+  10
+);
+const PRICE_FEED_MAX_AGE_SECONDS = parseInt(
+  process.env.PRICE_FEED_MAX_AGE_SECONDS || '300',
+  10
+);
+const PRICE_FEED_MAX_DEVIATION_PCT = parseFloat(
+  process.env.PRICE_FEED_MAX_DEVIATION_PCT || '20'
+);
+
+// Currencies price plans can be quoted in
+const CURRENCIES = {
+  USDC: { chain: 'base', decimals: USDC_DECIMALS },
+  ...Object.fromEntries(
+    Object.entries(SOLANA_ASSETS).map(([code, asset]) => [
+      code,
+      {
+        chain: 'solana',
+        decimals: asset.decimals,
+        symbol: asset.symbol,
+        program: asset.program,
+        mint: asset.mint || null,
+      },
+    ])
+  ),
+};
+
+// The balance-based /devices/:deviceId/verify flow checks these only
+const BALANCE_PAYMENT_METHODS = ['USDC', 'TSE'];
+
+// Seeded on first boot: $0.50 for a 30-minute session or a brew, paid in
+// USDC 1:1 or in TSE at the live rate
+const DEFAULT_PRICES = { USD: '0.50' };
 
 // ============ MIDDLEWARE ============
+if (TRUST_PROXY) {
+  app.set(
+    'trust proxy',
+    /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY
+  );
+}
+
 app.use(express.json());
 
 app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', '*');
   res.header(
     'Access-Control-Allow-Headers',
-    'Origin, X-Requested-With, Content-Type, Accept, Authorization'
+    'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-PAYMENT, ' +
+      'X-Challenge-Secret'
   );
+  res.header('Access-Control-Expose-Headers', 'X-PAYMENT-RESPONSE');
   res.header(
     'Access-Control-Allow-Methods',
-    'GET, POST, PUT, DELETE, OPTIONS'
+    'GET, POST, PUT, PATCH, DELETE, OPTIONS'
   );
 
   if (req.method === 'OPTIONS') {
@@ -80,976 +419,5353 @@ app.use((req, res, next) => {
 // ============ ETHERS SETUP (FOR BASE) ============
 const baseProvider = new ethers.JsonRpcProvider(ALCHEMY_RPC_URL);
 
-// ============ MOCK DEVICES DATABASE ============
-const devices = {
-  'X402-LOCK-001': {
-    deviceId: 'X402-LOCK-001',
-    deviceName: 'Smart Bike Lock',
-    deviceType: 'Bike Lock',
-    model: 'X402-BL Pro',
-    supportsLock: true,
-    supportsTimer: false,
-    supportsNFC: true,
-    supportsBLE: true,
-    firmwareVersion: '1.2.1',
-    status: 'online',
-  },
-  'X402-LOCK-002': {
-    deviceId: 'X402-LOCK-002',
-    deviceName: 'Office Door Lock',
-    deviceType: 'Door Lock',
-    model: 'X402-DL Standard',
-    supportsLock: true,
-    supportsTimer: false,
-    supportsNFC: true,
-    supportsBLE: true,
-    firmwareVersion: '1.0.5',
-    status: 'online',
-  },
-  'X402-COFFEE-001': {
-    deviceId: 'X402-COFFEE-001',
-    deviceName: 'Smart Coffee Maker',
-    deviceType: 'Coffee Machine',
-    model: 'X402-CM Elite',
-    supportsLock: false,
-    supportsTimer: true,
-    supportsNFC: false,
-    supportsBLE: true,
-    firmwareVersion: '2.0.1',
-    status: 'online',
+// ============ PERSISTENT STORE ============
+/*
+  Collections:
+    authChallenges    challenge   -> wallet ownership challenge
+    x402Challenges    challengeId -> X.402 payment challenge
+    sessions          sessionId   -> issued session / access token
+    revokedSessions   sessionId   -> session ended before its expiry
+    signingKeys       kid         -> ES256 token signing key
+    ticketKeys        deviceId    -> ed25519 key + nonce for offline tickets
+    devices           deviceId    -> device registry entry
+    pricePlans        planId      -> duration / item price plan
+    x402Offers        offer key   -> quote pinned for x402 402 responses
+    deviceState       deviceId    -> last known lock state / unlockUntil
+    brewOrders        orderId     -> single-use paid brew and its progress
+    paymentWatcher    chain       -> background payment scan cursor
+    deviceTelemetry   deviceId    -> last heartbeat, battery, sensors, errors
+    spentTransactions chain:tx    -> consumed payment tx (never swept)
+    refunds           chain:tx    -> refund of a payment whose action failed
+                                     (never swept)
+    payments          chain:tx    -> verified payment, for history / export
+                                     (never swept)
+    webhookSubscriptions id       -> webhook URL, events and signing secret
+    webhookDeliveries deliveryId  -> one event POSTed to one subscription
+    rateLimits        route:scope:id -> requests counted in the current window
+    verifyFailures    walletAddress -> failed verifications / backoff
+*/
+const store = createStore({ driver: STORE_DRIVER, filePath: STORE_PATH });
+const spentTransactions = createSpentTransactionLedger(store);
+const paymentLedger = createPaymentLedger(store);
+
+// Domain events (see EVENT_TYPES), delivered to webhook subscribers and
+// the realtime feed
+const events = createEventBus();
+const webhooks = createWebhookDispatcher(store, {
+  maxAttempts: WEBHOOK_MAX_ATTEMPTS,
+  retryBaseMs: WEBHOOK_RETRY_BASE_SECONDS * 1000,
+});
+events.subscribe(webhooks.enqueue);
+const revocations = createRevocationList(store);
+const tokenKeys = createTokenKeyRing(store, {
+  rotationIntervalMs: JWT_KEY_ROTATION_DAYS * 24 * 60 * 60 * 1000,
+  // Expired X.402 tokens can still be topped up for a while
+  verifyGraceMs: X402_EXTENSION_GRACE_SECONDS * 1000,
+  legacySecret: JWT_SECRET,
+});
+
+function isPast(isoDate, now) {
+  return new Date(isoDate).getTime() < now;
+}
+
+startSweeper(
+  store,
+  [
+    {
+      collection: 'authChallenges',
+      isExpired: (record, now) => isPast(record.expiresAt, now),
+    },
+    {
+      // Paid challenges stay around while their session can be used or
+      // topped up
+      collection: 'x402Challenges',
+      isExpired: (record, now) =>
+        record.paid
+          ? isPast(
+              record.sessionExpiresAt,
+              now - X402_EXTENSION_GRACE_SECONDS * 1000
+            )
+          : isPast(record.expiresAt, now),
+    },
+    {
+      collection: 'sessions',
+      isExpired: (record, now) => isPast(record.expiresAt, now),
+    },
+    {
+      // Kept while a revoked token could still be presented (top-up grace)
+      collection: 'revokedSessions',
+      isExpired: (record, now) =>
+        isPast(record.expiresAt, now - X402_EXTENSION_GRACE_SECONDS * 1000),
+    },
+    {
+      collection: 'x402Offers',
+      isExpired: (record, now) => isPast(record.expiresAt, now),
+    },
+    {
+      collection: 'webhookDeliveries',
+      isExpired: (record, now) =>
+        record.status !== 'pending' &&
+        isPast(
+          record.createdAt,
+          now - WEBHOOK_LOG_RETENTION_DAYS * 24 * 60 * 60 * 1000
+        ),
+    },
+    {
+      collection: 'spentTransactions',
+      isExpired: (record, now) =>
+        record.status === 'pending' && isPast(record.reservedUntil, now),
+    },
+    {
+      collection: 'verifyFailures',
+      isExpired: (record, now) => isPast(record.expiresAt, now),
+    },
+  ],
+  STORE_SWEEP_INTERVAL_SECONDS * 1000
+);
+
+// ============ ABUSE CONTROLS ============
+const abuse = createAbuseControls(store, {
+  limits: RATE_LIMITS,
+  backoff: {
+    threshold: VERIFY_FAILURES_BEFORE_BACKOFF,
+    baseMs: VERIFY_BACKOFF_BASE_SECONDS * 1000,
+    maxMs: VERIFY_BACKOFF_MAX_SECONDS * 1000,
   },
-};
+});
 
-// ============ SESSION MANAGEMENT (EXISTING FLOW) ============
+// Wallet an X-PAYMENT claims to pay from: a broadcast transfer's payer or
+// the signer of an 'exact' EVM authorization
+function xPaymentPayer(req) {
+  const decoded = decodePaymentHeader(req.headers['x-payment']);
+  const payload = (decoded && decoded.payload) || {};
+  return payload.payer || (payload.authorization || {}).from;
+}
 
-function generateSessionToken(walletAddress, deviceId) {
-  const payload = {
-    walletAddress,
-    deviceId,
-    type: 'lock-session',
-    iat: Math.floor(Date.now() / 1000),
-    exp: Math.floor(Date.now() / 1000) + 1800, // 30 minutes
-  };
-  return jwt.sign(payload, JWT_SECRET);
+// Only requests paying with X-PAYMENT count; access tokens go through
+const xPaymentLimit = abuse.limit('x402-payment', { walletOf: xPaymentPayer });
+function limitXPayment(req, res, next) {
+  if (!req.headers['x-payment']) return next();
+  return xPaymentLimit(req, res, next);
 }
 
-function verifySessionToken(token) {
-  try {
-    const decoded = jwt.verify(token, JWT_SECRET);
-    return decoded;
-  } catch (error) {
-    return null;
+// Registered ahead of the route handlers, which run once a limit lets the
+// request through
+const walletParam = { walletOf: (req) => req.params.walletAddress };
+app.post('/devices/:deviceId/challenge', abuse.limit('device-challenge'));
+app.post('/devices/:deviceId/verify', abuse.limit('device-verify'));
+app.post('/x402/:deviceId/challenge', abuse.limit('x402-challenge'));
+app.post('/x402/:deviceId/verify', abuse.limit('x402-verify'));
+app.post('/x402/:deviceId/lookup', abuse.limit('x402-lookup'));
+app.get(
+  '/x402/:deviceId/challenges/:challengeId',
+  abuse.limit('x402-status', { walletOf: (req) => req.query.walletAddress })
+);
+app.post('/x402/:deviceId/extend', abuse.limit('x402-extend'));
+app.post('/unlock-request', abuse.limit('unlock-request'));
+app.post('/unlock-confirm', abuse.limit('unlock-confirm'));
+app.post('/x402/:deviceId/unlock', limitXPayment);
+app.post('/x402/:deviceId/lock', limitXPayment);
+app.post(
+  '/wallets/:walletAddress/sessions/challenge',
+  abuse.limit('wallet-challenge', walletParam)
+);
+app.post(
+  '/wallets/:walletAddress/sessions/token',
+  abuse.limit('wallet-token', walletParam)
+);
+
+/**
+ * Refuse a new challenge while the wallet (or device) already has the
+ * maximum of unpaid, unexpired ones in `collection`.
+ * Resolves { ok } or { ok: false, status, error }.
+ */
+async function checkOpenChallenges(collection, { walletAddress, deviceId }) {
+  const now = Date.now();
+  const open = (await store.list(collection)).filter(
+    (record) => !record.paid && !isPast(record.expiresAt, now)
+  );
+
+  const forWallet = open.filter(
+    (record) => record.walletAddress === walletAddress
+  );
+  if (forWallet.length >= MAX_OPEN_CHALLENGES_PER_WALLET) {
+    console.log(`🚦 Open challenge cap hit by ${walletAddress}`);
+    return {
+      ok: false,
+      status: 429,
+      error: `Too many open challenges for this wallet (max ${MAX_OPEN_CHALLENGES_PER_WALLET}); use or let one expire first`,
+    };
   }
-}
 
-// ============ PAYMENT VERIFICATION (BALANCE-BASED, USDC/TSE) ============
+  const forDevice = deviceId
+    ? open.filter((record) => record.deviceId === deviceId)
+    : [];
+  if (forDevice.length >= MAX_OPEN_CHALLENGES_PER_DEVICE) {
+    console.log(`🚦 Open challenge cap hit on ${deviceId}`);
+    return {
+      ok: false,
+      status: 429,
+      error: 'Too many open challenges for this device, try again later',
+    };
+  }
 
-async function verifyBaseUSDCPayment(walletAddress, deviceId, amountRequired) {
-  try {
-    console.log(
-      `\n💰 Verifying Base USDC payment from ${walletAddress.substring(
-        0,
-        10
-      )}...`
-    );
-    console.log(
-      `   Required: ${ethers.formatUnits(amountRequired, USDC_DECIMALS)} USDC`
-    );
+  return { ok: true };
+}
 
-    // Fix wallet address checksum
-    let checksummedAddress;
-    try {
-      checksummedAddress = ethers.getAddress(walletAddress);
-    } catch (e) {
-      console.error('❌ Invalid wallet address format:', walletAddress);
-      return { verified: false, message: 'Invalid wallet address format' };
-    }
+// ============ DEVICE REGISTRY ============
+const deviceRegistry = createDeviceRegistry(store);
+const ticketIssuer = createTicketIssuer(store);
 
-    console.log(`   Checking balance for: ${checksummedAddress}`);
+// Offline tickets unlock and lock; brews only come from single-use orders
+function supportsOfflineTickets(device) {
+  return Boolean(
+    device.supportsLock && (device.supportsBLE || device.supportsNFC)
+  );
+}
 
-    // Real USDC balance verification on Base
-    const USDC_ABI = [
-      'function balanceOf(address account) public view returns (uint256)',
-      'function decimals() public view returns (uint8)',
-    ];
+/**
+ * Device lookup for public routes: disabled devices are treated as unknown.
+ */
+async function getActiveDevice(deviceId) {
+  const device = await deviceRegistry.getDevice(deviceId);
+  return device && device.enabled ? device : null;
+}
 
-    const usdcContract = new ethers.Contract(
-      USDC_CONTRACT,
-      USDC_ABI,
-      baseProvider
-    );
-    const balance = await usdcContract.balanceOf(checksummedAddress);
-    const balanceUSDC = ethers.formatUnits(balance, USDC_DECIMALS);
-    const requiredUSDC = ethers.formatUnits(amountRequired, USDC_DECIMALS);
+/**
+ * Owner payout addresses must be valid on the chain they are listed for
+ * (the shape is checked by validateDevice).
+ */
+function payoutAddressErrors(payoutAddresses) {
+  if (!payoutAddresses || typeof payoutAddresses !== 'object') return [];
+  return PAYOUT_CHAINS.filter(
+    (chain) =>
+      typeof payoutAddresses[chain] === 'string' &&
+      detectWalletChain(payoutAddresses[chain]) !== chain
+  ).map((chain) => `payoutAddresses.${chain} is not a valid ${chain} address`);
+}
 
-    console.log(`   Wallet balance: ${balanceUSDC} USDC`);
+// ============ PRICING ============
+const tsePriceFeed = createPriceFeed({
+  symbol: 'TSE',
+  source: PRICE_FEED_SOURCE,
+  stubPrice: TSE_PRICE_USD,
+  url: PRICE_FEED_URL,
+  jsonPath: PRICE_FEED_JSON_PATH,
+  refreshIntervalMs: PRICE_FEED_REFRESH_SECONDS * 1000,
+  maxAgeMs: PRICE_FEED_MAX_AGE_SECONDS * 1000,
+  maxDeviationPct: PRICE_FEED_MAX_DEVIATION_PCT,
+});
 
-    if (parseFloat(balanceUSDC) >= parseFloat(requiredUSDC)) {
-      console.log(`✅ USDC payment verified`);
-      return {
-        verified: true,
-        message: 'USDC payment verified',
-        currency: 'USDC',
-        balance: balanceUSDC,
-      };
-    } else {
-      console.log(`❌ Insufficient USDC balance`);
-      return {
-        verified: false,
-        message: `Insufficient USDC. Have: ${balanceUSDC}, Need: ${requiredUSDC}`,
-      };
-    }
-  } catch (error) {
-    console.error('❌ USDC verification error:', error.message);
+// Live USD rates of the other Solana assets that have a priceFeed
+const assetPriceFeeds = Object.fromEntries(
+  Object.entries(SOLANA_ASSETS)
+    .filter(([code, asset]) => code !== 'TSE' && asset.priceFeed)
+    .map(([code, asset]) => [
+      code,
+      createPriceFeed({
+        symbol: asset.symbol,
+        source: PRICE_FEED_SOURCE,
+        stubPrice: asset.priceFeed.stubPrice,
+        url: asset.priceFeed.url,
+        jsonPath: asset.priceFeed.jsonPath,
+        refreshIntervalMs: PRICE_FEED_REFRESH_SECONDS * 1000,
+        maxAgeMs: PRICE_FEED_MAX_AGE_SECONDS * 1000,
+        maxDeviationPct: PRICE_FEED_MAX_DEVIATION_PCT,
+      }),
+    ])
+);
+
+function getUsdRate(currency) {
+  const fixedPrice =
+    currency === 'USDC' ? 1 : (SOLANA_ASSETS[currency] || {}).usdPrice;
+  if (fixedPrice) {
     return {
-      verified: false,
-      message: `USDC verification failed: ${error.message}`,
+      ok: true,
+      price: fixedPrice,
+      source: 'peg',
+      updatedAt: new Date().toISOString(),
     };
   }
+  if (currency === 'TSE') {
+    return tsePriceFeed.getPrice();
+  }
+  if (assetPriceFeeds[currency]) {
+    return assetPriceFeeds[currency].getPrice();
+  }
+  return { ok: false, error: `No USD rate for ${currency}` };
 }
 
-async function verifySolanaTokenPayment(
-  walletAddress,
-  deviceId,
-  tokenMint,
-  amountRequired
-) {
-  try {
+const pricing = createPricingEngine(store, {
+  currencies: CURRENCIES,
+  getUsdRate,
+});
+
+const DEFAULT_PRICE_PLANS = [
+  {
+    planId: DEFAULT_LOCK_PLAN_ID,
+    name: 'Lock session',
+    kind: 'duration',
+    tiers: [{ minutes: 30, prices: DEFAULT_PRICES }],
+  },
+  {
+    planId: DEFAULT_BREW_PLAN_ID,
+    name: 'Coffee',
+    kind: 'item',
+    items: [
+      { itemId: 'espresso', brewSeconds: 25 },
+      { itemId: 'americano', brewSeconds: 40 },
+      { itemId: 'latte', brewSeconds: 60 },
+      { itemId: 'cappuccino', brewSeconds: 60 },
+    ].map((item) => ({ ...item, prices: DEFAULT_PRICES })),
+  },
+];
+
+// ============ DEVICE COMMAND CHANNEL ============
+const deviceChannel = createDeviceChannel({
+  path: '/devices/connect',
+  authenticate: deviceRegistry.verifyDeviceSecret,
+  commandTimeoutMs: DEVICE_COMMAND_TIMEOUT_MS,
+});
+
+const COMMAND_FAILURE_STATUS = {
+  offline: 503,
+  timeout: 504,
+  failed: 502,
+};
+
+/**
+ * Reply for a command the device did not carry out
+ */
+function sendCommandFailure(res, deviceId, action, result) {
+  console.log(`   ❌ ${action} not confirmed: ${result.status}`);
+  return res.status(COMMAND_FAILURE_STATUS[result.status] || 502).json({
+    success: false,
+    granted: false,
+    action,
+    deviceId,
+    commandId: result.commandId,
+    reason: result.status,
+    error: result.error,
+    timestamp: new Date().toISOString(),
+  });
+}
+
+// ============ DEVICE PRESENCE & TELEMETRY ============
+const deviceTelemetry = createDeviceTelemetry(store, {
+  offlineAfterMs: DEVICE_OFFLINE_AFTER_SECONDS * 1000,
+  scanIntervalMs: 15 * 1000,
+  isConnected: (deviceId) => deviceChannel.isOnline(deviceId),
+  onPresenceChange: (deviceId, online, entry) => {
     console.log(
-      `\n💰 Verifying Solana token payment from ${walletAddress.substring(
-        0,
-        10
-      )}...`
+      online ? `\n📶 ${deviceId} is online` : `\n📴 ${deviceId} went offline`
     );
-    console.log(`   Token: ${tokenMint.substring(0, 10)}...`);
-    console.log(
-      `   Required: ${amountRequired / Math.pow(10, TSE_DECIMALS)} TSE`
+    events.publish(online ? 'device.online' : 'device.offline', {
+      deviceId,
+      lastSeen: entry.lastSeen,
+    });
+  },
+});
+
+function recordDeviceContact(deviceId, report) {
+  deviceTelemetry
+    .recordContact(deviceId, report)
+    .catch((error) =>
+      console.error(`❌ Telemetry for ${deviceId} not saved:`, error.message)
     );
+}
 
-    // Create connection to Solana mainnet
-    const connection = new Connection(SOLANA_RPC_URL, 'confirmed');
+// Connected devices can send { type: 'heartbeat', ...telemetry } over the
+// channel instead of POSTing /devices/:deviceId/heartbeat
+deviceChannel.on('connected', (deviceId) => recordDeviceContact(deviceId));
+deviceChannel.on('message', (deviceId, message) => {
+  if (message.type !== 'heartbeat') return recordDeviceContact(deviceId);
 
-    // Parse wallet address
-    let walletPublicKey;
-    try {
-      walletPublicKey = new PublicKey(walletAddress);
-    } catch (e) {
-      console.error('❌ Invalid Solana wallet address:', walletAddress);
-      return {
-        verified: false,
-        message: 'Invalid Solana wallet address format',
-      };
-    }
+  const errors = validateHeartbeat(message);
+  if (errors.length > 0) {
+    console.log(`⚠️  ${deviceId}: invalid heartbeat (${errors.join('; ')})`);
+    return recordDeviceContact(deviceId);
+  }
+  recordDeviceContact(deviceId, message);
+});
 
-    // Parse token mint
-    const tokenMintPublicKey = new PublicKey(tokenMint);
+/**
+ * Access is only sold for devices that are online.
+ * Resolves { ok } or { ok: false, status: 503, error, lastSeen }.
+ */
+async function checkDeviceOnline(deviceId) {
+  const presence = await deviceTelemetry.getPresence(deviceId);
+  if (presence.online) return { ok: true };
+
+  console.log(`📴 Not selling access to offline device ${deviceId}`);
+  return {
+    ok: false,
+    status: 503,
+    error: 'Device is offline, try again once it is back online',
+    lastSeen: presence.lastSeen,
+  };
+}
 
-    console.log(`   Checking TSE balance for: ${walletAddress}`);
+// ============ DEVICE STATE ============
+/*
+  deviceId -> { deviceId, lockState, unlockUntil, updatedBy, updatedAt }
 
-    // Get all token accounts for this wallet
-    const tokenAccounts = await connection.getTokenAccountsByOwner(
-      walletPublicKey,
-      { mint: tokenMintPublicKey }
-    );
+  unlockUntil (ISO) is set for timed unlocks; the relock scheduler locks
+  the device again once it passes.
+*/
 
-    if (tokenAccounts.value.length === 0) {
-      console.log(`❌ No TSE token account found for wallet`);
-      return {
-        verified: false,
-        message: 'No TSE token account found. Please acquire some TSE.',
-      };
-    }
+async function setDeviceLockState(
+  deviceId,
+  lockState,
+  walletAddress,
+  unlockUntil = null
+) {
+  const state = await store.set('deviceState', deviceId, {
+    deviceId,
+    lockState,
+    unlockUntil: lockState === 'unlocked' ? unlockUntil : null,
+    updatedBy: walletAddress,
+    updatedAt: new Date().toISOString(),
+  });
 
-    // Get the balance of the first token account
-    const tokenAccount = tokenAccounts.value[0];
-    const accountInfo = await connection.getParsedAccountInfo(
-      tokenAccount.pubkey
-    );
+  if (state.unlockUntil) {
+    relockScheduler.schedule(deviceId, state.unlockUntil);
+  } else {
+    relockScheduler.cancel(deviceId);
+  }
 
-    if (!accountInfo.value || !accountInfo.value.data.parsed) {
-      console.log(`❌ Could not parse token account data`);
-      return { verified: false, message: 'Error reading token account' };
-    }
+  events.publish(`device.${lockState}`, {
+    deviceId,
+    walletAddress,
+    unlockUntil: state.unlockUntil,
+    reason: null,
+  });
+  return state;
+}
 
-    const balance = BigInt(
-      accountInfo.value.data.parsed.info.tokenAmount.amount
-    );
-    const balanceTSE = Number(balance) / Math.pow(10, TSE_DECIMALS);
-    const requiredTSE = amountRequired / Math.pow(10, TSE_DECIMALS);
+/**
+ * Lock state as users should see it: a timed unlock that has run out is
+ * locked even before the device acknowledges the relock.
+ */
+function effectiveLockState(state) {
+  if (!state || state.lockState !== 'unlocked') return 'locked';
+  if (state.unlockUntil && isPast(state.unlockUntil, Date.now())) {
+    return 'locked';
+  }
+  return 'unlocked';
+}
 
-    console.log(`   Wallet balance: ${balanceTSE} TSE`);
-    console.log(`   Required: ${requiredTSE} TSE`);
+async function relockDevice(deviceId, state) {
+  console.log(`\n⏰ Unlock time for ${deviceId} is over, re-locking`);
 
-    if (balance >= BigInt(amountRequired)) {
-      console.log(`✅ TSE payment verified`);
-      return {
+  const result = await deviceChannel.sendCommand(deviceId, 'lock', {
+    reason: 'unlock_expired',
+    unlockUntil: state.unlockUntil,
+  });
+  if (!result.ok) {
+    console.log(`   ⚠️  Relock not confirmed (${result.status}), will retry`);
+    return;
+  }
+
+  // Leave it alone if a new unlock was granted in the meantime
+  let relocked = false;
+  await store.update('deviceState', deviceId, (current) => {
+    if (!current || current.unlockUntil !== state.unlockUntil) return undefined;
+    relocked = true;
+    return {
+      ...current,
+      lockState: 'locked',
+      unlockUntil: null,
+      updatedBy: 'auto-relock',
+      updatedAt: new Date().toISOString(),
+    };
+  });
+  if (!relocked) return;
+
+  console.log(`   🔒 ${deviceId} re-locked`);
+  events.publish('device.locked', {
+    deviceId,
+    walletAddress: state.updatedBy,
+    unlockUntil: null,
+    reason: 'unlock_expired',
+  });
+}
+
+/**
+ * Carry a session extension over to the device, if it is currently
+ * unlocked on that session (its unlockUntil is the old deadline).
+ */
+async function extendDeviceUnlock(deviceId, previousUntil, unlockUntil) {
+  let extended = false;
+  await store.update('deviceState', deviceId, (current) => {
+    if (
+      !current ||
+      current.lockState !== 'unlocked' ||
+      current.unlockUntil !== previousUntil
+    ) {
+      return undefined;
+    }
+    extended = true;
+    return { ...current, unlockUntil, updatedAt: new Date().toISOString() };
+  });
+  if (!extended) return;
+
+  relockScheduler.schedule(deviceId, unlockUntil);
+
+  const result = await deviceChannel.sendCommand(deviceId, 'extend', {
+    unlockUntil,
+  });
+  if (!result.ok) {
+    console.log(`   ⚠️  Extension not confirmed by device: ${result.status}`);
+  }
+}
+
+const relockScheduler = createRelockScheduler(store, {
+  relock: relockDevice,
+  scanIntervalMs: RELOCK_SCAN_INTERVAL_SECONDS * 1000,
+});
+
+// A device that was offline when its time ran out is re-locked on reconnect
+deviceChannel.on('connected', (deviceId) => relockScheduler.check(deviceId));
+
+// ============ REFUNDS ============
+const refunds = createRefundBook(store);
+
+/**
+ * Record that a verified payment did not get what it paid for, with the
+ * details of the challenge it paid. Resolves the refund, or null if the tx
+ * is unknown. Never rejects: a failed action still gets its response.
+ */
+async function reportRefundablePayment(chain, txHash, reason, options = {}) {
+  try {
+    const spent = await spentTransactions.getSpentTransaction(chain, txHash);
+    if (!spent) return null;
+
+    const challenge = await store.get('x402Challenges', spent.challengeId);
+    const { refund, created } = await refunds.openRefund(
+      {
+        chain,
+        txHash,
+        challengeId: spent.challengeId,
+        orderId: options.orderId,
+        deviceId: spent.deviceId,
+        walletAddress: spent.walletAddress,
+        receiver: challenge ? challenge.receiver : null,
+        token: challenge ? challenge.token : null,
+        amount: challenge ? challenge.amount : spent.amount,
+        uiAmount: challenge ? challenge.uiAmount : null,
+      },
+      { reason, note: options.note }
+    );
+
+    if (created) {
+      console.log(`   💸 Refund pending for ${txHash} (${reason})`);
+    }
+    return refund;
+  } catch (error) {
+    console.error('❌ Could not record refund:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Refund the payment behind a session whose action failed. The session
+ * ends first, so its token (and any unlock it granted) cannot be used
+ * once the payment is on its way back.
+ */
+async function refundSessionPayment(
+  sessionId,
+  chain,
+  txHash,
+  reason,
+  options = {}
+) {
+  const session = await store.get('sessions', sessionId);
+  if (session) await endSession(session, { revokedBy: 'refund', reason });
+  return reportRefundablePayment(chain, txHash, reason, options);
+}
+
+/**
+ * Refund as shown to the paying wallet
+ */
+function toPublicRefund(refund) {
+  return {
+    chain: refund.chain,
+    txHash: refund.txHash,
+    status: refund.status,
+    reason: refund.reason,
+    token: refund.token,
+    amount: refund.uiAmount,
+    refundTxHash: refund.refundTxHash,
+    createdAt: refund.createdAt,
+    updatedAt: refund.updatedAt,
+  };
+}
+
+// ============ BREW ORDERS ============
+const brewOrders = createBrewOrderBook(store, {
+  orderTtlMs: BREW_ORDER_TTL_HOURS * 60 * 60 * 1000,
+});
+
+/**
+ * Menu entry of a coffee device's item plan, or null
+ */
+async function findMenuItem(device, itemId) {
+  const plan = await pricing.resolvePlan(device);
+  if (!plan || plan.kind !== 'item') return null;
+  return plan.items.find((item) => item.itemId === itemId) || null;
+}
+
+/**
+ * Create the order a verified brew payment bought, with the single-use
+ * token /devices/:deviceId/brew takes.
+ */
+async function openBrewOrder(device, { walletAddress, itemId, payment }) {
+  const item = await findMenuItem(device, itemId);
+  const order = await brewOrders.createOrder({
+    deviceId: device.deviceId,
+    walletAddress,
+    itemId,
+    itemName: item ? item.name : itemId,
+    brewSeconds: item ? item.brewSeconds : null,
+    payment,
+  });
+
+  const orderToken = tokenKeys.sign({
+    type: 'brew-order',
+    orderId: order.orderId,
+    deviceId: order.deviceId,
+    walletAddress,
+    iat: Math.floor(Date.now() / 1000),
+    exp: Math.floor(new Date(order.expiresAt).getTime() / 1000),
+  });
+
+  console.log(`   🧾 Brew order ${order.orderId} (${itemId})`);
+  return { order, orderToken };
+}
+
+function toPublicOrder(order) {
+  return {
+    orderId: order.orderId,
+    deviceId: order.deviceId,
+    walletAddress: order.walletAddress.substring(0, 10) + '...',
+    brewType: order.itemId,
+    name: order.itemName,
+    status: order.status,
+    error: order.error,
+    brewSeconds: order.brewSeconds,
+    estimatedReadyAt:
+      order.startedAt && order.brewSeconds
+        ? new Date(
+            new Date(order.startedAt).getTime() + order.brewSeconds * 1000
+          ).toISOString()
+        : null,
+    createdAt: order.createdAt,
+    expiresAt: order.expiresAt,
+    queuedAt: order.queuedAt,
+    startedAt: order.startedAt,
+    finishedAt: order.finishedAt,
+  };
+}
+
+/**
+ * Announce a finished brew. A brew that was paid on-chain and failed is
+ * refund-eligible.
+ */
+async function finishBrew(order) {
+  events.publish(order.status === 'done' ? 'brew.completed' : 'brew.failed', {
+    order,
+  });
+
+  if (order.status !== 'failed' || !order.payment.txHash) return;
+  await reportRefundablePayment(
+    order.payment.chain,
+    order.payment.txHash,
+    'brew_failed',
+    { orderId: order.orderId, note: order.error }
+  );
+}
+
+// Devices report the end of a brew as
+// { type: 'brew_status', orderId, status: 'done' | 'failed', error? }
+deviceChannel.on('message', async (deviceId, message) => {
+  if (message.type !== 'brew_status' || !message.orderId) return;
+  if (!['done', 'failed'].includes(message.status)) return;
+
+  try {
+    const order = await brewOrders.getOrder(message.orderId);
+    if (!order || order.deviceId !== deviceId) return;
+
+    const updated = await brewOrders.setStatus(
+      message.orderId,
+      message.status,
+      { error: message.status === 'failed' ? message.error || null : null }
+    );
+    if (updated) {
+      console.log(`\n☕ Brew order ${message.orderId}: ${message.status}`);
+      await finishBrew(updated);
+    }
+  } catch (error) {
+    console.error('❌ Brew status update failed:', error.message);
+  }
+});
+
+// ============ SESSION MANAGEMENT (EXISTING FLOW) ============
+
+function generateSessionToken(
+  walletAddress,
+  deviceId,
+  durationSeconds = 1800
+) {
+  const payload = {
+    walletAddress,
+    deviceId,
+    type: 'lock-session',
+    jti: crypto.randomBytes(16).toString('hex'),
+    iat: Math.floor(Date.now() / 1000),
+    exp: Math.floor(Date.now() / 1000) + durationSeconds,
+  };
+  return { token: tokenKeys.sign(payload), payload };
+}
+
+/**
+ * Keep a record of every issued token so sessions survive restarts
+ * and can be looked up by id (jti for lock sessions, challengeId for X.402).
+ */
+async function recordSession(sessionId, token, payload) {
+  const session = await store.set('sessions', sessionId, {
+    sessionId,
+    type: payload.type,
+    walletAddress: payload.walletAddress,
+    deviceId: payload.deviceId,
+    chain: payload.chain || null,
+    txHash: payload.txHash || null,
+    token,
+    issuedAt: new Date(payload.iat * 1000).toISOString(),
+    expiresAt: new Date(payload.exp * 1000).toISOString(),
+  });
+
+  // Subscribers get the session, never its bearer token
+  const { token: issuedToken, ...issued } = session;
+  events.publish('session.issued', issued);
+  return session;
+}
+
+// Tokens that open a session; brew-order and wallet-sessions tokens don't
+const SESSION_TOKEN_TYPES = ['lock-session', 'x402-access'];
+
+/**
+ * Decoded session token, or null if invalid, expired, revoked or another
+ * kind of token.
+ */
+async function verifySessionToken(token) {
+  let decoded;
+  try {
+    decoded = await tokenKeys.verify(token);
+  } catch (error) {
+    return null;
+  }
+  if (!SESSION_TOKEN_TYPES.includes(decoded.type)) {
+    return null;
+  }
+  if (await revocations.isRevoked(sessionIdOf(decoded))) {
+    return null;
+  }
+  return decoded;
+}
+
+/**
+ * Expiry (unix seconds) of the session behind a decoded token. An X.402
+ * session may have been topped up since this token was issued.
+ */
+async function sessionExpirySeconds(decoded) {
+  if (decoded.type !== 'x402-access') return decoded.exp;
+
+  const session = await store.get('sessions', decoded.challengeId);
+  if (!session) return decoded.exp;
+  return Math.max(
+    decoded.exp,
+    Math.floor(new Date(session.expiresAt).getTime() / 1000)
+  );
+}
+
+/**
+ * Sessions of a wallet (or device) that have not expired, newest first.
+ * The stored token never leaves the server.
+ */
+async function listActiveSessions({ walletAddress, deviceId }) {
+  const now = Date.now();
+  const sessions = await store.list('sessions');
+  return sessions
+    .filter(
+      (session) =>
+        !isPast(session.expiresAt, now) &&
+        (!walletAddress || session.walletAddress === walletAddress) &&
+        (!deviceId || session.deviceId === deviceId)
+    )
+    .sort((a, b) => b.issuedAt.localeCompare(a.issuedAt))
+    .map(({ token, ...session }) => ({
+      ...session,
+      revoked: Boolean(session.revokedAt),
+    }));
+}
+
+/**
+ * End a session: revoke its tokens and, if the device is still unlocked on
+ * it, run its unlock out so the relock happens now.
+ */
+async function endSession(session, { revokedBy, reason }) {
+  const { revoked } = await revocations.revokeSession(session, {
+    revokedBy,
+    reason,
+  });
+  if (!revoked) return false;
+
+  console.log(`\n🚫 Session ${session.sessionId} revoked by ${revokedBy}`);
+  events.publish('session.revoked', {
+    sessionId: session.sessionId,
+    walletAddress: session.walletAddress,
+    deviceId: session.deviceId,
+    revokedBy,
+    reason: reason || null,
+  });
+
+  let cutShort = false;
+  await store.update('deviceState', session.deviceId, (current) => {
+    if (
+      !current ||
+      current.lockState !== 'unlocked' ||
+      current.updatedBy !== session.walletAddress ||
+      current.unlockUntil !== session.expiresAt
+    ) {
+      return undefined;
+    }
+    cutShort = true;
+    return {
+      ...current,
+      unlockUntil: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+    };
+  });
+  if (cutShort) {
+    await relockScheduler.check(session.deviceId);
+  }
+  return true;
+}
+
+// ============ WALLET OWNERSHIP CHALLENGES (EXISTING FLOW) ============
+
+// Auth challenges live in the 'authChallenges' collection
+// (single use, short-lived)
+/*
+  challenge -> {
+    deviceId,
+    walletAddress,
+    chain,
+    message,
+    issuedAt,
+    expiresAt
+  }
+*/
+
+const AUTH_CHALLENGE_TTL_SECONDS = 5 * 60;
+const AUTH_CLOCK_SKEW_MS = 60 * 1000;
+
+function detectWalletChain(walletAddress) {
+  // PublicKey also takes numbers and byte arrays
+  if (typeof walletAddress !== 'string') {
+    return null;
+  }
+  if (ethers.isAddress(walletAddress)) {
+    return 'base';
+  }
+  try {
+    new PublicKey(walletAddress);
+    return 'solana';
+  } catch (e) {
+    return null;
+  }
+}
+
+const AUTH_STATEMENTS = {
+  device: 'TSE-X wants you to sign in with your wallet to control a device.',
+  sessions:
+    'TSE-X wants you to sign in with your wallet to manage your sessions and payments.',
+};
+
+function buildAuthMessage({ purpose, deviceId, walletAddress, chain, challenge, issuedAt, expiresAt }) {
+  return [
+    AUTH_STATEMENTS[purpose],
+    '',
+    `Wallet: ${walletAddress}`,
+    `Chain: ${chain}`,
+    ...(deviceId ? [`Device: ${deviceId}`] : []),
+    `Nonce: ${challenge}`,
+    `Issued At: ${issuedAt}`,
+    `Expiration Time: ${expiresAt}`,
+  ].join('\n');
+}
+
+/**
+ * purpose: 'device' (deviceId required) or 'sessions' (deviceId null)
+ */
+async function createAuthChallenge(
+  deviceId,
+  walletAddress,
+  chain,
+  purpose = 'device'
+) {
+  const now = new Date();
+  const challenge = crypto.randomBytes(16).toString('hex');
+  const issuedAt = now.toISOString();
+  const expiresAt = new Date(
+    now.getTime() + AUTH_CHALLENGE_TTL_SECONDS * 1000
+  ).toISOString();
+  const message = buildAuthMessage({
+    purpose,
+    deviceId,
+    walletAddress,
+    chain,
+    challenge,
+    issuedAt,
+    expiresAt,
+  });
+
+  const record = {
+    purpose,
+    deviceId,
+    walletAddress,
+    chain,
+    message,
+    issuedAt,
+    expiresAt,
+  };
+
+  await store.set('authChallenges', challenge, record);
+  return { challenge, record };
+}
+
+/**
+ * Check a signed auth challenge and burn it (single use).
+ * Resolves { ok: true, record } or { ok: false, status, error }.
+ */
+async function consumeAuthChallenge({
+  challenge,
+  purpose = 'device',
+  deviceId = null,
+  walletAddress,
+  signature,
+  timestamp,
+}) {
+  const authRecord = await store.get('authChallenges', challenge);
+  if (!authRecord || (authRecord.purpose || 'device') !== purpose) {
+    return {
+      ok: false,
+      status: 401,
+      error: 'Unknown or already used challenge',
+    };
+  }
+
+  if (authRecord.deviceId !== deviceId) {
+    return { ok: false, status: 400, error: 'Challenge does not match device' };
+  }
+
+  if (authRecord.walletAddress !== walletAddress) {
+    return {
+      ok: false,
+      status: 400,
+      error: 'Challenge does not belong to wallet',
+    };
+  }
+
+  if (new Date() > new Date(authRecord.expiresAt)) {
+    await store.delete('authChallenges', challenge);
+    return { ok: false, status: 410, error: 'Challenge expired' };
+  }
+
+  if (timestamp !== undefined) {
+    const signedAt = new Date(timestamp).getTime();
+    if (
+      Number.isNaN(signedAt) ||
+      signedAt < new Date(authRecord.issuedAt).getTime() - AUTH_CLOCK_SKEW_MS ||
+      signedAt > new Date(authRecord.expiresAt).getTime()
+    ) {
+      return {
+        ok: false,
+        status: 400,
+        error: 'timestamp outside of challenge window',
+      };
+    }
+  }
+
+  if (
+    !verifyWalletSignature(
+      authRecord.chain,
+      walletAddress,
+      authRecord.message,
+      signature
+    )
+  ) {
+    console.log('   ❌ Wallet signature rejected');
+    return { ok: false, status: 401, error: 'Invalid wallet signature' };
+  }
+
+  // Only the caller that actually removed it may continue
+  if (!(await store.delete('authChallenges', challenge))) {
+    return {
+      ok: false,
+      status: 401,
+      error: 'Unknown or already used challenge',
+    };
+  }
+
+  return { ok: true, record: authRecord };
+}
+
+/**
+ * Decode a Solana message signature sent by the client.
+ * Wallets hand these out as base58 (Phantom) or base64.
+ */
+function decodeSolanaSignature(signature) {
+  try {
+    const decoded = Buffer.from(bs58.decode(signature));
+    if (decoded.length === 64) return decoded;
+  } catch (e) {
+    // not base58, fall through
+  }
+  const decoded = Buffer.from(signature, 'base64');
+  return decoded.length === 64 ? decoded : null;
+}
+
+function verifyWalletSignature(chain, walletAddress, message, signature) {
+  try {
+    if (chain === 'base') {
+      // EIP-191 personal_sign
+      const recovered = ethers.verifyMessage(message, signature);
+      return recovered.toLowerCase() === walletAddress.toLowerCase();
+    }
+
+    if (chain === 'solana') {
+      // ed25519 over the raw UTF-8 message (signMessage)
+      const signatureBytes = decodeSolanaSignature(signature);
+      if (!signatureBytes) return false;
+
+      const publicKey = crypto.createPublicKey({
+        key: {
+          kty: 'OKP',
+          crv: 'Ed25519',
+          x: Buffer.from(new PublicKey(walletAddress).toBytes()).toString(
+            'base64url'
+          ),
+        },
+        format: 'jwk',
+      });
+
+      return crypto.verify(
+        null,
+        Buffer.from(message, 'utf8'),
+        publicKey,
+        signatureBytes
+      );
+    }
+  } catch (error) {
+    console.error('❌ Signature verification error:', error.message);
+  }
+  return false;
+}
+
+// ============ PAYMENT VERIFICATION (BALANCE-BASED, USDC/TSE) ============
+
+async function verifyBaseUSDCPayment(walletAddress, deviceId, amountRequired) {
+  try {
+    console.log(
+      `\n💰 Verifying Base USDC payment from ${walletAddress.substring(
+        0,
+        10
+      )}...`
+    );
+    console.log(
+      `   Required: ${ethers.formatUnits(amountRequired, USDC_DECIMALS)} USDC`
+    );
+
+    // Fix wallet address checksum
+    let checksummedAddress;
+    try {
+      checksummedAddress = ethers.getAddress(walletAddress);
+    } catch (e) {
+      console.error('❌ Invalid wallet address format:', walletAddress);
+      return { verified: false, message: 'Invalid wallet address format' };
+    }
+
+    console.log(`   Checking balance for: ${checksummedAddress}`);
+
+    // Real USDC balance verification on Base
+    const USDC_ABI = [
+      'function balanceOf(address account) public view returns (uint256)',
+      'function decimals() public view returns (uint8)',
+    ];
+
+    const usdcContract = new ethers.Contract(
+      USDC_CONTRACT,
+      USDC_ABI,
+      baseProvider
+    );
+    const balance = await usdcContract.balanceOf(checksummedAddress);
+    const balanceUSDC = ethers.formatUnits(balance, USDC_DECIMALS);
+    const requiredUSDC = ethers.formatUnits(amountRequired, USDC_DECIMALS);
+
+    console.log(`   Wallet balance: ${balanceUSDC} USDC`);
+
+    if (parseFloat(balanceUSDC) >= parseFloat(requiredUSDC)) {
+      console.log(`✅ USDC payment verified`);
+      return {
+        verified: true,
+        message: 'USDC payment verified',
+        currency: 'USDC',
+        balance: balanceUSDC,
+      };
+    } else {
+      console.log(`❌ Insufficient USDC balance`);
+      return {
+        verified: false,
+        message: `Insufficient USDC. Have: ${balanceUSDC}, Need: ${requiredUSDC}`,
+      };
+    }
+  } catch (error) {
+    console.error('❌ USDC verification error:', error.message);
+    return {
+      verified: false,
+      message: `USDC verification failed: ${error.message}`,
+    };
+  }
+}
+
+async function verifySolanaTokenPayment(
+  walletAddress,
+  deviceId,
+  tokenMint,
+  amountRequired
+) {
+  try {
+    console.log(
+      `\n💰 Verifying Solana token payment from ${walletAddress.substring(
+        0,
+        10
+      )}...`
+    );
+    console.log(`   Token: ${tokenMint.substring(0, 10)}...`);
+    console.log(
+      `   Required: ${amountRequired / Math.pow(10, TSE_DECIMALS)} TSE`
+    );
+
+    // Create connection to Solana mainnet
+    const connection = new Connection(SOLANA_RPC_URL, 'confirmed');
+
+    // Parse wallet address
+    let walletPublicKey;
+    try {
+      walletPublicKey = new PublicKey(walletAddress);
+    } catch (e) {
+      console.error('❌ Invalid Solana wallet address:', walletAddress);
+      return {
+        verified: false,
+        message: 'Invalid Solana wallet address format',
+      };
+    }
+
+    // Parse token mint
+    const tokenMintPublicKey = new PublicKey(tokenMint);
+
+    console.log(`   Checking TSE balance for: ${walletAddress}`);
+
+    // Get all token accounts for this wallet
+    const tokenAccounts = await connection.getTokenAccountsByOwner(
+      walletPublicKey,
+      { mint: tokenMintPublicKey }
+    );
+
+    if (tokenAccounts.value.length === 0) {
+      console.log(`❌ No TSE token account found for wallet`);
+      return {
+        verified: false,
+        message: 'No TSE token account found. Please acquire some TSE.',
+      };
+    }
+
+    // Get the balance of the first token account
+    const tokenAccount = tokenAccounts.value[0];
+    const accountInfo = await connection.getParsedAccountInfo(
+      tokenAccount.pubkey
+    );
+
+    if (!accountInfo.value || !accountInfo.value.data.parsed) {
+      console.log(`❌ Could not parse token account data`);
+      return { verified: false, message: 'Error reading token account' };
+    }
+
+    const balance = BigInt(
+      accountInfo.value.data.parsed.info.tokenAmount.amount
+    );
+    const balanceTSE = Number(balance) / Math.pow(10, TSE_DECIMALS);
+    const requiredTSE = amountRequired / Math.pow(10, TSE_DECIMALS);
+
+    console.log(`   Wallet balance: ${balanceTSE} TSE`);
+    console.log(`   Required: ${requiredTSE} TSE`);
+
+    if (balance >= BigInt(amountRequired)) {
+      console.log(`✅ TSE payment verified`);
+      return {
+        verified: true,
+        message: 'TSE payment verified',
+        currency: 'TSE',
+        balance: balanceTSE.toFixed(2),
+      };
+    } else {
+      console.log(`❌ Insufficient TSE balance`);
+      return {
+        verified: false,
+        message: `Insufficient TSE. Have: ${balanceTSE.toFixed(
+          2
+        )}, Need: ${requiredTSE.toFixed(2)}`,
+      };
+    }
+  } catch (error) {
+    console.error('❌ Solana payment verification error:', error.message);
+    return {
+      verified: false,
+      message: `Solana verification failed: ${error.message}`,
+    };
+  }
+}
+
+// ============ X.402 CHALLENGE STORE ============
+
+// Challenges live in the 'x402Challenges' collection
+/*
+  challengeId -> {
+    challengeId,
+    deviceId,
+    walletAddress,
+    chain,
+    token,
+    amount,
+    uiAmount,
+    receiver,
+    planId,
+    minutes,
+    itemId,
+    rate,
+    createdAt,
+    expiresAt,
+    paid,
+    txHash,
+    accessToken,
+    sessionExpiresAt,
+    extendsChallengeId,  set on top-ups: the session challenge they extend
+    orderId, orderToken  brew purchases: the order opened once paid
+    refundReason         'device_offline': paid while the device was
+                         offline, refunded instead of opening a session
+    recipients           [{ role, address, amount }]: the owner's share and
+                         the platform fee, all paid in one transaction
+    reference            Solana only: Solana Pay reference key the payment
+                         is found by
+    clientSecretHash     sha256 of the clientSecret handed to the challenge's
+                         creator; GET /x402/:deviceId/challenges/:id shows
+                         the tokens only to whoever presents it. null on
+                         challenges settled by the request that opened them
+                         (x402 paywall, timed unlock), which the payment
+                         watcher leaves alone
+    walletVerified       opened with a wallet token for walletAddress. A Base
+                         payment names nothing but payer and amounts, so the
+                         watcher only settles Base challenges that have it
+  }
+
+  A session keeps the challengeId it was bought with; top-ups move its
+  sessionExpiresAt (and the tokens issued for it) further out.
+*/
+
+/**
+ * Who gets what of a payment for `device` on `chain`: the owner's payout
+ * plus the platform fee, or everything to the platform receiver.
+ */
+function paymentRecipients(device, chain, rawAmount) {
+  return splitPayment(chain, rawAmount, {
+    platformAddress:
+      chain === 'base' ? BASE_USDC_RECEIVER : TSE_RECEIVER_WALLET,
+    ownerAddress: (device.payoutAddresses || {})[chain] || null,
+    platformFeePct: device.platformFeePct ?? PLATFORM_FEE_PCT,
+  });
+}
+
+// Challenges opened before payout splits pay the receiver alone
+function challengeRecipients(record) {
+  return (
+    record.recipients || [
+      {
+        role: 'platform',
+        address: record.receiver,
+        amount: String(record.amount),
+      },
+    ]
+  );
+}
+
+// Where a challenge's currency lives on chain, for the client to pay it
+function assetDetails(currency) {
+  const info = CURRENCIES[currency];
+  return info.chain === 'base'
+    ? { contract: USDC_CONTRACT, decimals: info.decimals }
+    : {
+        symbol: info.symbol,
+        program: info.program,
+        mint: info.mint,
+        decimals: info.decimals,
+      };
+}
+
+/**
+ * Solana Pay transfer request for a Solana challenge. A transfer request
+ * pays a single recipient, so split payments get url: null and add the
+ * reference to a transaction built from `recipients` themselves. No memo:
+ * memos are public on chain and the reference already identifies the
+ * payment.
+ */
+function solanaPayRequest(record, device) {
+  const asset = SOLANA_ASSETS[record.token];
+  const recipients = challengeRecipients(record);
+  const url =
+    recipients.length === 1
+      ? buildTransferRequestUrl({
+          recipient: recipients[0].address,
+          amount: ethers.formatUnits(recipients[0].amount, asset.decimals),
+          splToken: asset.program === 'native' ? null : asset.mint,
+          reference: record.reference,
+          label: 'TSE-X',
+          message: `${device.deviceName}: ${
+            record.minutes ? `${record.minutes}-minute session` : record.itemId
+          }`,
+        })
+      : null;
+
+  return { reference: record.reference, url };
+}
+
+function toPublicRecipients(recipients, token) {
+  return recipients.map((recipient) => ({
+    ...recipient,
+    uiAmount: ethers.formatUnits(recipient.amount, CURRENCIES[token].decimals),
+  }));
+}
+
+// Owner / platform columns of a ledger entry
+function payoutShares(recipients) {
+  const owner = recipients.find((recipient) => recipient.role === 'owner');
+  const platform = recipients.find(
+    (recipient) => recipient.role === 'platform'
+  );
+  return {
+    ownerPayout: owner ? owner.address : null,
+    ownerAmount: owner ? owner.amount : '0',
+    platformAmount: platform ? platform.amount : '0',
+  };
+}
+
+async function createX402Challenge({
+  deviceId,
+  walletAddress,
+  chain,
+  token,
+  amount,
+  uiAmount,
+  receiver,
+  recipients = null,
+  purchase,
+  rate = null,
+  ttlSeconds = 600,
+  extendsChallengeId = null,
+  withClientSecret = true,
+  walletVerified = false,
+}) {
+  const challengeId = crypto.randomBytes(16).toString('hex');
+  const clientSecret = withClientSecret
+    ? crypto.randomBytes(32).toString('hex')
+    : null;
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + ttlSeconds * 1000);
+
+  const record = {
+    challengeId,
+    deviceId,
+    walletAddress,
+    chain,
+    token,
+    amount,
+    uiAmount,
+    receiver,
+    planId: purchase.planId,
+    minutes: purchase.minutes,
+    itemId: purchase.itemId,
+    rate,
+    createdAt: now.toISOString(),
+    expiresAt: expiresAt.toISOString(),
+    paid: false,
+    txHash: null,
+    accessToken: null,
+    sessionExpiresAt: null,
+    extendsChallengeId,
+    recipients: recipients || [
+      { role: 'platform', address: receiver, amount: String(amount) },
+    ],
+    reference: chain === 'solana' ? createReference() : undefined,
+    clientSecretHash: clientSecret ? hashClientSecret(clientSecret) : null,
+    walletVerified,
+  };
+
+  await store.set('x402Challenges', challengeId, record);
+  return { challengeId, record, clientSecret };
+}
+
+function hashClientSecret(clientSecret) {
+  return crypto.createHash('sha256').update(clientSecret).digest('hex');
+}
+
+// Whether `clientSecret` is the one handed out with the challenge
+function isChallengeOwner(record, clientSecret) {
+  if (!record.clientSecretHash || typeof clientSecret !== 'string') {
+    return false;
+  }
+  const provided = Buffer.from(hashClientSecret(clientSecret), 'hex');
+  const expected = Buffer.from(record.clientSecretHash, 'hex');
+  return (
+    provided.length === expected.length &&
+    crypto.timingSafeEqual(provided, expected)
+  );
+}
+
+// ============ X.402: VERIFY SOLANA PAYMENT BY TX (B2 STRICT) ============
+
+/**
+ * Check that `expectedPayer` paid, in `txHash`, every recipient its share
+ * of `currency` (a SOLANA_ASSETS code): token-balance deltas for mints,
+ * lamport deltas for native SOL. The payer must be the fee payer or have
+ * given up some of the asset itself (a relayer may pay the fee).
+ */
+async function verifySolanaPaymentByTx(
+  txHash,
+  recipients,
+  currency,
+  expectedPayer
+) {
+  const asset = SOLANA_ASSETS[currency];
+  if (!asset) {
+    return { verified: false, message: `${currency} is no longer accepted` };
+  }
+
+  try {
+    const connection = new Connection(SOLANA_RPC_URL, 'confirmed');
+
+    console.log(`\n🔎 X.402: Checking Solana tx ${txHash} (${currency})`);
+    for (const recipient of recipients) {
+      console.log(
+        `   Expected ${recipient.role}: ${recipient.address} (${recipient.amount} raw)`
+      );
+    }
+    console.log(`   Expected payer: ${expectedPayer}`);
+
+    const tx = await connection.getTransaction(txHash, {
+      maxSupportedTransactionVersion: 0,
+    });
+
+    // Not indexed yet, maybe
+    if (!tx) {
+      console.log('❌ X.402: Transaction not found');
+      return {
+        verified: false,
+        retryable: true,
+        message: 'Transaction not found',
+      };
+    }
+
+    if (!tx.meta || tx.meta.err) {
+      console.log('❌ X.402: Transaction failed on-chain');
+      return { verified: false, message: 'On-chain transaction failed' };
+    }
+
+    const owners = recipients.map((recipient) =>
+      new PublicKey(recipient.address).toBase58()
+    );
+
+    // B2: require that the wallet that requested access paid
+    const payer = new PublicKey(expectedPayer).toBase58();
+    const feePayer = tx.transaction.message.staticAccountKeys[0].toBase58();
+    console.log(`   Fee payer: ${feePayer}`);
+
+    if (feePayer !== payer && spentByOwner(tx, asset, payer) === 0n) {
+      console.log('❌ X.402: Transaction was not paid by the expected payer');
+      return {
+        verified: false,
+        message: 'Transaction was not paid by walletAddress',
+      };
+    }
+
+    // B2: Only count what lands with the EXPECTED RECIPIENTS
+    const received = receivedByOwners(tx, asset, owners);
+
+    const split = checkRecipients(recipients, received);
+    console.log(`   Recipients gained: ${split.total.toString()} raw`);
+
+    if (split.ok) {
+      console.log(
+        `✅ X.402: ${asset.symbol} payment verified in tx (B2 strict)`
+      );
+      return {
+        verified: true,
+        message: `${asset.symbol} payment verified by transaction`,
+        amount: split.total,
+      };
+    } else {
+      console.log(
+        `❌ X.402: Not enough ${asset.symbol} in tx to ${split.shortfalls
+          .map((recipient) => recipient.role)
+          .join(', ')}`
+      );
+      return {
+        verified: false,
+        message: `Transaction did not send the required ${asset.symbol} amount to every recipient`,
+        shortfalls: split.shortfalls,
+      };
+    }
+  } catch (error) {
+    console.error('❌ X.402 Solana tx verification error:', error.message);
+    return {
+      verified: false,
+      retryable: true,
+      message: `Solana tx verification failed: ${error.message}`,
+    };
+  }
+}
+
+// ============ X.402: VERIFY REAL USDC PAYMENT BY TX (BASE) ============
+
+const ERC20_TRANSFER_INTERFACE = new ethers.Interface([
+  'event Transfer(address indexed from, address indexed to, uint256 value)',
+]);
+
+async function verifyBaseUsdcPaymentByTx(txHash, recipients, expectedSender) {
+  try {
+    console.log(`\n🔎 X.402: Checking Base tx ${txHash}`);
+    for (const recipient of recipients) {
+      console.log(
+        `   Expected ${recipient.role}: ${recipient.address} (${recipient.amount} raw)`
+      );
+    }
+    console.log(`   Expected sender: ${expectedSender}`);
+
+    const receipt = await baseProvider.getTransactionReceipt(txHash);
+
+    // Not indexed yet, maybe
+    if (!receipt) {
+      console.log('❌ X.402: Transaction not found');
+      return {
+        verified: false,
+        retryable: true,
+        message: 'Transaction not found',
+      };
+    }
+
+    if (receipt.status !== 1) {
+      console.log('❌ X.402: Transaction failed on-chain');
+      return { verified: false, message: 'On-chain transaction failed' };
+    }
+
+    const usdc = USDC_CONTRACT.toLowerCase();
+    const sender = expectedSender.toLowerCase();
+
+    // lowercased recipient -> raw amount received from the payer
+    const received = new Map();
+
+    // Only count USDC Transfer events from the payer (to anyone; only the
+    // recipients' totals are checked)
+    for (const log of receipt.logs) {
+      if (log.address.toLowerCase() !== usdc) continue;
+
+      let parsed;
+      try {
+        parsed = ERC20_TRANSFER_INTERFACE.parseLog(log);
+      } catch (e) {
+        continue;
+      }
+      if (!parsed || parsed.name !== 'Transfer') continue;
+
+      const { from, to, value } = parsed.args;
+      if (from.toLowerCase() === sender) {
+        const key = to.toLowerCase();
+        received.set(key, (received.get(key) || 0n) + value);
+      }
+    }
+
+    const split = checkRecipients(recipients, received, (address) =>
+      address.toLowerCase()
+    );
+    console.log(`   Recipients gained: ${split.total.toString()} raw`);
+
+    if (split.ok) {
+      console.log('✅ X.402: USDC payment verified in tx');
+      return {
+        verified: true,
+        message: 'USDC payment verified by transaction',
+        amount: split.total,
+      };
+    } else {
+      console.log(
+        `❌ X.402: Not enough USDC in tx from payer to ${split.shortfalls
+          .map((recipient) => recipient.role)
+          .join(', ')}`
+      );
+      return {
+        verified: false,
+        message:
+          'Transaction did not send the required USDC amount from wallet to every recipient',
+        shortfalls: split.shortfalls,
+      };
+    }
+  } catch (error) {
+    console.error('❌ X.402 Base tx verification error:', error.message);
+    return {
+      verified: false,
+      retryable: true,
+      message: `Base tx verification failed: ${error.message}`,
+    };
+  }
+}
+
+// ============ X.402 SETTLEMENT ============
+
+/**
+ * Check `txHash` against an open challenge and, if it pays, mark the
+ * challenge paid and issue its access token (a brew purchase gets its brew
+ * order instead). Shared by /x402/:deviceId/verify,
+ * /x402/:deviceId/lookup, the x402 paywall middleware and the payment
+ * watcher (detectedBy 'lookup' and 'watcher' pick the tx themselves, so the
+ * wallet's failure backoff ignores them). Top-up challenges extend their
+ * session.
+ * Resolves { ok: true, accessToken, payload, brewOrder } (accessToken and
+ * payload null for brews, brewOrder null otherwise) or { ok: false, status,
+ * body, retryable }; retryable failures (RPC errors, tx not indexed yet, tx being
+ * verified elsewhere) may pass with the same tx later.
+ */
+async function settleX402Challenge(
+  challengeId,
+  record,
+  txHash,
+  { detectedBy = 'client' } = {}
+) {
+  const { deviceId, walletAddress } = record;
+  const sessionId = record.extendsChallengeId || challengeId;
+  const byClient = detectedBy === 'client';
+
+  // Every check costs RPC calls: wallets that keep failing have to wait
+  const backoff = byClient
+    ? await abuse.checkBackoff(walletAddress)
+    : { ok: true };
+  if (!backoff.ok) {
+    return {
+      ok: false,
+      status: 429,
+      body: {
+        verified: false,
+        error: 'Too many failed verifications, try again later',
+        retryAfter: backoff.retryAfterSeconds,
+        challengeId,
+      },
+    };
+  }
+
+  if (
+    record.extendsChallengeId &&
+    (!(await store.get('x402Challenges', sessionId)) ||
+      (await revocations.isRevoked(sessionId)))
+  ) {
+    return {
+      ok: false,
+      status: 410,
+      body: {
+        verified: false,
+        error: 'Session to extend has ended',
+        challengeId,
+      },
+    };
+  }
+
+  // A tx can only pay for one challenge, ever
+  const claim = await spentTransactions.reserveTransaction(
+    record.chain,
+    txHash,
+    { challengeId, deviceId, walletAddress }
+  );
+
+  if (!claim.ok) {
+    console.log(`❌ X.402: tx ${txHash} already ${claim.reason}`);
+    return {
+      ok: false,
+      status: 409,
+      retryable: claim.reason !== 'spent',
+      body: {
+        verified: false,
+        error:
+          claim.reason === 'spent'
+            ? 'Transaction already used for another challenge'
+            : 'Transaction is already being verified',
+        txHash,
+        spentOn:
+          claim.reason === 'spent'
+            ? {
+                challengeId: claim.entry.challengeId,
+                deviceId: claim.entry.deviceId,
+                spentAt: claim.entry.spentAt,
+              }
+            : undefined,
+      },
+    };
+  }
+
+  const recipients = challengeRecipients(record);
+  const paymentCheck =
+    record.chain === 'base'
+      ? await verifyBaseUsdcPaymentByTx(
+          txHash,
+          recipients,
+          record.walletAddress
+        )
+      : await verifySolanaPaymentByTx(
+          txHash,
+          recipients,
+          record.token,
+          record.walletAddress
+        );
+
+  if (!paymentCheck.verified) {
+    await spentTransactions.releaseTransaction(record.chain, txHash);
+    if (byClient) await abuse.recordFailure(walletAddress);
+    events.publish('payment.failed', {
+      source: 'transaction',
+      detectedBy,
+      chain: record.chain,
+      txHash,
+      challengeId,
+      deviceId,
+      walletAddress,
+      reason: paymentCheck.message,
+    });
+    return {
+      ok: false,
+      status: 402,
+      retryable: Boolean(paymentCheck.retryable),
+      body: {
+        verified: false,
+        message: paymentCheck.message,
+        shortfalls: paymentCheck.shortfalls,
+        challengeId,
+      },
+    };
+  }
+
+  // Mark paid atomically: a concurrent verify with a different tx loses here
+  let wonChallenge = false;
+  await store.update('x402Challenges', challengeId, (current) => {
+    if (!current || current.paid) return undefined;
+    wonChallenge = true;
+    return { ...current, paid: true, txHash };
+  });
+
+  if (!wonChallenge) {
+    await spentTransactions.releaseTransaction(record.chain, txHash);
+    return {
+      ok: false,
+      status: 409,
+      body: { error: 'Challenge already used' },
+    };
+  }
+  if (byClient) await abuse.recordSuccess(walletAddress);
+
+  // Paid for a device that cannot be reached: refund the payment instead
+  // of starting a session (or brew order) that could not be used
+  if (!(await deviceTelemetry.getPresence(deviceId)).online) {
+    return refundOfflinePayment(
+      challengeId,
+      record,
+      txHash,
+      paymentCheck,
+      detectedBy
+    );
+  }
+
+  // Issue X.402 access token (JWT). A top-up counts from the session's
+  // current deadline, read and moved in one update so top-ups add up.
+  // Brew purchases get their single-use order instead (below): a session
+  // token would let one payment brew again and again.
+  let payload = null;
+  let accessToken = null;
+  let sessionExpiresAt = null;
+  let previousExpiresAt = null;
+  if (!record.itemId) {
+    // Purchased lock time
+    const durationSeconds = record.minutes * 60;
+
+    await store.update('x402Challenges', sessionId, (current) => {
+      const now = Math.floor(Date.now() / 1000);
+      if (sessionId !== challengeId && current) {
+        previousExpiresAt = current.sessionExpiresAt;
+      }
+      const startsAt = previousExpiresAt
+        ? Math.max(
+            now,
+            Math.floor(new Date(previousExpiresAt).getTime() / 1000)
+          )
+        : now;
+
+      payload = {
+        type: 'x402-access',
+        walletAddress,
+        deviceId,
+        challengeId: sessionId,
+        chain: record.chain,
+        txHash,
+        iat: now,
+        exp: startsAt + durationSeconds,
+      };
+      accessToken = tokenKeys.sign(payload);
+
+      if (!current) return undefined;
+      return {
+        ...current,
+        accessToken,
+        sessionExpiresAt: new Date(payload.exp * 1000).toISOString(),
+      };
+    });
+
+    sessionExpiresAt = new Date(payload.exp * 1000).toISOString();
+    if (sessionId !== challengeId) {
+      await store.update('x402Challenges', challengeId, (current) =>
+        current ? { ...current, accessToken, sessionExpiresAt } : undefined
+      );
+    }
+  }
+
+  await spentTransactions.markTransactionSpent(record.chain, txHash, {
+    challengeId,
+    deviceId,
+    walletAddress,
+    amount: paymentCheck.amount,
+  });
+  if (payload) await recordSession(sessionId, accessToken, payload);
+
+  if (previousExpiresAt) {
+    console.log(`⏫ Session ${sessionId} extended to ${sessionExpiresAt}`);
+    await extendDeviceUnlock(deviceId, previousExpiresAt, sessionExpiresAt);
+  }
+
+  // A brew purchase also yields its single-use order
+  let brewOrder = null;
+  if (record.itemId) {
+    const device = await deviceRegistry.getDevice(deviceId);
+    if (device) {
+      brewOrder = await openBrewOrder(device, {
+        walletAddress,
+        itemId: record.itemId,
+        payment: {
+          source: 'x402',
+          chain: record.chain,
+          currency: record.token,
+          amount: record.uiAmount,
+          challengeId,
+          txHash,
+        },
+      });
+      await store.update('x402Challenges', challengeId, (current) =>
+        current
+          ? {
+              ...current,
+              orderId: brewOrder.order.orderId,
+              orderToken: brewOrder.orderToken,
+            }
+          : undefined
+      );
+    }
+  }
+
+  await recordX402Payment(challengeId, record, txHash, paymentCheck, {
+    detectedBy,
+    kind: record.extendsChallengeId
+      ? 'top-up'
+      : record.itemId
+      ? 'brew'
+      : 'session',
+    sessionId: payload ? sessionId : null,
+    sessionExpiresAt,
+    orderId: brewOrder ? brewOrder.order.orderId : null,
+  });
+
+  return { ok: true, accessToken, payload, brewOrder };
+}
+
+/**
+ * Write a settled challenge payment to the ledger and announce it
+ */
+async function recordX402Payment(
+  challengeId,
+  record,
+  txHash,
+  paymentCheck,
+  {
+    detectedBy,
+    kind,
+    sessionId = null,
+    sessionExpiresAt = null,
+    orderId = null,
+  }
+) {
+  const payment = await paymentLedger.recordPayment({
+    chain: record.chain,
+    token: record.token,
+    amount: paymentCheck.amount.toString(),
+    uiAmount: ethers.formatUnits(
+      paymentCheck.amount,
+      CURRENCIES[record.token].decimals
+    ),
+    txHash,
+    payer: record.walletAddress,
+    receiver: record.receiver,
+    ...payoutShares(challengeRecipients(record)),
+    deviceId: record.deviceId,
+    kind,
+    planId: record.planId || null,
+    minutes: record.minutes || null,
+    itemId: record.itemId || null,
+    challengeId,
+    sessionId,
+    sessionExpiresAt,
+    orderId,
+  });
+  events.publish('payment.verified', {
+    source: 'transaction',
+    detectedBy,
+    ...payment,
+  });
+  return payment;
+}
+
+/**
+ * Settlement of a verified payment for an offline device: the tx is spent
+ * on the challenge, which is paid without a session, goes to the ledger as
+ * 'refunded' and gets a device_offline refund. Resolves { ok: false,
+ * status: 503, body }.
+ */
+async function refundOfflinePayment(
+  challengeId,
+  record,
+  txHash,
+  paymentCheck,
+  detectedBy
+) {
+  const { deviceId, walletAddress } = record;
+
+  await spentTransactions.markTransactionSpent(record.chain, txHash, {
+    challengeId,
+    deviceId,
+    walletAddress,
+    amount: paymentCheck.amount,
+  });
+  await store.update('x402Challenges', challengeId, (current) =>
+    current ? { ...current, refundReason: 'device_offline' } : undefined
+  );
+  await recordX402Payment(challengeId, record, txHash, paymentCheck, {
+    detectedBy,
+    kind: 'refunded',
+  });
+  const refund = await reportRefundablePayment(
+    record.chain,
+    txHash,
+    'device_offline'
+  );
+
+  console.log(`📴 ${deviceId} is offline, no session for ${challengeId}`);
+  return {
+    ok: false,
+    status: 503,
+    body: {
+      verified: true,
+      error: 'Device is offline; the payment will be refunded',
+      challengeId,
+      txHash,
+      refund: refund ? toPublicRefund(refund) : undefined,
+    },
+  };
+}
+
+// ============ X.402: PAYMENT WATCHER ============
+
+/**
+ * Open challenges the watcher may settle: ones whose creator holds the
+ * clientSecret to collect the tokens, and that a payment can be told to
+ * belong to (a Solana reference, or a wallet proven by its owner on Base)
+ */
+async function listOpenX402Challenges() {
+  const now = Date.now();
+  return (await store.list('x402Challenges'))
+    .filter(
+      (record) =>
+        record.challengeId &&
+        !record.paid &&
+        !isPast(record.expiresAt, now) &&
+        record.clientSecretHash &&
+        (record.chain === 'solana' || record.walletVerified)
+    )
+    .map((record) => ({ ...record, recipients: challengeRecipients(record) }));
+}
+
+/**
+ * Settle a payment the watcher found, like /verify would
+ */
+function settleWatchedPayment(record, txHash) {
+  return settleX402Challenge(record.challengeId, record, txHash, {
+    detectedBy: 'watcher',
+  });
+}
+
+const paymentWatcher =
+  PAYMENT_WATCHER_MODE === 'off'
+    ? null
+    : createPaymentWatcher(store, {
+        mode: PAYMENT_WATCHER_MODE,
+        intervalMs: PAYMENT_WATCHER_INTERVAL_SECONDS * 1000,
+        baseProvider,
+        usdcContract: USDC_CONTRACT,
+        solanaConnection: new Connection(SOLANA_RPC_URL, 'confirmed'),
+        listOpenChallenges: listOpenX402Challenges,
+        settle: settleWatchedPayment,
+      });
+
+// ============ REALTIME FEED ============
+// Device and session events for the apps' event streams
+// (GET /devices/:deviceId/events)
+const realtime = createRealtimeFeed({ bufferSize: 1000 });
+
+/**
+ * Bus event as streams see it: lock changes go to everyone watching the
+ * device (without the wallet behind them), payments, sessions and brews
+ * only to the wallet they belong to.
+ */
+function toRealtimeEntry({ type, data }) {
+  if (type === 'device.locked' || type === 'device.unlocked') {
+    return {
+      deviceId: data.deviceId,
+      walletAddress: null,
+      data: {
+        lockState: type === 'device.locked' ? 'locked' : 'unlocked',
+        unlockUntil: data.unlockUntil,
+        reason: data.reason,
+      },
+    };
+  }
+  if (type === 'device.online' || type === 'device.offline') {
+    return { deviceId: data.deviceId, walletAddress: null, data };
+  }
+  if (type.startsWith('brew.')) {
+    return {
+      deviceId: data.order.deviceId,
+      walletAddress: data.order.walletAddress,
+      data: { order: toPublicOrder(data.order) },
+    };
+  }
+  // payment.*, session.*
+  return {
+    deviceId: data.deviceId,
+    walletAddress: data.payer || data.walletAddress,
+    data,
+  };
+}
+
+events.subscribe((event) => {
+  const entry = toRealtimeEntry(event);
+  if (entry.deviceId && entry.walletAddress !== undefined) {
+    realtime.publish({ type: event.type, ...entry });
+  }
+});
+
+deviceChannel.on('connected', (deviceId) =>
+  realtime.publish({
+    type: 'device.connected',
+    deviceId,
+    data: { connected: true },
+  })
+);
+deviceChannel.on('disconnected', (deviceId) =>
+  realtime.publish({
+    type: 'device.disconnected',
+    deviceId,
+    data: { connected: false },
+  })
+);
+
+// ============ ROUTES ============
+
+/**
+ * Public token signing keys, for verifying session / X.402 tokens offline
+ */
+app.get('/.well-known/jwks.json', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=300');
+  res.json(tokenKeys.getJwks());
+});
+
+/**
+ * Health check
+ */
+app.get('/health', (req, res) => {
+  res.json({
+    status: 'ok',
+    timestamp: new Date().toISOString(),
+    blockchains: ['Base', 'Solana'],
+    payments: Object.keys(CURRENCIES),
+    environment: 'development',
+  });
+});
+
+/**
+ * Current TSE/USD rate used for quotes
+ */
+app.get('/prices/tse', (req, res) => {
+  res.json(tsePriceFeed.getStatus());
+});
+
+/**
+ * USD rates of every currency quotes can convert into
+ */
+app.get('/prices', (req, res) => {
+  const feeds = { TSE: tsePriceFeed, ...assetPriceFeeds };
+  res.json({
+    prices: Object.keys(CURRENCIES).map((currency) =>
+      feeds[currency]
+        ? { currency, ...feeds[currency].getStatus() }
+        : { currency, ...getUsdRate(currency) }
+    ),
+  });
+});
+
+/**
+ * Get device info, with its presence and the firmware it last reported
+ */
+app.get('/devices/:deviceId', async (req, res, next) => {
+  try {
+    const { deviceId } = req.params;
+    const device = await getActiveDevice(deviceId);
+
+    if (!device) {
+      return res.status(404).json({
+        error: 'Device not found',
+        deviceId,
+      });
+    }
+
+    const presence = await deviceTelemetry.getPresence(deviceId);
+    res.json({
+      ...toPublicDevice(device),
+      firmwareVersion: presence.firmwareVersion || device.firmwareVersion,
+      status: presence.online ? 'online' : 'offline',
+      lastSeen: presence.lastSeen,
+      batteryLevel: presence.batteryLevel,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Device heartbeat + telemetry
+ * POST /devices/:deviceId/heartbeat
+ * headers: Authorization: Bearer <deviceSecret>
+ * body: { batteryLevel?, firmwareVersion?, lockSensor?, rssi?, errors? }
+ *   lockSensor: 'locked' | 'unlocked' | 'open' | 'unknown'
+ *   errors: [string | { code?, message }], replacing the last report's
+ *
+ * Devices without a command channel connection report at least every
+ * DEVICE_OFFLINE_AFTER_SECONDS to stay online.
+ */
+app.post('/devices/:deviceId/heartbeat', async (req, res, next) => {
+  try {
+    const { deviceId } = req.params;
+    const authHeader = req.headers.authorization;
+
+    const secret =
+      authHeader && authHeader.startsWith('Bearer ')
+        ? authHeader.slice(7)
+        : null;
+    if (
+      !secret ||
+      !(await deviceRegistry.verifyDeviceSecret(deviceId, secret))
+    ) {
+      return res.status(401).json({ error: 'Invalid device credentials' });
+    }
+
+    const errors = validateHeartbeat(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid heartbeat', details: errors });
+    }
+
+    const entry = await deviceTelemetry.recordContact(deviceId, req.body);
+    const state = await store.get('deviceState', deviceId);
+
+    res.json({
+      deviceId,
+      lastSeen: entry.lastSeen,
+      offlineAfterSeconds: DEVICE_OFFLINE_AFTER_SECONDS,
+      lockState: effectiveLockState(state),
+      unlockUntil: state ? state.unlockUntil : null,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Get the price plan that applies to a device
+ */
+app.get('/devices/:deviceId/pricing', async (req, res, next) => {
+  try {
+    const { deviceId } = req.params;
+    const device = await getActiveDevice(deviceId);
+
+    if (!device) {
+      return res.status(404).json({ error: 'Device not found', deviceId });
+    }
+
+    const plan = await pricing.resolvePlan(device);
+    if (!plan) {
+      return res
+        .status(404)
+        .json({ error: 'No price plan configured for device', deviceId });
+    }
+
+    res.json({
+      deviceId,
+      planId: plan.planId,
+      name: plan.name,
+      kind: plan.kind,
+      tiers: plan.tiers,
+      items: plan.items,
+      currencies: CURRENCIES,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Request authentication challenge (existing flow – NOT X.402)
+ */
+app.post('/devices/:deviceId/challenge', async (req, res, next) => {
+  try {
+    const { deviceId } = req.params;
+    const { walletAddress } = req.body;
+
+    if (!(await getActiveDevice(deviceId))) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+
+    if (!walletAddress || typeof walletAddress !== 'string') {
+      return res.status(400).json({ error: 'walletAddress required' });
+    }
+
+    const chain = detectWalletChain(walletAddress);
+    if (!chain) {
+      return res.status(400).json({ error: 'Invalid wallet address format' });
+    }
+
+    console.log(
+      `\n🔐 Challenge requested for ${deviceId} by ${walletAddress.substring(
+        0,
+        10
+      )}...`
+    );
+
+    const availability = await checkDeviceOnline(deviceId);
+    if (!availability.ok) {
+      return res
+        .status(availability.status)
+        .json({ error: availability.error, lastSeen: availability.lastSeen });
+    }
+
+    const capacity = await checkOpenChallenges('authChallenges', {
+      walletAddress,
+      deviceId,
+    });
+    if (!capacity.ok) {
+      return res.status(capacity.status).json({ error: capacity.error });
+    }
+
+    const { challenge, record } = await createAuthChallenge(
+      deviceId,
+      walletAddress,
+      chain
+    );
+
+    res.json({
+      challenge,
+      deviceId,
+      chain,
+      messageToSign: record.message,
+      expiresAt: record.expiresAt,
+      message: 'Sign messageToSign with your wallet to verify ownership',
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Verify wallet signature + payment → Issue session token
+ * (existing flow – balance-based, NOT X.402)
+ */
+app.post('/devices/:deviceId/verify', async (req, res, next) => {
+  try {
+    const { deviceId } = req.params;
+    const {
+      walletAddress,
+      challenge,
+      signature,
+      timestamp,
+      paymentMethod,
+      minutes,
+      brewType,
+    } = req.body;
+
+    const device = await getActiveDevice(deviceId);
+    if (!device) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+
+    if (!walletAddress || typeof walletAddress !== 'string') {
+      return res.status(400).json({ error: 'walletAddress required' });
+    }
+
+    if (!challenge || !signature) {
+      return res
+        .status(400)
+        .json({ error: 'challenge and signature required' });
+    }
+
+    console.log(
+      `\n🔐 Verify request for ${deviceId} from ${walletAddress.substring(
+        0,
+        10
+      )}...`
+    );
+
+    const backoff = await abuse.checkBackoff(walletAddress);
+    if (!backoff.ok) {
+      res.set('Retry-After', String(backoff.retryAfterSeconds));
+      return res.status(429).json({
+        error: 'Too many failed verifications, try again later',
+        retryAfter: backoff.retryAfterSeconds,
+      });
+    }
+
+    // Single use: the challenge is burned as soon as ownership is proven
+    const auth = await consumeAuthChallenge({
+      challenge,
+      deviceId,
+      walletAddress,
+      signature,
+      timestamp,
+    });
+    if (!auth.ok) {
+      await abuse.recordFailure(walletAddress);
+      return res.status(auth.status).json({ error: auth.error });
+    }
+    console.log('   ✅ Wallet signature verified');
+
+    if (!device.supportsLock && !device.supportsTimer) {
+      return res.status(400).json({ error: 'Unknown device type' });
+    }
+
+    // Determine payment method (default to USDC)
+    const method = paymentMethod?.toUpperCase() || 'USDC';
+    if (!BALANCE_PAYMENT_METHODS.includes(method)) {
+      return res.status(400).json({
+        error: `Unsupported payment method: ${method}`,
+        paymentMethods: BALANCE_PAYMENT_METHODS,
+      });
+    }
+
+    const quote = await pricing.quote(device, {
+      currency: method,
+      minutes,
+      itemId: brewType,
+    });
+    if (!quote.ok) {
+      return res
+        .status(quote.code === 'rate_unavailable' ? 503 : 400)
+        .json({ error: quote.error });
+    }
+
+    let paymentCheck;
+    if (method === 'TSE') {
+      paymentCheck = await verifySolanaTokenPayment(
+        walletAddress,
+        deviceId,
+        TSE_MINT,
+        Number(quote.rawAmount)
+      );
+    } else {
+      paymentCheck = await verifyBaseUSDCPayment(
+        walletAddress,
+        deviceId,
+        BigInt(quote.rawAmount)
+      );
+    }
+
+    if (!paymentCheck.verified) {
+      await abuse.recordFailure(walletAddress);
+      events.publish('payment.failed', {
+        source: 'balance',
+        deviceId,
+        walletAddress,
+        currency: method,
+        amount: quote.amount,
+        reason: paymentCheck.message,
+      });
+      return res.status(402).json({
+        verified: false,
+        message: paymentCheck.message,
+        requiredAmount: `${quote.amount} ${method}`,
+        currency: method,
+        planId: quote.planId,
+        paymentMethods: BALANCE_PAYMENT_METHODS,
+      });
+    }
+
+    await abuse.recordSuccess(walletAddress);
+    events.publish('payment.verified', {
+      source: 'balance',
+      deviceId,
+      walletAddress,
+      currency: method,
+      amount: quote.amount,
+      planId: quote.planId,
+      minutes: quote.minutes,
+      itemId: quote.itemId,
+    });
+
+    // Handle lock devices
+    if (device.supportsLock) {
+      // Payment verified! Generate session token
+      const sessionSeconds = quote.minutes * 60;
+      const { token: sessionToken, payload } = generateSessionToken(
+        walletAddress,
+        deviceId,
+        sessionSeconds
+      );
+      await recordSession(payload.jti, sessionToken, payload);
+
+      console.log(
+        `   ✅ Payment verified (${method}), issuing ${quote.minutes}-min session token`
+      );
+
+      return res.json({
         verified: true,
-        message: 'TSE payment verified',
-        currency: 'TSE',
-        balance: balanceTSE.toFixed(2),
+        sessionToken,
+        deviceData: toPublicDevice(device),
+        accessLevel: 'full',
+        sessionDuration: sessionSeconds,
+        expiresAt: new Date(payload.exp * 1000).toISOString(),
+        paymentMethod: method,
+        cost: method === 'TSE' ? `${quote.amount} TSE` : quote.amount,
+        minutes: quote.minutes,
+        message: `Session established - ${method} payment accepted. Pay once, unlimited lock/unlock for ${quote.minutes} minutes`,
+      });
+    }
+
+    // Handle coffee devices: the payment buys exactly one brew
+    console.log(`   ✅ Coffee payment verified (${method})`);
+
+    const { order, orderToken } = await openBrewOrder(device, {
+      walletAddress,
+      itemId: quote.itemId,
+      payment: { source: 'verify', currency: method, amount: quote.amount },
+    });
+
+    return res.json({
+      verified: true,
+      deviceData: toPublicDevice(device),
+      accessLevel: 'brew',
+      paymentMethod: method,
+      cost: method === 'TSE' ? `${quote.amount} TSE` : quote.amount,
+      brewType: quote.itemId,
+      orderId: order.orderId,
+      orderToken,
+      orderExpiresAt: order.expiresAt,
+      message: `${method} payment verified - send orderToken to /devices/${deviceId}/brew to start your ${quote.itemId}`,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Unlock device (requires session token – existing flow)
+ */
+app.post('/devices/:deviceId/unlock', async (req, res, next) => {
+  try {
+    const { deviceId } = req.params;
+    const { walletAddress, timestamp } = req.body;
+    const authHeader = req.headers.authorization;
+
+    if (!(await getActiveDevice(deviceId))) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+
+    console.log(`\n🔓 Unlock request for ${deviceId}`);
+
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({
+        error: 'Missing session token',
+        message: 'Please verify your payment first to get a session token',
+      });
+    }
+
+    const token = authHeader.slice(7);
+    const decoded = await verifySessionToken(token);
+
+    if (!decoded) {
+      return res.status(401).json({
+        error: 'Invalid or expired session token',
+        message: 'Please verify your payment again',
+      });
+    }
+
+    if (decoded.deviceId !== deviceId) {
+      return res.status(403).json({ error: 'Token not valid for this device' });
+    }
+
+    console.log('   ✅ Session token valid');
+
+    const result = await deviceChannel.sendCommand(deviceId, 'unlock', {
+      walletAddress: decoded.walletAddress,
+      sessionExpiresAt: new Date(decoded.exp * 1000).toISOString(),
+    });
+    if (!result.ok) {
+      return sendCommandFailure(res, deviceId, 'unlock', result);
+    }
+
+    await setDeviceLockState(
+      deviceId,
+      'unlocked',
+      decoded.walletAddress,
+      new Date(decoded.exp * 1000).toISOString()
+    );
+
+    res.json({
+      success: true,
+      granted: true,
+      action: 'unlock',
+      deviceId,
+      commandId: result.commandId,
+      walletAddress: decoded.walletAddress.substring(0, 10) + '...',
+      timestamp: new Date().toISOString(),
+      sessionExpiresAt: new Date(decoded.exp * 1000).toISOString(),
+      message: '✅ Device unlocked successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Lock device (requires session token – existing flow)
+ */
+app.post('/devices/:deviceId/lock', async (req, res, next) => {
+  try {
+    const { deviceId } = req.params;
+    const { walletAddress, timestamp } = req.body;
+    const authHeader = req.headers.authorization;
+
+    if (!(await getActiveDevice(deviceId))) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+
+    console.log(`\n🔒 Lock request for ${deviceId}`);
+
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({
+        error: 'Missing session token',
+        message: 'Please verify your payment first to get a session token',
+      });
+    }
+
+    const token = authHeader.slice(7);
+    const decoded = await verifySessionToken(token);
+
+    if (!decoded) {
+      return res.status(401).json({
+        error: 'Invalid or expired session token',
+        message: 'Please verify your payment again',
+      });
+    }
+
+    if (decoded.deviceId !== deviceId) {
+      return res.status(403).json({ error: 'Token not valid for this device' });
+    }
+
+    console.log('   ✅ Session token valid');
+
+    const result = await deviceChannel.sendCommand(deviceId, 'lock', {
+      walletAddress: decoded.walletAddress,
+      sessionExpiresAt: new Date(decoded.exp * 1000).toISOString(),
+    });
+    if (!result.ok) {
+      return sendCommandFailure(res, deviceId, 'lock', result);
+    }
+
+    await setDeviceLockState(deviceId, 'locked', decoded.walletAddress);
+
+    res.json({
+      success: true,
+      granted: true,
+      action: 'lock',
+      deviceId,
+      commandId: result.commandId,
+      walletAddress: decoded.walletAddress.substring(0, 10) + '...',
+      timestamp: new Date().toISOString(),
+      sessionExpiresAt: new Date(decoded.exp * 1000).toISOString(),
+      message: '✅ Device locked successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Brew coffee (consumes a paid brew order)
+ * headers: Authorization: Bearer <orderToken>
+ *   (from /devices/:deviceId/verify or /x402/:deviceId/verify)
+ *
+ * Each order brews once. Poll /devices/:deviceId/orders/:orderId for
+ * progress.
+ */
+app.post('/devices/:deviceId/brew', async (req, res, next) => {
+  try {
+    const { deviceId } = req.params;
+    const authHeader = req.headers.authorization;
+
+    if (!(await getActiveDevice(deviceId))) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({
+        error: 'Missing order token',
+        message: 'Pay for a brew first to get an order token',
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = await tokenKeys.verify(authHeader.slice(7));
+    } catch (error) {
+      decoded = null;
+    }
+    if (!decoded || decoded.type !== 'brew-order') {
+      return res.status(401).json({
+        error: 'Invalid or expired order token',
+        message: 'Pay for a brew first to get an order token',
+      });
+    }
+
+    if (decoded.deviceId !== deviceId) {
+      return res.status(403).json({ error: 'Order is for another device' });
+    }
+
+    const claim = await brewOrders.claimOrder(decoded.orderId);
+    if (!claim.ok) {
+      const failures = {
+        not_found: [404, 'Order not found'],
+        used: [409, 'Order already used'],
+        expired: [410, 'Order expired'],
+      };
+      const [status, error] = failures[claim.reason];
+      return res.status(status).json({
+        error,
+        orderId: decoded.orderId,
+        order: claim.order ? toPublicOrder(claim.order) : undefined,
+      });
+    }
+
+    const { order } = claim;
+    console.log(`\n☕ Brew request for ${deviceId} (${order.itemId})`);
+
+    const result = await deviceChannel.sendCommand(deviceId, 'brew', {
+      orderId: order.orderId,
+      brewType: order.itemId,
+      brewSeconds: order.brewSeconds,
+    });
+    if (!result.ok) {
+      // Never reached the device: the order can be brewed later
+      if (result.status === 'offline') {
+        await brewOrders.setStatus(order.orderId, 'paid');
+      } else {
+        const failed = await brewOrders.setStatus(order.orderId, 'failed', {
+          commandId: result.commandId,
+          error: result.error,
+        });
+        if (failed) await finishBrew(failed);
+      }
+      return sendCommandFailure(res, deviceId, 'brew', result);
+    }
+
+    // Devices that brew before acking report it in the ack result
+    const finished = result.result && result.result.status === 'done';
+    const updated = await brewOrders.setStatus(
+      order.orderId,
+      finished ? 'done' : 'brewing',
+      { commandId: result.commandId }
+    );
+    const current = updated || (await brewOrders.getOrder(order.orderId));
+    if (updated) {
+      events.publish('brew.started', { order: updated });
+      if (finished) await finishBrew(updated);
+    }
+
+    res.json({
+      success: true,
+      granted: true,
+      action: 'brew',
+      deviceId,
+      commandId: result.commandId,
+      walletAddress: order.walletAddress.substring(0, 10) + '...',
+      brewType: order.itemId,
+      timestamp: new Date().toISOString(),
+      order: toPublicOrder(current),
+      message: '✅ Brewing started!',
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Brew menu of a coffee device, priced in every accepted currency
+ */
+app.get('/devices/:deviceId/menu', async (req, res, next) => {
+  try {
+    const { deviceId } = req.params;
+
+    const device = await getActiveDevice(deviceId);
+    if (!device) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+
+    const plan = await pricing.resolvePlan(device);
+    if (!plan || plan.kind !== 'item') {
+      return res
+        .status(400)
+        .json({ error: 'Device has no brew menu', deviceId });
+    }
+
+    const items = [];
+    for (const item of plan.items) {
+      const prices = {};
+      for (const currency of Object.keys(CURRENCIES)) {
+        const quote = await pricing.quote(device, {
+          currency,
+          itemId: item.itemId,
+        });
+        // Currencies the item is not sold in (or has no rate for) are left out
+        if (quote.ok) prices[currency] = quote.amount;
+      }
+      items.push({
+        brewType: item.itemId,
+        name: item.name,
+        brewSeconds: item.brewSeconds,
+        prices,
+      });
+    }
+
+    res.json({ deviceId, planId: plan.planId, items });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Progress of a brew order: paid → queued → brewing → done | failed
+ */
+app.get('/devices/:deviceId/orders/:orderId', async (req, res, next) => {
+  try {
+    const { deviceId, orderId } = req.params;
+
+    const order = await brewOrders.getOrder(orderId);
+    if (!order || order.deviceId !== deviceId) {
+      return res.status(404).json({ error: 'Order not found', orderId });
+    }
+
+    res.json(toPublicOrder(order));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Refund status of a payment
+ * GET /refunds/:chain/:txHash
+ */
+app.get('/refunds/:chain/:txHash', async (req, res, next) => {
+  try {
+    const { chain, txHash } = req.params;
+
+    const refund = await refunds.getRefund(chain, txHash);
+    if (!refund) {
+      return res.status(404).json({ error: 'No refund for this payment', txHash });
+    }
+
+    res.json(toPublicRefund(refund));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * What GET /devices/:deviceId/status reports (and event streams open
+ * with). `decoded` is the caller's verified token, if any.
+ */
+async function deviceStatus(deviceId, decoded) {
+  let sessionInfo = null;
+
+  if (decoded) {
+    const expiresAtSeconds = await sessionExpirySeconds(decoded);
+    const now = Math.floor(Date.now() / 1000);
+    const secondsRemaining = expiresAtSeconds - now;
+
+    sessionInfo = {
+      valid: true,
+      expiresAt: new Date(expiresAtSeconds * 1000).toISOString(),
+      extended: expiresAtSeconds > decoded.exp,
+      secondsRemaining: Math.max(0, secondsRemaining),
+      isExpired: secondsRemaining <= 0,
+    };
+  }
+
+  const state = await store.get('deviceState', deviceId);
+  const presence = await deviceTelemetry.getPresence(deviceId);
+
+  return {
+    deviceId,
+    status: presence.online ? 'online' : 'offline',
+    lockState: effectiveLockState(state),
+    unlockUntil: state ? state.unlockUntil : null,
+    connected: deviceChannel.isOnline(deviceId),
+    lastSeen: presence.lastSeen,
+    batteryLevel: presence.batteryLevel,
+    firmwareVersion: presence.firmwareVersion,
+    lockSensor: presence.lockSensor,
+    rssi: presence.rssi,
+    errors: presence.errors,
+    session: sessionInfo,
+    supportedPayments: Object.keys(CURRENCIES),
+  };
+}
+
+/**
+ * Get device status
+ */
+app.get('/devices/:deviceId/status', async (req, res, next) => {
+  try {
+    const { deviceId } = req.params;
+    const authHeader = req.headers.authorization;
+
+    if (!(await getActiveDevice(deviceId))) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+
+    const decoded =
+      authHeader && authHeader.startsWith('Bearer ')
+        ? await verifySessionToken(authHeader.slice(7))
+        : null;
+
+    res.json(await deviceStatus(deviceId, decoded));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Live device and session events (Server-Sent Events)
+ * GET /devices/:deviceId/events
+ * headers: Authorization: Bearer <session or X.402 token for this device>
+ *          (or ?token= for EventSource, which cannot set headers)
+ *          Last-Event-ID: <id>  to resume (or ?lastEventId=)
+ *
+ * Opens with a 'status' event shaped like GET /devices/:deviceId/status,
+ * unless it resumes, then streams
+ *   device.locked | device.unlocked        lock state changes
+ *   device.connected | device.disconnected  command channel
+ *   device.online | device.offline         presence (heartbeats)
+ *   payment.verified | payment.failed      the token's wallet only
+ *   session.issued | session.revoked
+ *   brew.started | brew.completed | brew.failed
+ *   session.expiring                       SESSION_EXPIRY_WARNING_SECONDS
+ *                                          before the session ends
+ *   session.expired                        after which the stream closes
+ * A revoked session also closes its stream.
+ */
+app.get('/devices/:deviceId/events', async (req, res, next) => {
+  try {
+    const { deviceId } = req.params;
+    const authHeader = req.headers.authorization;
+
+    if (!(await getActiveDevice(deviceId))) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+
+    const token =
+      authHeader && authHeader.startsWith('Bearer ')
+        ? authHeader.slice(7)
+        : req.query.token;
+    if (!token) {
+      return res.status(401).json({ error: 'Session token required' });
+    }
+
+    const decoded = await verifySessionToken(token);
+    if (!decoded) {
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+    if (decoded.deviceId !== deviceId) {
+      return res.status(403).json({ error: 'Token not valid for this device' });
+    }
+
+    const sessionId = sessionIdOf(decoded);
+
+    // The snapshot is read before the stream starts, so a failure can
+    // still be answered with a plain error
+    let stream;
+    try {
+      stream = await realtime.open(res, {
+        deviceId,
+        walletAddress: decoded.walletAddress,
+        lastEventId: req.get('Last-Event-ID') || req.query.lastEventId,
+        snapshot: () => deviceStatus(deviceId, decoded),
+      });
+    } catch (error) {
+      console.error(`❌ Event stream for ${deviceId} failed:`, error.message);
+      return res.status(500).json({ error: 'Could not read device status' });
+    }
+
+    // Expiry warnings follow the session, top-ups included. Once streaming,
+    // errors can only end the stream.
+    let timers = [];
+    function failStream(error) {
+      console.error(`❌ Event stream for ${deviceId} failed:`, error.message);
+      stream.close();
+    }
+    async function scheduleExpiry() {
+      const expiresAtMs = (await sessionExpirySeconds(decoded)) * 1000;
+      const session = {
+        sessionId,
+        expiresAt: new Date(expiresAtMs).toISOString(),
+      };
+      const untilExpiry = expiresAtMs - Date.now();
+
+      timers.forEach(clearTimeout);
+      timers = [
+        setTimeout(
+          () =>
+            stream.send('session.expiring', {
+              ...session,
+              secondsRemaining: Math.max(
+                0,
+                Math.round((expiresAtMs - Date.now()) / 1000)
+              ),
+            }),
+          Math.max(0, untilExpiry - SESSION_EXPIRY_WARNING_SECONDS * 1000)
+        ),
+        setTimeout(() => {
+          stream.send('session.expired', session);
+          stream.close();
+        }, Math.max(0, untilExpiry)),
+      ];
+    }
+
+    const unsubscribe = events.subscribe((event) => {
+      if (event.data.sessionId !== sessionId) return;
+      if (event.type === 'payment.verified') {
+        scheduleExpiry().catch(failStream);
+      } else if (event.type === 'session.revoked') {
+        stream.close();
+      }
+    });
+    stream.onClose(() => {
+      unsubscribe();
+      timers.forEach(clearTimeout);
+    });
+
+    scheduleExpiry().catch(failStream);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Offline ticket for BLE/NFC lock devices (requires a session or X.402
+ * token for lock time)
+ * POST /devices/:deviceId/ticket
+ * body: { actions? }  'unlock' and/or 'lock', both by default
+ *
+ * The phone hands the ticket to the device, which verifies it against the
+ * public key it was provisioned with. Valid until the session ends, at most
+ * OFFLINE_TICKET_MAX_MINUTES: a ticket keeps working even if the session is
+ * revoked later.
+ */
+app.post('/devices/:deviceId/ticket', async (req, res, next) => {
+  try {
+    const { deviceId } = req.params;
+    const authHeader = req.headers.authorization;
+
+    const device = await getActiveDevice(deviceId);
+    if (!device) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+
+    if (!supportsOfflineTickets(device)) {
+      return res
+        .status(400)
+        .json({ error: 'Device does not support offline tickets' });
+    }
+
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({
+        error: 'Missing session token',
+        message: 'Please verify your payment first to get a session token',
+      });
+    }
+
+    const decoded = await verifySessionToken(authHeader.slice(7));
+    if (!decoded) {
+      return res.status(401).json({
+        error: 'Invalid or expired session token',
+        message: 'Please verify your payment again',
+      });
+    }
+
+    if (decoded.deviceId !== deviceId) {
+      return res.status(403).json({ error: 'Token not valid for this device' });
+    }
+
+    // Lock time only: an item purchase pays for one use, not a ticket
+    if (decoded.type === 'x402-access') {
+      const purchase = await store.get('x402Challenges', decoded.challengeId);
+      if (purchase && purchase.itemId) {
+        return res
+          .status(403)
+          .json({ error: 'Token was not issued for lock time' });
+      }
+    }
+
+    const allowed = ['unlock', 'lock'];
+    const actions = req.body.actions || allowed;
+    if (
+      !Array.isArray(actions) ||
+      actions.length === 0 ||
+      actions.some((action) => !allowed.includes(action))
+    ) {
+      return res.status(400).json({
+        error: `actions must be a non-empty subset of: ${allowed.join(', ')}`,
+      });
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const validUntil = Math.min(
+      await sessionExpirySeconds(decoded),
+      now + OFFLINE_TICKET_MAX_MINUTES * 60
+    );
+
+    const issued = await ticketIssuer.issueTicket({
+      deviceId,
+      walletAddress: decoded.walletAddress,
+      chain: detectWalletChain(decoded.walletAddress),
+      // Order follows the bitmask so the same request yields the same bits
+      actions: Object.keys(ACTION_BITS).filter((action) =>
+        actions.includes(action)
+      ),
+      validFrom: now,
+      validUntil,
+    });
+
+    if (!issued) {
+      return res
+        .status(409)
+        .json({ error: 'Device has no ticket key provisioned', deviceId });
+    }
+
+    console.log(
+      `\n🎫 Offline ticket #${issued.nonce} for ${deviceId} ` +
+        `(${issued.actions.join(', ')})`
+    );
+
+    res.json({
+      ticket: issued.ticket,
+      encoding: 'base64url',
+      deviceId,
+      walletAddress: issued.walletAddress,
+      actions: issued.actions,
+      nonce: issued.nonce,
+      validFrom: new Date(issued.validFrom * 1000).toISOString(),
+      validUntil: new Date(issued.validUntil * 1000).toISOString(),
+      transports: [
+        ...(device.supportsBLE ? ['BLE'] : []),
+        ...(device.supportsNFC ? ['NFC'] : []),
+      ],
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ============ X.402 ROUTES ============
+
+/**
+ * X.402: Request payment challenge
+ * POST /x402/:deviceId/challenge
+ * body: { walletAddress, chain?, asset?, minutes?, brewType? }
+ *   chain: 'solana' (default) | 'base' (USDC)
+ *   asset: Solana asset to pay in (a SOLANA_ASSETS code, TSE by default)
+ *   minutes: lock session length (a tier of the device's price plan)
+ *   brewType: item of the device's price plan (coffee devices)
+ * headers: Authorization: Bearer <wallet token>, optional; on Base only
+ *   challenges opened with one are settled by the payment watcher
+ */
+app.post('/x402/:deviceId/challenge', async (req, res, next) => {
+  try {
+    const { deviceId } = req.params;
+    const { walletAddress, minutes, brewType } = req.body;
+    const chain = String(req.body.chain || 'solana').toLowerCase();
+
+    const device = await getActiveDevice(deviceId);
+    if (!device) {
+      return res.status(404).json({ error: 'Device not found', deviceId });
+    }
+    if (!walletAddress || typeof walletAddress !== 'string') {
+      return res.status(400).json({ error: 'walletAddress required' });
+    }
+
+    if (chain !== 'solana' && chain !== 'base') {
+      return res.status(400).json({
+        error: `Unsupported chain: ${chain}. Use 'solana' or 'base'.`,
+      });
+    }
+
+    if (detectWalletChain(walletAddress) !== chain) {
+      return res
+        .status(400)
+        .json({ error: `walletAddress is not a valid ${chain} address` });
+    }
+
+    const currency =
+      chain === 'base'
+        ? 'USDC'
+        : String(req.body.asset || DEFAULT_SOLANA_ASSET).toUpperCase();
+    if (!SOLANA_ASSETS[currency] && chain === 'solana') {
+      return res.status(400).json({
+        error: `Unsupported Solana asset: ${currency}`,
+        assets: Object.keys(SOLANA_ASSETS),
+      });
+    }
+
+    console.log(
+      `\n🧾 X.402 challenge requested for ${deviceId} by ${walletAddress.substring(
+        0,
+        10
+      )}... (${chain}, ${currency})`
+    );
+
+    const availability = await checkDeviceOnline(deviceId);
+    if (!availability.ok) {
+      return res
+        .status(availability.status)
+        .json({ error: availability.error, lastSeen: availability.lastSeen });
+    }
+
+    const capacity = await checkOpenChallenges('x402Challenges', {
+      walletAddress,
+      deviceId,
+    });
+    if (!capacity.ok) {
+      return res.status(capacity.status).json({ error: capacity.error });
+    }
+
+    const quote = await pricing.quote(device, {
+      currency,
+      minutes,
+      itemId: brewType,
+    });
+    if (!quote.ok) {
+      return res
+        .status(quote.code === 'rate_unavailable' ? 503 : 400)
+        .json({ error: quote.error });
+    }
+
+    const purchase = {
+      planId: quote.planId,
+      minutes: quote.minutes,
+      itemId: quote.itemId,
+    };
+
+    // Rate used for the amount; locked with the challenge until expiresAt
+    const rate = quote.conversion;
+
+    if (chain === 'base') {
+      const { challengeId, record, clientSecret } = await createX402Challenge({
+        deviceId,
+        walletAddress,
+        chain: 'base',
+        token: 'USDC',
+        amount: quote.rawAmount,
+        uiAmount: quote.amount,
+        receiver: BASE_USDC_RECEIVER,
+        recipients: paymentRecipients(device, 'base', quote.rawAmount),
+        purchase,
+        rate,
+        ttlSeconds: 600, // 10 minutes
+        walletVerified: await hasWalletToken(req, walletAddress),
+      });
+
+      return res.json({
+        challengeId,
+        clientSecret,
+        deviceId,
+        purchase,
+        payment: {
+          chain: record.chain,
+          token: record.token,
+          amount: record.amount,
+          uiAmount: record.uiAmount,
+          rate: record.rate,
+          ...assetDetails(record.token),
+          receiver: record.receiver,
+          recipients: toPublicRecipients(record.recipients, record.token),
+          expiresAt: record.expiresAt,
+        },
+        message:
+          'Transfer each recipient its USDC amount from walletAddress, in one transaction, before expiresAt, then call /x402/:deviceId/verify with the txHash.',
+      });
+    }
+
+    const amountRequired = Number(quote.rawAmount);
+
+    const { challengeId, record, clientSecret } = await createX402Challenge({
+      deviceId,
+      walletAddress,
+      chain: 'solana',
+      token: currency,
+      amount: amountRequired,
+      uiAmount: quote.amount,
+      receiver: TSE_RECEIVER_WALLET,
+      recipients: paymentRecipients(device, 'solana', quote.rawAmount),
+      purchase,
+      rate,
+      ttlSeconds: 600, // 10 minutes
+    });
+
+    return res.json({
+      challengeId,
+      clientSecret,
+      deviceId,
+      purchase,
+      payment: {
+        chain: record.chain,
+        token: record.token,
+        amount: record.amount,
+        uiAmount: record.uiAmount,
+        rate: record.rate,
+        ...assetDetails(record.token),
+        receiver: record.receiver,
+        recipients: toPublicRecipients(record.recipients, record.token),
+        expiresAt: record.expiresAt,
+      },
+      solanaPay: solanaPayRequest(record, device),
+      message: `Send each recipient its ${
+        SOLANA_ASSETS[currency].symbol
+      } amount, in one transaction, before expiresAt, then call /x402/:deviceId/verify with the txHash, or /x402/:deviceId/lookup once the transaction carrying solanaPay.reference has confirmed.`,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Checks shared by /verify and /lookup: the challenge exists, is this
+ * device's and wallet's, and is still open. Resolves { ok, record } or
+ * { ok: false, status, body }.
+ */
+async function findOpenX402Challenge(deviceId, challengeId, walletAddress) {
+  const record = await store.get('x402Challenges', challengeId);
+  if (!record) {
+    return {
+      ok: false,
+      status: 404,
+      body: { error: 'Challenge not found', challengeId },
+    };
+  }
+
+  if (record.deviceId !== deviceId) {
+    return {
+      ok: false,
+      status: 400,
+      body: { error: 'Challenge does not match device' },
+    };
+  }
+
+  if (record.walletAddress !== walletAddress) {
+    return {
+      ok: false,
+      status: 400,
+      body: { error: 'Challenge does not belong to wallet' },
+    };
+  }
+
+  const now = new Date();
+  if (now > new Date(record.expiresAt)) {
+    return { ok: false, status: 410, body: { error: 'Challenge expired' } };
+  }
+
+  // The tokens are only for the challenge's creator, on the status route
+  if (record.paid) {
+    return {
+      ok: false,
+      status: 409,
+      body: { error: 'Challenge already used', challengeId },
+    };
+  }
+
+  return { ok: true, record };
+}
+
+/**
+ * Settle an open challenge with `txHash` and answer with the access token
+ * (the /verify response)
+ */
+async function respondWithX402Settlement(res, challengeId, record, txHash) {
+  const settlement = await settleX402Challenge(challengeId, record, txHash);
+  return sendX402Settlement(res, challengeId, record, txHash, settlement);
+}
+
+/**
+ * Answer with the outcome of settling a challenge with `txHash`: the access
+ * token (or brew order) or the settlement error
+ */
+function sendX402Settlement(res, challengeId, record, txHash, settlement) {
+  const { deviceId } = record;
+
+  if (!settlement.ok) {
+    if (settlement.body.retryAfter) {
+      res.set('Retry-After', String(settlement.body.retryAfter));
+    }
+    return res.status(settlement.status).json(settlement.body);
+  }
+
+  const { accessToken, payload, brewOrder } = settlement;
+
+  if (!payload) {
+    console.log(`✅ X.402 brew order opened for ${deviceId}`);
+    return res.json({
+      verified: true,
+      deviceId,
+      challengeId,
+      txHash,
+      orderId: brewOrder ? brewOrder.order.orderId : undefined,
+      orderToken: brewOrder ? brewOrder.orderToken : undefined,
+      message:
+        'Payment verified. Use this orderToken as Bearer token on /devices/:deviceId/brew to brew once.',
+    });
+  }
+
+  console.log(`✅ X.402 access token issued for ${deviceId}`);
+
+  return res.json({
+    verified: true,
+    deviceId,
+    challengeId,
+    extendsChallengeId: record.extendsChallengeId || undefined,
+    txHash,
+    accessToken,
+    expiresAt: new Date(payload.exp * 1000).toISOString(),
+    message: record.extendsChallengeId
+      ? 'Top-up verified. This accessToken replaces the previous one and carries the extended expiry.'
+      : 'Payment verified. Use this accessToken as Bearer token to control the device via X.402 endpoints.',
+  });
+}
+
+/**
+ * X.402: Verify payment + issue access token
+ * POST /x402/:deviceId/verify
+ * body: { walletAddress, challengeId, txHash }
+ */
+app.post('/x402/:deviceId/verify', async (req, res, next) => {
+  try {
+    const { deviceId } = req.params;
+    const { walletAddress, challengeId, txHash } = req.body;
+
+    const device = await getActiveDevice(deviceId);
+    if (!device) {
+      return res.status(404).json({ error: 'Device not found', deviceId });
+    }
+
+    if (!walletAddress || !challengeId || !txHash) {
+      return res
+        .status(400)
+        .json({ error: 'walletAddress, challengeId and txHash required' });
+    }
+
+    const challenge = await findOpenX402Challenge(
+      deviceId,
+      challengeId,
+      walletAddress
+    );
+    if (!challenge.ok) {
+      return res.status(challenge.status).json(challenge.body);
+    }
+
+    console.log(
+      `\n💳 X.402 verify for challenge ${challengeId}, tx ${txHash}`
+    );
+
+    return respondWithX402Settlement(
+      res,
+      challengeId,
+      challenge.record,
+      txHash
+    );
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * X.402: Find a Solana payment by its Solana Pay reference + issue access
+ * token
+ * POST /x402/:deviceId/lookup
+ * body: { walletAddress, challengeId }
+ *
+ * For wallets that paid the challenge's solanaPay request and never saw the
+ * signature. 404 with pending: true until a transaction carrying the
+ * reference has confirmed; then it is verified exactly like /verify would.
+ */
+app.post('/x402/:deviceId/lookup', async (req, res, next) => {
+  try {
+    const { deviceId } = req.params;
+    const { walletAddress, challengeId } = req.body;
+
+    const device = await getActiveDevice(deviceId);
+    if (!device) {
+      return res.status(404).json({ error: 'Device not found', deviceId });
+    }
+
+    if (!walletAddress || !challengeId) {
+      return res
+        .status(400)
+        .json({ error: 'walletAddress and challengeId required' });
+    }
+
+    const challenge = await findOpenX402Challenge(
+      deviceId,
+      challengeId,
+      walletAddress
+    );
+    if (!challenge.ok) {
+      return res.status(challenge.status).json(challenge.body);
+    }
+
+    const { record } = challenge;
+    if (!record.reference) {
+      return res
+        .status(400)
+        .json({ error: 'Challenge has no Solana Pay reference' });
+    }
+
+    let signatures;
+    try {
+      const connection = new Connection(SOLANA_RPC_URL, 'confirmed');
+      signatures = await referenceSignatures(connection, record.reference);
+    } catch (error) {
+      console.error('❌ Solana Pay reference lookup failed:', error.message);
+      return res
+        .status(502)
+        .json({ error: 'Could not query Solana RPC, try again' });
+    }
+
+    if (signatures.length === 0) {
+      return res.status(404).json({
+        error: 'No confirmed transaction with this reference yet',
+        reference: record.reference,
+        pending: true,
+      });
+    }
+
+    // Anyone can attach the public reference to a transaction: like the
+    // watcher, try each one until one pays the challenge
+    let txHash;
+    let settlement;
+    for (const signature of signatures) {
+      txHash = signature;
+      settlement = await settleX402Challenge(challengeId, record, txHash, {
+        detectedBy: 'lookup',
+      });
+      if (settlement.ok) break;
+    }
+
+    console.log(
+      `\n🔎 X.402 reference ${record.reference} checked ${signatures.length} tx(s) for challenge ${challengeId}`
+    );
+
+    return sendX402Settlement(res, challengeId, record, txHash, settlement);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Resolves once `challengeId` is settled in this process, or after timeoutMs
+function waitForX402Payment(challengeId, timeoutMs) {
+  return new Promise((resolve) => {
+    let timer = null;
+    let unsubscribe = null;
+    const done = () => {
+      clearTimeout(timer);
+      if (unsubscribe) unsubscribe();
+      resolve();
+    };
+
+    unsubscribe = events.subscribe((event) => {
+      if (
+        event.type === 'payment.verified' &&
+        event.data.challengeId === challengeId
+      ) {
+        done();
+      }
+    });
+    timer = setTimeout(done, timeoutMs);
+
+    // Paid before the subscription was in place
+    store.get('x402Challenges', challengeId).then((record) => {
+      if (!record || record.paid) done();
+    }, done);
+  });
+}
+
+/**
+ * X.402: Challenge status, for clients waiting on a payment the watcher
+ * settles
+ * GET /x402/:deviceId/challenges/:challengeId?walletAddress=...&wait=<seconds>
+ *
+ * headers: X-Challenge-Secret: <clientSecret from the challenge response>
+ *
+ * With wait (up to CHALLENGE_WAIT_MAX_SECONDS) an open challenge is held
+ * until it is paid or the wait runs out. A paid challenge carries its
+ * accessToken (and a brew's orderToken) only for a request with the
+ * challenge's clientSecret; anyone else just sees the status.
+ */
+app.get('/x402/:deviceId/challenges/:challengeId', async (req, res, next) => {
+  try {
+    const { deviceId, challengeId } = req.params;
+    const { walletAddress } = req.query;
+    const wait = Math.min(
+      Math.max(parseInt(req.query.wait || '0', 10) || 0, 0),
+      CHALLENGE_WAIT_MAX_SECONDS
+    );
+
+    if (!walletAddress || typeof walletAddress !== 'string') {
+      return res.status(400).json({ error: 'walletAddress required' });
+    }
+
+    let record = await store.get('x402Challenges', challengeId);
+    if (
+      !record ||
+      record.deviceId !== deviceId ||
+      record.walletAddress !== walletAddress
+    ) {
+      return res
+        .status(404)
+        .json({ error: 'Challenge not found', challengeId });
+    }
+
+    if (wait > 0 && !record.paid && !isPast(record.expiresAt, Date.now())) {
+      await waitForX402Payment(challengeId, wait * 1000);
+      record = (await store.get('x402Challenges', challengeId)) || record;
+    }
+
+    const status = {
+      challengeId,
+      deviceId,
+      status: record.paid
+        ? 'paid'
+        : isPast(record.expiresAt, Date.now())
+        ? 'expired'
+        : 'open',
+      chain: record.chain,
+      token: record.token,
+      expiresAt: record.expiresAt,
+      extendsChallengeId: record.extendsChallengeId || undefined,
+      txHash: record.txHash,
+      sessionExpiresAt: record.sessionExpiresAt || undefined,
+      refundReason: record.refundReason || undefined,
+    };
+    if (
+      !record.paid ||
+      !isChallengeOwner(record, req.headers['x-challenge-secret'])
+    ) {
+      return res.json(status);
+    }
+
+    res.json({
+      ...status,
+      accessToken: record.accessToken || undefined,
+      orderId: record.orderId,
+      orderToken: record.orderToken,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * X.402: Top up an active session
+ * POST /x402/:deviceId/extend
+ * headers: Authorization: Bearer <X.402 access token>
+ * body: { minutes? }  a tier of the device's price plan
+ *
+ * Opens a top-up challenge on the token's chain and wallet; pay it and call
+ * /x402/:deviceId/verify as usual to get a token with the later expiry.
+ * Tokens that ran out less than X402_EXTENSION_GRACE_SECONDS ago still count.
+ */
+app.post('/x402/:deviceId/extend', async (req, res, next) => {
+  try {
+    const { deviceId } = req.params;
+    const { minutes } = req.body;
+    const authHeader = req.headers.authorization;
+
+    const device = await getActiveDevice(deviceId);
+    if (!device) {
+      return res.status(404).json({ error: 'Device not found', deviceId });
+    }
+
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res
+        .status(401)
+        .json({ error: 'Missing or invalid Authorization header' });
+    }
+
+    let decoded;
+    try {
+      decoded = await tokenKeys.verify(authHeader.slice(7), {
+        clockTolerance: X402_EXTENSION_GRACE_SECONDS,
+      });
+      if (decoded.type !== 'x402-access') {
+        throw new Error('Wrong token type');
+      }
+    } catch (error) {
+      return res.status(401).json({
+        error: 'Invalid or expired X.402 access token',
+        message: error.message,
+      });
+    }
+
+    if (decoded.deviceId !== deviceId) {
+      return res.status(403).json({ error: 'Token not valid for this device' });
+    }
+
+    if (await revocations.isRevoked(decoded.challengeId)) {
+      return res.status(401).json({ error: 'Session has been revoked' });
+    }
+
+    const session = await store.get('x402Challenges', decoded.challengeId);
+    if (!session || !session.paid) {
+      return res.status(410).json({ error: 'Session has ended' });
+    }
+
+    const availability = await checkDeviceOnline(deviceId);
+    if (!availability.ok) {
+      return res
+        .status(availability.status)
+        .json({ error: availability.error, lastSeen: availability.lastSeen });
+    }
+
+    const capacity = await checkOpenChallenges('x402Challenges', {
+      walletAddress: decoded.walletAddress,
+      deviceId,
+    });
+    if (!capacity.ok) {
+      return res.status(capacity.status).json({ error: capacity.error });
+    }
+
+    // Top-ups are paid in the session's own currency
+    const chain = decoded.chain;
+    const currency = session.token;
+
+    const quote = await pricing.quote(device, { currency, minutes });
+    if (!quote.ok) {
+      return res
+        .status(quote.code === 'rate_unavailable' ? 503 : 400)
+        .json({ error: quote.error });
+    }
+    if (!quote.minutes) {
+      return res
+        .status(400)
+        .json({ error: 'Sessions on this device cannot be extended' });
+    }
+
+    const purchase = {
+      planId: quote.planId,
+      minutes: quote.minutes,
+      itemId: null,
+    };
+
+    const { challengeId, record, clientSecret } = await createX402Challenge({
+      deviceId,
+      walletAddress: decoded.walletAddress,
+      chain,
+      token: currency,
+      amount: quote.rawAmount,
+      uiAmount: quote.amount,
+      receiver: chain === 'base' ? BASE_USDC_RECEIVER : TSE_RECEIVER_WALLET,
+      recipients: paymentRecipients(device, chain, quote.rawAmount),
+      purchase,
+      rate: quote.conversion,
+      ttlSeconds: 600, // 10 minutes
+      extendsChallengeId: decoded.challengeId,
+    });
+
+    console.log(
+      `\n⏫ X.402 top-up of ${quote.minutes} min requested for session ${decoded.challengeId}`
+    );
+
+    res.json({
+      challengeId,
+      clientSecret,
+      extendsChallengeId: decoded.challengeId,
+      deviceId,
+      purchase,
+      currentExpiresAt: session.sessionExpiresAt,
+      payment: {
+        chain: record.chain,
+        token: record.token,
+        amount: record.amount,
+        uiAmount: record.uiAmount,
+        rate: record.rate,
+        ...assetDetails(record.token),
+        receiver: record.receiver,
+        recipients: toPublicRecipients(record.recipients, record.token),
+        expiresAt: record.expiresAt,
+      },
+      solanaPay:
+        chain === 'solana'
+          ? solanaPayRequest(record, device)
+          : undefined,
+      message:
+        'Pay the top-up like a normal challenge, then call /x402/:deviceId/verify with this challengeId and the txHash (or /x402/:deviceId/lookup for Solana Pay) to receive the extended access token.',
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Check the Bearer X.402 access token; sets req.x402 when valid.
+ */
+async function authenticateX402(req) {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return { ok: false, error: 'Missing or invalid Authorization header' };
+  }
+
+  const token = authHeader.slice(7);
+
+  let decoded;
+  try {
+    decoded = await tokenKeys.verify(token);
+    if (decoded.type !== 'x402-access') {
+      throw new Error('Wrong token type');
+    }
+  } catch (error) {
+    return { ok: false, error: error.message };
+  }
+
+  if (await revocations.isRevoked(decoded.challengeId)) {
+    return { ok: false, error: 'Session has been revoked' };
+  }
+  req.x402 = decoded;
+  return { ok: true };
+}
+
+/**
+ * Middleware: 404 unless :deviceId is an active device; sets req.device
+ */
+async function requireActiveDevice(req, res, next) {
+  try {
+    const { deviceId } = req.params;
+    const device = await getActiveDevice(deviceId);
+    if (!device) {
+      return res.status(404).json({ error: 'Device not found', deviceId });
+    }
+    req.device = device;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Middleware (after requireActiveDevice): only lock devices are unlocked
+ * and locked; a brew is paid through its single-use order
+ */
+function requireLockDevice(req, res, next) {
+  if (!req.device.supportsLock) {
+    return res.status(400).json({ error: 'Device does not support locking' });
+  }
+  next();
+}
+
+// ============ X.402 PAYWALL (x402 HTTP HANDSHAKE) ============
+
+const facilitator = X402_FACILITATOR_URL
+  ? createFacilitatorClient(X402_FACILITATOR_URL)
+  : null;
+
+const X402_OFFER_TTL_SECONDS = 600;
+
+// One accepted payment per network: Solana is offered in its default asset
+const X402_NETWORKS = {
+  base: { currency: 'USDC', asset: USDC_CONTRACT, receiver: BASE_USDC_RECEIVER },
+  solana: {
+    currency: DEFAULT_SOLANA_ASSET,
+    asset: SOLANA_ASSETS[DEFAULT_SOLANA_ASSET].mint || 'native',
+    receiver: TSE_RECEIVER_WALLET,
+  },
+};
+
+/**
+ * Quote for lock time on a device/network, pinned for a while so that the
+ * retried request is priced exactly like the 402 that prompted it.
+ * A fresh offer is made once less than half of its lifetime is left.
+ */
+async function getX402Offer(device, chain, { minutes, currency }) {
+  const network = X402_NETWORKS[chain];
+  const token = currency || network.currency;
+  const key = [device.deviceId, chain, token, minutes || ''].join(':');
+  const existing = await store.get('x402Offers', key);
+  if (
+    existing &&
+    new Date(existing.expiresAt).getTime() - Date.now() >
+      (X402_OFFER_TTL_SECONDS * 1000) / 2
+  ) {
+    return { ok: true, offer: existing };
+  }
+
+  const quote = await pricing.quote(device, { currency: token, minutes });
+  if (!quote.ok) return quote;
+
+  const offer = {
+    deviceId: device.deviceId,
+    chain,
+    token,
+    amount: quote.rawAmount,
+    uiAmount: quote.amount,
+    receiver: network.receiver,
+    recipients: paymentRecipients(device, chain, quote.rawAmount),
+    purchase: {
+      planId: quote.planId,
+      minutes: quote.minutes,
+      itemId: quote.itemId,
+    },
+    rate: quote.conversion,
+    expiresAt: new Date(
+      Date.now() + X402_OFFER_TTL_SECONDS * 1000
+    ).toISOString(),
+  };
+  await store.set('x402Offers', key, offer);
+  return { ok: true, offer };
+}
+
+function createChallengeFromOffer(offer, walletAddress) {
+  return createX402Challenge({
+    deviceId: offer.deviceId,
+    walletAddress,
+    chain: offer.chain,
+    token: offer.token,
+    amount: offer.amount,
+    uiAmount: offer.uiAmount,
+    receiver: offer.receiver,
+    recipients: challengeRecipients(offer),
+    purchase: offer.purchase,
+    rate: offer.rate,
+    ttlSeconds: X402_OFFER_TTL_SECONDS,
+    // Settled right away by whoever opened it
+    withClientSecret: false,
+  });
+}
+
+/**
+ * x402 PaymentRequirements of an offer for `device`, as listed in a 402's
+ * accepts
+ */
+function offerToRequirements(req, device, offer) {
+  const decimals = CURRENCIES[offer.token].decimals;
+  return {
+    scheme: 'exact',
+    network: offer.chain,
+    maxAmountRequired: offer.amount,
+    resource: `${req.protocol}://${req.get('host')}${req.originalUrl}`,
+    description: `${device.deviceName}: ${
+      offer.purchase.minutes
+        ? `${offer.purchase.minutes}-minute session`
+        : offer.purchase.itemId
+    }`,
+    mimeType: 'application/json',
+    payTo: offer.receiver,
+    maxTimeoutSeconds: Math.max(
+      0,
+      Math.floor((new Date(offer.expiresAt).getTime() - Date.now()) / 1000)
+    ),
+    asset: X402_NETWORKS[offer.chain].asset,
+    outputSchema: null,
+    extra: {
+      // EIP-712 domain of USDC for 'exact' EVM authorizations
+      ...(offer.chain === 'base' ? { name: 'USD Coin', version: '2' } : {}),
+      decimals,
+      uiAmount: offer.uiAmount,
+      deviceId: offer.deviceId,
+      ...offer.purchase,
+      rate: offer.rate,
+      // With an owner payout, payTo only gets the platform fee: every
+      // recipient must be paid in the transaction named by the payload
+      recipients: toPublicRecipients(challengeRecipients(offer), offer.token),
+    },
+  };
+}
+
+async function getX402Requirements(req) {
+  const options = { minutes: req.query.minutes };
+
+  req.x402Offers = {};
+  const accepts = [];
+  for (const chain of Object.keys(X402_NETWORKS)) {
+    const result = await getX402Offer(req.device, chain, options);
+    if (!result.ok) {
+      console.log(`   ⚠️  No ${chain} offer: ${result.error}`);
+      continue;
+    }
+    req.x402Offers[chain] = result.offer;
+    accepts.push(offerToRequirements(req, req.device, result.offer));
+  }
+  return accepts;
+}
+
+/**
+ * Settle an X-PAYMENT payload. Payloads of the form { txHash, payer }
+ * (an already broadcast transfer) are verified locally; anything else is
+ * handed to the facilitator, whose settlement tx is then verified the same
+ * way. Either path ends in a paid challenge + access token.
+ */
+async function settleX402Payment(req, paymentPayload, requirements) {
+  const offer = req.x402Offers[requirements.network];
+  const { payload } = paymentPayload;
+
+  let txHash = payload.txHash;
+  let payer = payload.payer;
+
+  if (!txHash) {
+    if (!facilitator) {
+      return {
+        success: false,
+        errorReason: 'Payload must carry txHash and payer',
       };
-    } else {
-      console.log(`❌ Insufficient TSE balance`);
+    }
+    // The 'exact' scheme pays payTo alone, which cannot cover a split
+    if (challengeRecipients(offer).length > 1) {
       return {
-        verified: false,
-        message: `Insufficient TSE. Have: ${balanceTSE.toFixed(
-          2
-        )}, Need: ${requiredTSE.toFixed(2)}`,
+        success: false,
+        errorReason: 'Split payment: pay every recipient, then send txHash',
       };
     }
-  } catch (error) {
-    console.error('❌ Solana payment verification error:', error.message);
+
+    try {
+      const verification = await facilitator.verify(
+        paymentPayload,
+        requirements
+      );
+      if (!verification.isValid) {
+        return {
+          success: false,
+          errorReason: verification.invalidReason || 'Payment invalid',
+        };
+      }
+
+      const settled = await facilitator.settle(paymentPayload, requirements);
+      if (!settled.success) {
+        return {
+          success: false,
+          errorReason: settled.errorReason || 'Settlement failed',
+        };
+      }
+      txHash = settled.transaction;
+      payer = settled.payer || verification.payer;
+    } catch (error) {
+      console.error('❌ x402 facilitator error:', error.message);
+      return { success: false, errorReason: error.message };
+    }
+  }
+
+  if (!payer || detectWalletChain(payer) !== offer.chain) {
+    return {
+      success: false,
+      errorReason: `payer must be a valid ${offer.chain} address`,
+    };
+  }
+
+  console.log(
+    `\n💳 x402 payment for ${offer.deviceId} on ${offer.chain}, tx ${txHash}`
+  );
+
+  const capacity = await checkOpenChallenges('x402Challenges', {
+    walletAddress: payer,
+    deviceId: offer.deviceId,
+  });
+  if (!capacity.ok) {
+    return { success: false, errorReason: capacity.error };
+  }
+
+  const { challengeId, record } = await createChallengeFromOffer(
+    offer,
+    payer
+  );
+
+  const settlement = await settleX402Challenge(challengeId, record, txHash);
+  if (!settlement.ok) {
     return {
-      verified: false,
-      message: `Solana verification failed: ${error.message}`,
+      success: false,
+      errorReason: settlement.body.message || settlement.body.error,
     };
   }
+
+  req.x402 = settlement.payload;
+  console.log(`✅ x402 payment settled, access token issued`);
+
+  return {
+    success: true,
+    transaction: txHash,
+    network: offer.chain,
+    payer,
+    extra: {
+      challengeId,
+      accessToken: settlement.accessToken,
+      expiresAt: new Date(settlement.payload.exp * 1000).toISOString(),
+    },
+  };
 }
 
-// ============ X.402 CHALLENGE STORE ============
+const x402Paywall = createX402Paywall({
+  authenticate: authenticateX402,
+  getRequirements: getX402Requirements,
+  settle: settleX402Payment,
+});
 
-// In-memory challenge table
-const challenges = new Map();
-/*
-  challengeId -> {
-    deviceId,
-    walletAddress,
-    chain,
-    token,
-    amount,
-    receiver,
-    createdAt,
-    expiresAt,
-    paid,
-    txHash,
-    accessToken
+/**
+ * No 402 offers for an offline device. Valid access tokens, and X-PAYMENTs
+ * for offers made while it was online, go on to the paywall.
+ */
+async function requireOnlineForSale(req, res, next) {
+  try {
+    if (req.headers['x-payment'] || (await authenticateX402(req)).ok) {
+      return next();
+    }
+
+    const availability = await checkDeviceOnline(req.device.deviceId);
+    if (!availability.ok) {
+      return res
+        .status(availability.status)
+        .json({ error: availability.error, lastSeen: availability.lastSeen });
+    }
+    next();
+  } catch (error) {
+    next(error);
   }
-*/
+}
 
-function createX402Challenge({
-  deviceId,
-  walletAddress,
-  chain,
-  token,
-  amount,
-  receiver,
-  ttlSeconds = 600,
-}) {
-  const challengeId = crypto.randomBytes(16).toString('hex');
-  const now = new Date();
-  const expiresAt = new Date(now.getTime() + ttlSeconds * 1000);
+// Either a valid access token or an X-PAYMENT that settles
+const x402Access = [
+  requireActiveDevice,
+  requireLockDevice,
+  requireOnlineForSale,
+  x402Paywall,
+];
 
-  const record = {
-    deviceId,
-    walletAddress,
-    chain,
-    token,
-    amount,
-    receiver,
-    createdAt: now,
-    expiresAt,
-    paid: false,
-    txHash: null,
-    accessToken: null,
-  };
+/**
+ * X.402: Unlock using X.402 token
+ */
+app.post('/x402/:deviceId/unlock', x402Access, async (req, res, next) => {
+  try {
+    const { deviceId } = req.params;
 
-  challenges.set(challengeId, record);
-  return { challengeId, record };
-}
+    if (req.x402.deviceId !== deviceId) {
+      return res
+        .status(403)
+        .json({ error: 'Token not valid for this device' });
+    }
 
-// ============ X.402: VERIFY REAL TSE PAYMENT BY TX (B2 STRICT) ============
+    console.log(`\n🔓 X.402 unlock request for ${deviceId} (token OK)`);
 
-async function verifySolanaTsePaymentByTx(
-  txHash,
-  expectedReceiver,
-  tokenMint,
-  amountRequired
-) {
+    const result = await deviceChannel.sendCommand(deviceId, 'unlock', {
+      walletAddress: req.x402.walletAddress,
+      sessionExpiresAt: new Date(req.x402.exp * 1000).toISOString(),
+    });
+    if (!result.ok) {
+      await refundSessionPayment(
+        req.x402.challengeId,
+        req.x402.chain,
+        req.x402.txHash,
+        result.status === 'offline' ? 'device_offline' : 'command_failed',
+        { note: result.error }
+      );
+      return sendCommandFailure(res, deviceId, 'unlock', result);
+    }
+
+    await setDeviceLockState(
+      deviceId,
+      'unlocked',
+      req.x402.walletAddress,
+      new Date(req.x402.exp * 1000).toISOString()
+    );
+
+    res.json({
+      success: true,
+      granted: true,
+      action: 'unlock',
+      deviceId,
+      commandId: result.commandId,
+      walletAddress: req.x402.walletAddress.substring(0, 10) + '...',
+      timestamp: new Date().toISOString(),
+      sessionExpiresAt: new Date(req.x402.exp * 1000).toISOString(),
+      message: '✅ Device unlocked via X.402 access token',
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * X.402: Lock using X.402 token
+ */
+app.post('/x402/:deviceId/lock', x402Access, async (req, res, next) => {
   try {
-    const connection = new Connection(SOLANA_RPC_URL, 'confirmed');
+    const { deviceId } = req.params;
 
-    console.log(`\n🔎 X.402: Checking Solana tx ${txHash}`);
-    console.log(`   Expected receiver: ${expectedReceiver}`);
-    console.log(`   Required raw amount: ${amountRequired}`);
+    if (req.x402.deviceId !== deviceId) {
+      return res
+        .status(403)
+        .json({ error: 'Token not valid for this device' });
+    }
 
-    const tx = await connection.getTransaction(txHash, {
-      maxSupportedTransactionVersion: 0,
+    console.log(`\n🔒 X.402 lock request for ${deviceId} (token OK)`);
+
+    const result = await deviceChannel.sendCommand(deviceId, 'lock', {
+      walletAddress: req.x402.walletAddress,
+      sessionExpiresAt: new Date(req.x402.exp * 1000).toISOString(),
     });
+    if (!result.ok) {
+      return sendCommandFailure(res, deviceId, 'lock', result);
+    }
 
-    if (!tx) {
-      console.log('❌ X.402: Transaction not found');
-      return { verified: false, message: 'Transaction not found' };
+    await setDeviceLockState(deviceId, 'locked', req.x402.walletAddress);
+
+    res.json({
+      success: true,
+      granted: true,
+      action: 'lock',
+      deviceId,
+      commandId: result.commandId,
+      walletAddress: req.x402.walletAddress.substring(0, 10) + '...',
+      timestamp: new Date().toISOString(),
+      sessionExpiresAt: new Date(req.x402.exp * 1000).toISOString(),
+      message: '✅ Device locked via X.402 access token',
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ============ WALLET SESSION MANAGEMENT ============
+
+// Signing a 'sessions' challenge yields a short-lived token for these routes,
+// so a wallet can end sessions even from a device that never held them
+const WALLET_TOKEN_TTL_SECONDS = 10 * 60;
+
+/**
+ * Whether the request carries a valid wallet token for `walletAddress`
+ */
+async function hasWalletToken(req, walletAddress) {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) return false;
+
+  try {
+    const decoded = await tokenKeys.verify(authHeader.slice(7));
+    return (
+      decoded.type === 'wallet-sessions' &&
+      decoded.walletAddress === walletAddress
+    );
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Middleware: require a wallet token for :walletAddress
+ */
+async function requireWalletToken(req, res, next) {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return res
+      .status(401)
+      .json({ error: 'Missing or invalid Authorization header' });
+  }
+
+  try {
+    const decoded = await tokenKeys.verify(authHeader.slice(7));
+    if (decoded.type !== 'wallet-sessions') {
+      throw new Error('Wrong token type');
+    }
+    if (decoded.walletAddress !== req.params.walletAddress) {
+      return res
+        .status(403)
+        .json({ error: 'Token not valid for this wallet' });
+    }
+    next();
+  } catch (error) {
+    return res.status(401).json({
+      error: 'Invalid or expired wallet token',
+      message: error.message,
+    });
+  }
+}
+
+/**
+ * Wallet sessions: request a challenge to prove wallet ownership
+ * POST /wallets/:walletAddress/sessions/challenge
+ */
+app.post('/wallets/:walletAddress/sessions/challenge', async (req, res, next) => {
+  try {
+    const { walletAddress } = req.params;
+
+    const chain = detectWalletChain(walletAddress);
+    if (!chain) {
+      return res.status(400).json({ error: 'Invalid wallet address format' });
     }
 
-    if (!tx.meta || tx.meta.err) {
-      console.log('❌ X.402: Transaction failed on-chain');
-      return { verified: false, message: 'On-chain transaction failed' };
+    const capacity = await checkOpenChallenges('authChallenges', {
+      walletAddress,
+    });
+    if (!capacity.ok) {
+      return res.status(capacity.status).json({ error: capacity.error });
     }
 
-    const mintPk = new PublicKey(tokenMint);
-    const receiverPk = new PublicKey(expectedReceiver);
+    const { challenge, record } = await createAuthChallenge(
+      null,
+      walletAddress,
+      chain,
+      'sessions'
+    );
 
-    // B2: require that the fee payer is the same wallet that requested access
-    const feePayer = tx.transaction.message.accountKeys[0];
-    console.log(`   Fee payer: ${feePayer.toBase58()}`);
+    res.json({
+      challenge,
+      chain,
+      messageToSign: record.message,
+      expiresAt: record.expiresAt,
+      message:
+        'Sign messageToSign with your wallet, then exchange it for a token at /wallets/:walletAddress/sessions/token',
+    });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    // The caller will separately ensure walletAddress matches fee payer.
+/**
+ * Wallet sessions: exchange a signed challenge for a wallet token
+ * POST /wallets/:walletAddress/sessions/token
+ * body: { challenge, signature }
+ */
+app.post('/wallets/:walletAddress/sessions/token', async (req, res, next) => {
+  try {
+    const { walletAddress } = req.params;
+    const { challenge, signature } = req.body;
 
-    const pre = tx.meta.preTokenBalances || [];
-    const post = tx.meta.postTokenBalances || [];
+    if (!challenge || !signature) {
+      return res
+        .status(400)
+        .json({ error: 'challenge and signature required' });
+    }
 
-    let receivedAmount = 0n;
+    const auth = await consumeAuthChallenge({
+      challenge,
+      purpose: 'sessions',
+      walletAddress,
+      signature,
+    });
+    if (!auth.ok) {
+      return res.status(auth.status).json({ error: auth.error });
+    }
 
-    // B2: Only count TSE that lands in the EXPECTED RECEIVER's token account
-    for (const postEntry of post) {
-      if (
-        postEntry.mint === mintPk.toBase58() &&
-        postEntry.owner === receiverPk.toBase58()
-      ) {
-        const preEntry = pre.find(
-          (p) => p.accountIndex === postEntry.accountIndex
-        );
+    const now = Math.floor(Date.now() / 1000);
+    const payload = {
+      type: 'wallet-sessions',
+      walletAddress,
+      iat: now,
+      exp: now + WALLET_TOKEN_TTL_SECONDS,
+    };
 
-        const before = preEntry
-          ? BigInt(preEntry.uiTokenAmount.amount)
-          : 0n;
-        const after = BigInt(postEntry.uiTokenAmount.amount);
-        const diff = after - before;
+    res.json({
+      token: tokenKeys.sign(payload),
+      expiresAt: new Date(payload.exp * 1000).toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Wallet sessions: list sessions that have not expired
+ * GET /wallets/:walletAddress/sessions
+ */
+app.get(
+  '/wallets/:walletAddress/sessions',
+  requireWalletToken,
+  async (req, res, next) => {
+    try {
+      const { walletAddress } = req.params;
+      res.json({
+        walletAddress,
+        sessions: await listActiveSessions({ walletAddress }),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Wallet sessions: end one session
+ * DELETE /wallets/:walletAddress/sessions/:sessionId
+ */
+app.delete(
+  '/wallets/:walletAddress/sessions/:sessionId',
+  requireWalletToken,
+  async (req, res, next) => {
+    try {
+      const { walletAddress, sessionId } = req.params;
 
-        if (diff > 0n) {
-          receivedAmount += diff;
+      const session = await store.get('sessions', sessionId);
+      if (!session || session.walletAddress !== walletAddress) {
+        return res.status(404).json({ error: 'Session not found', sessionId });
+      }
+
+      const revoked = await endSession(session, {
+        revokedBy: 'wallet',
+        reason: (req.body && req.body.reason) || null,
+      });
+      res.json({ sessionId, revoked, alreadyRevoked: !revoked });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Wallet sessions: end every active session
+ * DELETE /wallets/:walletAddress/sessions
+ */
+app.delete(
+  '/wallets/:walletAddress/sessions',
+  requireWalletToken,
+  async (req, res, next) => {
+    try {
+      const { walletAddress } = req.params;
+
+      const sessionIds = [];
+      for (const session of await listActiveSessions({ walletAddress })) {
+        if (
+          await endSession(session, {
+            revokedBy: 'wallet',
+            reason: (req.body && req.body.reason) || null,
+          })
+        ) {
+          sessionIds.push(session.sessionId);
         }
       }
+      res.json({ walletAddress, revoked: sessionIds.length, sessionIds });
+    } catch (error) {
+      next(error);
     }
+  }
+);
 
-    console.log(`   Receiver gained: ${receivedAmount.toString()} raw`);
-    console.log(
-      `   Required:        ${BigInt(amountRequired).toString()} raw`
-    );
+// ============ PAYMENT HISTORY ============
 
-    if (receivedAmount >= BigInt(amountRequired)) {
-      console.log('✅ X.402: TSE payment verified in tx (B2 strict)');
-      return {
-        verified: true,
-        message: 'TSE payment verified by transaction',
-        amount: receivedAmount,
-      };
-    } else {
-      console.log('❌ X.402: Not enough TSE in tx to receiver');
-      return {
-        verified: false,
-        message: 'Transaction did not send required TSE amount to receiver',
-      };
+/**
+ * ?from=&to= as Dates. A date without a time covers that whole day (UTC).
+ * Returns { ok, from, to } or { ok: false, error }.
+ */
+function parseDateRange({ from, to }) {
+  const range = {};
+  for (const [name, value] of Object.entries({ from, to })) {
+    if (!value) continue;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      return { ok: false, error: `${name} must be an ISO date` };
     }
-  } catch (error) {
-    console.error('❌ X.402 Solana tx verification error:', error.message);
-    return {
-      verified: false,
-      message: `Solana tx verification failed: ${error.message}`,
-    };
+    if (name === 'to' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setTime(date.getTime() - 1);
+    }
+    range[name] = date;
   }
+  return { ok: true, ...range };
 }
 
-// ============ ROUTES ============
+/**
+ * Reply with payments as JSON, or as a download with ?format=csv|json
+ */
+function sendPayments(res, payments, { format, filename }) {
+  if (format && !['csv', 'json'].includes(format)) {
+    return res.status(400).json({ error: 'format must be csv or json' });
+  }
+
+  if (format) {
+    res.attachment(`${filename}.${format}`);
+  }
+  if (format === 'csv') {
+    return res.type('text/csv').send(toCsv(payments));
+  }
+  res.json({ count: payments.length, payments });
+}
 
 /**
- * Health check
+ * A payment with the state of its refund, if it has one
  */
-app.get('/health', (req, res) => {
-  res.json({
-    status: 'ok',
-    timestamp: new Date().toISOString(),
-    blockchains: ['Base', 'Solana'],
-    payments: ['USDC', 'TSE'],
-    environment: 'development',
-  });
-});
+async function toReceipt(payment) {
+  const refund = await refunds.getRefund(payment.chain, payment.txHash);
+  return { ...payment, refund: refund ? toPublicRefund(refund) : null };
+}
 
 /**
- * Get device info
+ * Payments made by a wallet
+ * GET /wallets/:walletAddress/payments?from=&to=&format=csv|json
+ * headers: Authorization: Bearer <token from /wallets/:walletAddress/sessions/token>
  */
-app.get('/devices/:deviceId', (req, res) => {
-  const { deviceId } = req.params;
-  const device = devices[deviceId];
+app.get(
+  '/wallets/:walletAddress/payments',
+  requireWalletToken,
+  async (req, res, next) => {
+    try {
+      const { walletAddress } = req.params;
 
-  if (!device) {
-    return res.status(404).json({
-      error: 'Device not found',
-      deviceId,
-    });
-  }
+      const range = parseDateRange(req.query);
+      if (!range.ok) {
+        return res.status(400).json({ error: range.error });
+      }
 
-  res.json(device);
-});
+      const payments = await paymentLedger.listPayments({
+        walletAddress,
+        from: range.from,
+        to: range.to,
+      });
+      sendPayments(res, payments, {
+        format: req.query.format,
+        filename: `payments-${walletAddress}`,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
 
 /**
- * Request authentication challenge (existing flow – NOT X.402)
+ * Receipt of one of the wallet's payments
+ * GET /wallets/:walletAddress/payments/:chain/:txHash
  */
-app.post('/devices/:deviceId/challenge', (req, res) => {
-  const { deviceId } = req.params;
-  const { walletAddress } = req.body;
+app.get(
+  '/wallets/:walletAddress/payments/:chain/:txHash',
+  requireWalletToken,
+  async (req, res, next) => {
+    try {
+      const { walletAddress, chain, txHash } = req.params;
+
+      const payment = await paymentLedger.getPayment(chain, txHash);
+      if (!payment || payment.payer !== walletAddress) {
+        return res.status(404).json({ error: 'Payment not found', txHash });
+      }
+
+      res.json(await toReceipt(payment));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
 
-  if (!devices[deviceId]) {
-    return res.status(404).json({ error: 'Device not found' });
+// ============ TIMED UNLOCK (routes/payment.js, routes/device.js) ============
+
+/**
+ * Price `minutes` of unlock time and open the challenge that pays for it.
+ * Resolves { ok: true, challengeId, record, offer } or
+ * { ok: false, status, error }.
+ */
+async function openTimedUnlockChallenge(
+  device,
+  { walletAddress, chain, asset, minutes }
+) {
+  if (!device.supportsLock) {
+    return { ok: false, status: 400, error: 'Device does not support locking' };
+  }
+  if (!X402_NETWORKS[chain]) {
+    return {
+      ok: false,
+      status: 400,
+      error: `Unsupported chain: ${chain}. Use 'solana' or 'base'.`,
+    };
+  }
+  if (!walletAddress || detectWalletChain(walletAddress) !== chain) {
+    return {
+      ok: false,
+      status: 400,
+      error: `walletAddress must be a valid ${chain} address`,
+    };
+  }
+  const currency =
+    chain === 'solana' && asset ? String(asset).toUpperCase() : undefined;
+  if (currency && !SOLANA_ASSETS[currency]) {
+    return {
+      ok: false,
+      status: 400,
+      error: `Unsupported Solana asset: ${currency}. Use one of ${Object.keys(
+        SOLANA_ASSETS
+      ).join(', ')}.`,
+    };
   }
 
-  if (!walletAddress) {
-    return res.status(400).json({ error: 'walletAddress required' });
+  const availability = await checkDeviceOnline(device.deviceId);
+  if (!availability.ok) return availability;
+
+  const capacity = await checkOpenChallenges('x402Challenges', {
+    walletAddress,
+    deviceId: device.deviceId,
+  });
+  if (!capacity.ok) return capacity;
+
+  const result = await getX402Offer(device, chain, { minutes, currency });
+  if (!result.ok) {
+    return {
+      ok: false,
+      status: result.code === 'rate_unavailable' ? 503 : 400,
+      error: result.error,
+    };
   }
 
-  console.log(
-    `\n🔐 Challenge requested for ${deviceId} by ${walletAddress.substring(
-      0,
-      10
-    )}...`
+  const { challengeId, record } = await createChallengeFromOffer(
+    result.offer,
+    walletAddress
   );
+  return { ok: true, challengeId, record, offer: result.offer };
+}
 
-  const challenge =
-    Math.random().toString(36).substring(2, 15) +
-    Date.now().toString(36);
-  const expiresAt = new Date(Date.now() + 5 * 60 * 1000);
+/**
+ * Record a paid unlock until `unlockUntil` and push it to the device.
+ * The state is kept even if the device is offline: it picks it up from
+ * GET /devices/:id/state, and the relock still happens on time.
+ */
+async function grantTimedUnlock(deviceId, walletAddress, unlockUntil) {
+  await setDeviceLockState(deviceId, 'unlocked', walletAddress, unlockUntil);
 
-  res.json({
-    challenge,
-    deviceId,
-    expiresAt: expiresAt.toISOString(),
-    message: 'Sign this challenge with your wallet to verify ownership',
+  const result = await deviceChannel.sendCommand(deviceId, 'unlock', {
+    walletAddress,
+    unlockUntil,
   });
-});
+  if (!result.ok) {
+    console.log(`   ⚠️  Unlock not confirmed by device: ${result.status}`);
+  }
+  return result;
+}
+
+app.use(
+  createPaymentRouter({
+    getActiveDevice,
+    openTimedUnlockChallenge,
+    offerToRequirements,
+    getChallenge: (challengeId) => store.get('x402Challenges', challengeId),
+    settleX402Challenge,
+    grantTimedUnlock,
+    refundSessionPayment,
+  })
+);
+
+app.use(
+  createDeviceStateRouter({
+    getActiveDevice,
+    getDeviceState: (deviceId) => store.get('deviceState', deviceId),
+    effectiveLockState,
+  })
+);
+
+// ============ ADMIN ROUTES ============
 
 /**
- * Verify wallet signature + payment → Issue session token
- * (existing flow – balance-based, NOT X.402)
+ * Middleware: require the operator API key (Authorization: Bearer <ADMIN_API_KEY>)
  */
-app.post('/devices/:deviceId/verify', async (req, res) => {
-  const { deviceId } = req.params;
-  const { walletAddress, challenge, signature, timestamp, paymentMethod } =
-    req.body;
-
-  if (!devices[deviceId]) {
-    return res.status(404).json({ error: 'Device not found' });
+function requireAdmin(req, res, next) {
+  if (!ADMIN_API_KEY) {
+    return res.status(503).json({ error: 'Admin API is not configured' });
   }
 
-  if (!walletAddress) {
-    return res.status(400).json({ error: 'walletAddress required' });
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return res
+      .status(401)
+      .json({ error: 'Missing or invalid Authorization header' });
   }
 
-  console.log(
-    `\n🔐 Verify request for ${deviceId} from ${walletAddress.substring(
-      0,
-      10
-    )}...`
-  );
-
-  const device = devices[deviceId];
+  const provided = Buffer.from(authHeader.slice(7));
+  const expected = Buffer.from(ADMIN_API_KEY);
+  if (
+    provided.length !== expected.length ||
+    !crypto.timingSafeEqual(provided, expected)
+  ) {
+    return res.status(401).json({ error: 'Invalid admin API key' });
+  }
 
-  // Handle lock devices
-  if (device.supportsLock) {
-    let paymentCheck;
+  next();
+}
 
-    // Determine payment method (default to USDC)
-    const method = paymentMethod?.toUpperCase() || 'USDC';
+/**
+ * List all devices (including disabled ones)
+ * GET /admin/devices
+ */
+app.get('/admin/devices', requireAdmin, async (req, res, next) => {
+  try {
+    const devices = await deviceRegistry.listDevices();
+    res.json({ devices: devices.map(toPublicDevice), count: devices.length });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    if (method === 'TSE') {
-      paymentCheck = await verifySolanaTokenPayment(
-        walletAddress,
-        deviceId,
-        TSE_MINT,
-        TSE_COST
-      );
-    } else {
-      paymentCheck = await verifyBaseUSDCPayment(
-        walletAddress,
-        deviceId,
-        USDC_COST
-      );
+/**
+ * Register a device
+ * POST /admin/devices
+ * body: { deviceId, deviceName, deviceType?, model?, firmwareVersion?,
+ *         supportsLock?, supportsTimer?, supportsNFC?, supportsBLE? }
+ */
+app.post('/admin/devices', requireAdmin, async (req, res, next) => {
+  try {
+    const errors = validateDevice(req.body);
+    if (
+      req.body.pricePlanId &&
+      !(await pricing.getPlan(req.body.pricePlanId))
+    ) {
+      errors.push(`Unknown pricePlanId: ${req.body.pricePlanId}`);
     }
-
-    if (!paymentCheck.verified) {
-      const amount =
-        method === 'TSE'
-          ? `${(TSE_COST / Math.pow(10, TSE_DECIMALS)).toFixed(0)} TSE`
-          : `${ethers.formatUnits(USDC_COST, USDC_DECIMALS)} USDC`;
-
-      return res.status(402).json({
-        verified: false,
-        message: paymentCheck.message,
-        requiredAmount: amount,
-        currency: method,
-        paymentMethods: ['USDC', 'TSE'],
-      });
+    errors.push(...payoutAddressErrors(req.body.payoutAddresses));
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid device', details: errors });
     }
 
-    // Payment verified! Generate session token
-    const sessionToken = generateSessionToken(walletAddress, deviceId);
+    const device = await deviceRegistry.createDevice(req.body);
+    if (!device) {
+      return res
+        .status(409)
+        .json({ error: 'Device already exists', deviceId: req.body.deviceId });
+    }
 
-    console.log(
-      `   ✅ Payment verified (${method}), issuing 30-min session token`
+    // Handed out once; the device presents it on /devices/connect
+    const deviceSecret = await deviceRegistry.issueDeviceSecret(
+      device.deviceId
     );
 
-    return res.json({
-      verified: true,
-      sessionToken,
-      deviceData: device,
-      accessLevel: 'full',
-      sessionDuration: 1800,
-      expiresAt: new Date(Date.now() + 1800000).toISOString(),
-      paymentMethod: method,
-      cost:
-        method === 'TSE'
-          ? `${(TSE_COST / Math.pow(10, TSE_DECIMALS)).toFixed(0)} TSE`
-          : ethers.formatUnits(USDC_COST, USDC_DECIMALS),
-      message:
-        'Session established - ${method} payment accepted. Pay once, unlimited lock/unlock for 30 minutes',
+    // Public key the device checks offline tickets against
+    const ticketKey = supportsOfflineTickets(device)
+      ? await ticketIssuer.provisionKey(device.deviceId)
+      : null;
+
+    const registered = await deviceRegistry.getDevice(device.deviceId);
+
+    console.log(`\n🆕 Device registered: ${device.deviceId}`);
+    res.status(201).json({
+      ...toPublicDevice(registered),
+      deviceSecret,
+      ticketPublicKey: ticketKey ? ticketKey.publicKey : null,
     });
+  } catch (error) {
+    next(error);
   }
+});
 
-  // Handle coffee devices
-  if (device.supportsTimer) {
-    let paymentCheck;
-    const method = paymentMethod?.toUpperCase() || 'USDC';
+/**
+ * Get a single device
+ * GET /admin/devices/:deviceId
+ */
+app.get('/admin/devices/:deviceId', requireAdmin, async (req, res, next) => {
+  try {
+    const { deviceId } = req.params;
+    const device = await deviceRegistry.getDevice(deviceId);
 
-    if (method === 'TSE') {
-      paymentCheck = await verifySolanaTokenPayment(
-        walletAddress,
-        deviceId,
-        TSE_MINT,
-        TSE_COST
-      );
-    } else {
-      paymentCheck = await verifyBaseUSDCPayment(
-        walletAddress,
-        deviceId,
-        USDC_COST
-      );
+    if (!device) {
+      return res.status(404).json({ error: 'Device not found', deviceId });
     }
 
-    if (!paymentCheck.verified) {
-      const amount =
-        method === 'TSE'
-          ? `${(TSE_COST / Math.pow(10, TSE_DECIMALS)).toFixed(0)} TSE`
-          : `${ethers.formatUnits(USDC_COST, USDC_DECIMALS)} USDC`;
+    res.json({
+      ...toPublicDevice(device),
+      ticketPublicKey: await ticketIssuer.getPublicKey(deviceId),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
 
-      return res.status(402).json({
-        verified: false,
-        message: paymentCheck.message,
-        requiredAmount: amount,
-        currency: method,
-        paymentMethods: ['USDC', 'TSE'],
-      });
+/**
+ * Update device details / capability flags
+ * PATCH /admin/devices/:deviceId
+ */
+app.patch('/admin/devices/:deviceId', requireAdmin, async (req, res, next) => {
+  try {
+    const { deviceId } = req.params;
+
+    const errors = validateDevice(req.body, { partial: true });
+    if (
+      req.body.pricePlanId &&
+      !(await pricing.getPlan(req.body.pricePlanId))
+    ) {
+      errors.push(`Unknown pricePlanId: ${req.body.pricePlanId}`);
+    }
+    errors.push(...payoutAddressErrors(req.body.payoutAddresses));
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid device', details: errors });
     }
 
-    console.log(`   ✅ Coffee payment verified (${method})`);
+    const device = await deviceRegistry.updateDevice(
+      deviceId,
+      pickDeviceFields(req.body)
+    );
+    if (!device) {
+      return res.status(404).json({ error: 'Device not found', deviceId });
+    }
 
-    return res.json({
-      verified: true,
-      deviceData: device,
-      accessLevel: 'brew',
-      paymentMethod: method,
-      cost:
-        method === 'TSE'
-          ? `${(TSE_COST / Math.pow(10, TSE_DECIMALS)).toFixed(0)} TSE`
-          : ethers.formatUnits(USDC_COST, USDC_DECIMALS),
-      message: `${method} payment verified - select your brew type`,
-    });
+    console.log(`\n✏️  Device updated: ${deviceId}`);
+    res.json(toPublicDevice(device));
+  } catch (error) {
+    next(error);
   }
-
-  return res.status(400).json({ error: 'Unknown device type' });
 });
 
 /**
- * Unlock device (requires session token – existing flow)
+ * Disable / re-enable a device (disabled devices vanish from public routes)
+ * POST /admin/devices/:deviceId/disable
+ * POST /admin/devices/:deviceId/enable
  */
-app.post('/devices/:deviceId/unlock', (req, res) => {
-  const { deviceId } = req.params;
-  const { walletAddress, timestamp } = req.body;
-  const authHeader = req.headers.authorization;
-
-  if (!devices[deviceId]) {
-    return res.status(404).json({ error: 'Device not found' });
-  }
+app.post('/admin/devices/:deviceId/disable', requireAdmin, async (req, res, next) => {
+  try {
+    const { deviceId } = req.params;
+    const device = await deviceRegistry.updateDevice(deviceId, {
+      enabled: false,
+    });
 
-  console.log(`\n🔓 Unlock request for ${deviceId}`);
+    if (!device) {
+      return res.status(404).json({ error: 'Device not found', deviceId });
+    }
 
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return res.status(401).json({
-      error: 'Missing session token',
-      message: 'Please verify your payment first to get a session token',
-    });
+    console.log(`\n⛔ Device disabled: ${deviceId}`);
+    res.json(toPublicDevice(device));
+  } catch (error) {
+    next(error);
   }
+});
 
-  const token = authHeader.slice(7);
-  const decoded = verifySessionToken(token);
-
-  if (!decoded) {
-    return res.status(401).json({
-      error: 'Invalid or expired session token',
-      message: 'Please verify your payment again',
+app.post('/admin/devices/:deviceId/enable', requireAdmin, async (req, res, next) => {
+  try {
+    const { deviceId } = req.params;
+    const device = await deviceRegistry.updateDevice(deviceId, {
+      enabled: true,
     });
-  }
 
-  console.log('   ✅ Session token valid');
-  console.log('   📡 Sending unlock command to device...');
+    if (!device) {
+      return res.status(404).json({ error: 'Device not found', deviceId });
+    }
 
-  res.json({
-    success: true,
-    granted: true,
-    action: 'unlock',
-    deviceId,
-    walletAddress: decoded.walletAddress.substring(0, 10) + '...',
-    timestamp: new Date().toISOString(),
-    sessionExpiresAt: new Date(decoded.exp * 1000).toISOString(),
-    message: '✅ Device unlocked successfully',
-  });
+    console.log(`\n✅ Device enabled: ${deviceId}`);
+    res.json(toPublicDevice(device));
+  } catch (error) {
+    next(error);
+  }
 });
 
 /**
- * Lock device (requires session token – existing flow)
+ * Rotate the device's channel credentials (old secret stops working)
+ * POST /admin/devices/:deviceId/credentials
  */
-app.post('/devices/:deviceId/lock', (req, res) => {
-  const { deviceId } = req.params;
-  const { walletAddress, timestamp } = req.body;
-  const authHeader = req.headers.authorization;
+app.post(
+  '/admin/devices/:deviceId/credentials',
+  requireAdmin,
+  async (req, res, next) => {
+    try {
+      const { deviceId } = req.params;
+      const deviceSecret = await deviceRegistry.issueDeviceSecret(deviceId);
+
+      if (!deviceSecret) {
+        return res.status(404).json({ error: 'Device not found', deviceId });
+      }
 
-  if (!devices[deviceId]) {
-    return res.status(404).json({ error: 'Device not found' });
+      console.log(`\n🔑 Device credentials rotated: ${deviceId}`);
+      res.json({ deviceId, deviceSecret });
+    } catch (error) {
+      next(error);
+    }
   }
+);
 
-  console.log(`\n🔒 Lock request for ${deviceId}`);
+/**
+ * (Re)provision the device's offline ticket key. Tickets signed with the
+ * previous key stop working once the device has the new public key.
+ * POST /admin/devices/:deviceId/ticket-key
+ */
+app.post(
+  '/admin/devices/:deviceId/ticket-key',
+  requireAdmin,
+  async (req, res, next) => {
+    try {
+      const { deviceId } = req.params;
+      const device = await deviceRegistry.getDevice(deviceId);
 
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return res.status(401).json({
-      error: 'Missing session token',
-      message: 'Please verify your payment first to get a session token',
-    });
-  }
+      if (!device) {
+        return res.status(404).json({ error: 'Device not found', deviceId });
+      }
+      if (!supportsOfflineTickets(device)) {
+        return res
+          .status(400)
+          .json({ error: 'Device does not support offline tickets', deviceId });
+      }
 
-  const token = authHeader.slice(7);
-  const decoded = verifySessionToken(token);
+      const ticketKey = await ticketIssuer.provisionKey(deviceId);
 
-  if (!decoded) {
-    return res.status(401).json({
-      error: 'Invalid or expired session token',
-      message: 'Please verify your payment again',
-    });
+      console.log(`\n🎫 Ticket key provisioned: ${deviceId}`);
+      res.json(ticketKey);
+    } catch (error) {
+      next(error);
+    }
   }
+);
 
-  console.log('   ✅ Session token valid');
-  console.log('   📡 Sending lock command to device...');
-
-  res.json({
-    success: true,
-    granted: true,
-    action: 'lock',
-    deviceId,
-    walletAddress: decoded.walletAddress.substring(0, 10) + '...',
-    timestamp: new Date().toISOString(),
-    sessionExpiresAt: new Date(decoded.exp * 1000).toISOString(),
-    message: '✅ Device locked successfully',
-  });
+/**
+ * List price plans
+ * GET /admin/price-plans
+ */
+app.get('/admin/price-plans', requireAdmin, async (req, res, next) => {
+  try {
+    const plans = await pricing.listPlans();
+    res.json({ plans, count: plans.length, currencies: CURRENCIES });
+  } catch (error) {
+    next(error);
+  }
 });
 
 /**
- * Brew coffee
+ * Get a price plan
+ * GET /admin/price-plans/:planId
  */
-app.post('/devices/:deviceId/brew', (req, res) => {
-  const { deviceId } = req.params;
-  const { walletAddress, brewType, timestamp } = req.body;
+app.get('/admin/price-plans/:planId', requireAdmin, async (req, res, next) => {
+  try {
+    const { planId } = req.params;
+    const plan = await pricing.getPlan(planId);
+
+    if (!plan) {
+      return res.status(404).json({ error: 'Price plan not found', planId });
+    }
 
-  if (!devices[deviceId]) {
-    return res.status(404).json({ error: 'Device not found' });
+    res.json(plan);
+  } catch (error) {
+    next(error);
   }
+});
+
+/**
+ * Create or replace a price plan
+ * PUT /admin/price-plans/:planId
+ * body: { name?, kind: 'duration', deviceTypes?, tiers: [{ minutes, prices }] }
+ *     | { name?, kind: 'item', deviceTypes?, items: [{ itemId, name?, prices }] }
+ * prices: { USDC?: '0.50', TSE?: '15953.41' }
+ */
+app.put('/admin/price-plans/:planId', requireAdmin, async (req, res, next) => {
+  try {
+    const { planId } = req.params;
+    const input = { ...req.body, planId };
+
+    const errors = validatePricePlan(input, CURRENCIES);
+    if (errors.length > 0) {
+      return res
+        .status(400)
+        .json({ error: 'Invalid price plan', details: errors });
+    }
 
-  console.log(`\n☕ Brew request for ${deviceId} (${brewType})`);
+    const { plan, created } = await pricing.savePlan(input);
 
-  res.json({
-    success: true,
-    granted: true,
-    action: 'brew',
-    deviceId,
-    walletAddress: walletAddress
-      ? walletAddress.substring(0, 10) + '...'
-      : 'mock',
-    brewType: brewType,
-    timestamp: new Date().toISOString(),
-    brewTime: 30,
-    message: '✅ Brewing started!',
-  });
+    console.log(`\n💲 Price plan ${created ? 'created' : 'updated'}: ${planId}`);
+    res.status(created ? 201 : 200).json(plan);
+  } catch (error) {
+    next(error);
+  }
 });
 
 /**
- * Get device status
+ * Delete a price plan (refused while a device still points at it)
+ * DELETE /admin/price-plans/:planId
  */
-app.get('/devices/:deviceId/status', (req, res) => {
-  const { deviceId } = req.params;
-  const authHeader = req.headers.authorization;
+app.delete('/admin/price-plans/:planId', requireAdmin, async (req, res, next) => {
+  try {
+    const { planId } = req.params;
+
+    const devices = await deviceRegistry.listDevices();
+    const inUse = devices
+      .filter((device) => device.pricePlanId === planId)
+      .map((device) => device.deviceId);
+    if (inUse.length > 0) {
+      return res
+        .status(409)
+        .json({ error: 'Price plan is assigned to devices', devices: inUse });
+    }
+
+    const plan = await pricing.deletePlan(planId);
+    if (!plan) {
+      return res.status(404).json({ error: 'Price plan not found', planId });
+    }
 
-  if (!devices[deviceId]) {
-    return res.status(404).json({ error: 'Device not found' });
+    console.log(`\n🗑️  Price plan deleted: ${planId}`);
+    res.json({ deleted: true, planId });
+  } catch (error) {
+    next(error);
   }
+});
 
-  let sessionInfo = null;
+/**
+ * Remove a device from the registry
+ * DELETE /admin/devices/:deviceId
+ */
+app.delete('/admin/devices/:deviceId', requireAdmin, async (req, res, next) => {
+  try {
+    const { deviceId } = req.params;
+    const device = await deviceRegistry.deleteDevice(deviceId);
 
-  if (authHeader && authHeader.startsWith('Bearer ')) {
-    const token = authHeader.slice(7);
-    const decoded = verifySessionToken(token);
+    if (!device) {
+      return res.status(404).json({ error: 'Device not found', deviceId });
+    }
 
-    if (decoded) {
-      const now = Math.floor(Date.now() / 1000);
-      const secondsRemaining = decoded.exp - now;
+    await store.delete('deviceState', deviceId);
+    await ticketIssuer.deleteKey(deviceId);
 
-      sessionInfo = {
-        valid: true,
-        expiresAt: new Date(decoded.exp * 1000).toISOString(),
-        secondsRemaining: Math.max(0, secondsRemaining),
-        isExpired: secondsRemaining <= 0,
-      };
-    }
+    console.log(`\n🗑️  Device deleted: ${deviceId}`);
+    res.json({ deleted: true, deviceId });
+  } catch (error) {
+    next(error);
   }
-
-  res.json({
-    deviceId,
-    status: 'online',
-    lastSeen: new Date().toISOString(),
-    batteryLevel: 85,
-    session: sessionInfo,
-    supportedPayments: ['USDC', 'TSE'],
-  });
 });
 
-// ============ X.402 ROUTES ============
+/**
+ * List active sessions
+ * GET /admin/sessions?deviceId=&walletAddress=
+ */
+app.get('/admin/sessions', requireAdmin, async (req, res, next) => {
+  try {
+    const { deviceId, walletAddress } = req.query;
+    res.json({
+      sessions: await listActiveSessions({ deviceId, walletAddress }),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
 
 /**
- * X.402: Request payment challenge
- * POST /x402/:deviceId/challenge
- * body: { walletAddress }
+ * Revoke every active session of a device and/or wallet
+ * POST /admin/sessions/revoke
+ * body: { deviceId?, walletAddress?, reason? }
  */
-app.post('/x402/:deviceId/challenge', (req, res) => {
-  const { deviceId } = req.params;
-  const { walletAddress } = req.body;
+app.post('/admin/sessions/revoke', requireAdmin, async (req, res, next) => {
+  try {
+    const { deviceId, walletAddress, reason } = req.body;
 
-  const device = devices[deviceId];
-  if (!device) {
-    return res.status(404).json({ error: 'Device not found', deviceId });
-  }
-  if (!walletAddress) {
-    return res.status(400).json({ error: 'walletAddress required' });
-  }
+    if (!deviceId && !walletAddress) {
+      return res
+        .status(400)
+        .json({ error: 'deviceId or walletAddress required' });
+    }
 
-  console.log(
-    `\n🧾 X.402 challenge requested for ${deviceId} by ${walletAddress.substring(
-      0,
-      10
-    )}...`
-  );
+    const sessionIds = [];
+    const sessions = await listActiveSessions({ deviceId, walletAddress });
+    for (const session of sessions) {
+      if (
+        await endSession(session, {
+          revokedBy: 'admin',
+          reason: reason || null,
+        })
+      ) {
+        sessionIds.push(session.sessionId);
+      }
+    }
 
-  const amountRequired = TSE_COST;
+    res.json({
+      deviceId: deviceId || null,
+      walletAddress: walletAddress || null,
+      revoked: sessionIds.length,
+      sessionIds,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
 
-  const { challengeId, record } = createX402Challenge({
-    deviceId,
-    walletAddress,
-    chain: 'solana',
-    token: 'TSE',
-    amount: amountRequired,
-    receiver: TSE_RECEIVER_WALLET,
-    ttlSeconds: 600, // 10 minutes
-  });
+/**
+ * Payments by device / wallet / date range, newest first
+ * GET /admin/payments?deviceId=&walletAddress=&from=&to=&format=csv|json
+ */
+app.get('/admin/payments', requireAdmin, async (req, res, next) => {
+  try {
+    const { deviceId, walletAddress, format } = req.query;
 
-  return res.json({
-    challengeId,
-    deviceId,
-    payment: {
-      chain: record.chain,
-      token: record.token,
-      amount: record.amount,
-      mint: TSE_MINT,
-      receiver: record.receiver,
-      decimals: TSE_DECIMALS,
-      expiresAt: record.expiresAt.toISOString(),
-    },
-    message:
-      'Send the specified TSE amount to the receiver address before expiresAt, then call /x402/:deviceId/verify with the txHash.',
-  });
+    const range = parseDateRange(req.query);
+    if (!range.ok) {
+      return res.status(400).json({ error: range.error });
+    }
+
+    const payments = await paymentLedger.listPayments({
+      deviceId,
+      walletAddress,
+      from: range.from,
+      to: range.to,
+    });
+    sendPayments(res, payments, {
+      format,
+      filename: ['payments', deviceId, walletAddress]
+        .filter(Boolean)
+        .join('-'),
+    });
+  } catch (error) {
+    next(error);
+  }
 });
 
 /**
- * X.402: Verify payment + issue access token
- * POST /x402/:deviceId/verify
- * body: { walletAddress, challengeId, txHash }
+ * Receipt of any payment
+ * GET /admin/payments/:chain/:txHash
  */
-app.post('/x402/:deviceId/verify', async (req, res) => {
-  const { deviceId } = req.params;
-  const { walletAddress, challengeId, txHash } = req.body;
+app.get('/admin/payments/:chain/:txHash', requireAdmin, async (req, res, next) => {
+  try {
+    const { chain, txHash } = req.params;
 
-  const device = devices[deviceId];
-  if (!device) {
-    return res.status(404).json({ error: 'Device not found', deviceId });
-  }
+    const payment = await paymentLedger.getPayment(chain, txHash);
+    if (!payment) {
+      return res.status(404).json({ error: 'Payment not found', txHash });
+    }
 
-  if (!walletAddress || !challengeId || !txHash) {
-    return res
-      .status(400)
-      .json({ error: 'walletAddress, challengeId and txHash required' });
+    res.json(await toReceipt(payment));
+  } catch (error) {
+    next(error);
   }
+});
 
-  const record = challenges.get(challengeId);
-  if (!record) {
-    return res.status(404).json({ error: 'Challenge not found', challengeId });
-  }
+/**
+ * List refunds, newest first
+ * GET /admin/refunds?status=&walletAddress=&deviceId=
+ */
+app.get('/admin/refunds', requireAdmin, async (req, res, next) => {
+  try {
+    const { status, walletAddress, deviceId } = req.query;
 
-  if (record.deviceId !== deviceId) {
-    return res.status(400).json({ error: 'Challenge does not match device' });
-  }
+    if (status && !REFUND_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: `status must be one of: ${REFUND_STATUSES.join(', ')}`,
+      });
+    }
 
-  if (record.walletAddress !== walletAddress) {
-    return res
-      .status(400)
-      .json({ error: 'Challenge does not belong to wallet' });
+    res.json({
+      refunds: await refunds.listRefunds({ status, walletAddress, deviceId }),
+    });
+  } catch (error) {
+    next(error);
   }
+});
 
-  const now = new Date();
-  if (now > record.expiresAt) {
-    return res.status(410).json({ error: 'Challenge expired' });
+/**
+ * Open a refund by hand for a verified payment
+ * POST /admin/refunds
+ * body: { chain, txHash, note? }
+ */
+app.post('/admin/refunds', requireAdmin, async (req, res, next) => {
+  try {
+    const { chain, txHash, note } = req.body;
+
+    if (!chain || !txHash) {
+      return res.status(400).json({ error: 'chain and txHash required' });
+    }
+
+    if (!(await spentTransactions.getSpentTransaction(chain, txHash))) {
+      return res
+        .status(404)
+        .json({ error: 'No verified payment with this txHash', txHash });
+    }
+
+    const refund = await reportRefundablePayment(chain, txHash, 'manual', {
+      note: note || null,
+    });
+    if (!refund) {
+      return res.status(500).json({ error: 'Could not record refund', txHash });
+    }
+
+    res.json(refund);
+  } catch (error) {
+    next(error);
   }
+});
 
-  if (record.paid) {
+/**
+ * Move a refund to `status`, logging the operator's note
+ */
+async function moveRefund(req, res, status) {
+  const { chain, txHash } = req.params;
+  const { note, refundTxHash } = req.body;
+
+  const moved = await refunds.setStatus(chain, txHash, status, {
+    by: 'admin',
+    note: note || null,
+    refundTxHash,
+  });
+
+  if (!moved.ok && moved.reason === 'not_found') {
+    return res.status(404).json({ error: 'Refund not found', txHash });
+  }
+  if (!moved.ok) {
     return res.status(409).json({
-      error: 'Challenge already used',
-      accessToken: record.accessToken,
-      txHash: record.txHash,
+      error: `Refund is ${moved.refund.status} and cannot become ${status}`,
+      refund: moved.refund,
     });
   }
 
-  console.log(
-    `\n💳 X.402 verify for challenge ${challengeId}, tx ${txHash}`
-  );
+  console.log(`\n💸 Refund for ${txHash}: ${status}`);
+  res.json(moved.refund);
+}
 
-  const paymentCheck = await verifySolanaTsePaymentByTx(
-    txHash,
-    record.receiver,
-    TSE_MINT,
-    record.amount
-  );
+/**
+ * Approve / reject a pending refund
+ * POST /admin/refunds/:chain/:txHash/approve
+ * POST /admin/refunds/:chain/:txHash/reject
+ * body: { note? }
+ */
+app.post('/admin/refunds/:chain/:txHash/approve', requireAdmin, (req, res) =>
+  moveRefund(req, res, 'approved')
+);
 
-  if (!paymentCheck.verified) {
-    return res.status(402).json({
-      verified: false,
-      message: paymentCheck.message,
-      challengeId,
-    });
-  }
+app.post('/admin/refunds/:chain/:txHash/reject', requireAdmin, (req, res) =>
+  moveRefund(req, res, 'rejected')
+);
 
-  // Issue X.402 access token (JWT)
-  const payload = {
-    type: 'x402-access',
-    walletAddress,
-    deviceId,
-    challengeId,
-    txHash,
-    iat: Math.floor(Date.now() / 1000),
-    exp: Math.floor(Date.now() / 1000) + 1800, // 30 minutes
-  };
+/**
+ * Build the unsigned return transfer of an approved Solana refund, from the
+ * wallet that was paid back to the payer. Sign it with that wallet, send it
+ * via /transactions/submit, then record it with .../sent.
+ * POST /admin/refunds/:chain/:txHash/transaction
+ */
+app.post(
+  '/admin/refunds/:chain/:txHash/transaction',
+  requireAdmin,
+  async (req, res, next) => {
+    try {
+      const { chain, txHash } = req.params;
 
-  const accessToken = jwt.sign(payload, JWT_SECRET);
+      const refund = await refunds.getRefund(chain, txHash);
+      if (!refund) {
+        return res.status(404).json({ error: 'Refund not found', txHash });
+      }
+      if (refund.chain !== 'solana') {
+        return res.status(400).json({
+          error: 'Only Solana refunds can be built here',
+          message: `Send ${refund.uiAmount} ${refund.token} to ${refund.walletAddress} from ${refund.receiver}, then record it with /sent`,
+        });
+      }
+      if (refund.status !== 'approved') {
+        return res
+          .status(409)
+          .json({ error: `Refund is ${refund.status}, not approved` });
+      }
 
-  record.paid = true;
-  record.txHash = txHash;
-  record.accessToken = accessToken;
-  challenges.set(challengeId, record);
+      const sender = refund.receiver || TSE_RECEIVER_WALLET;
+      console.log(`\n💸 Building refund for ${txHash}`);
+
+      try {
+        const connection = new Connection(SOLANA_RPC_URL, 'confirmed');
+        const built = await buildTransferTransaction(connection, {
+          senderWallet: sender,
+          recipientWallet: refund.walletAddress,
+          tokenType: refund.token,
+          rawAmount: BigInt(refund.amount),
+          tokens: SOLANA_TOKENS,
+        });
+        if (!built.ok) {
+          return res.status(built.status).json({ error: built.error });
+        }
 
-  console.log(`✅ X.402 access token issued for ${deviceId}`);
+        await refunds.attachTransaction(chain, txHash, built.transaction, {
+          by: 'admin',
+        });
 
-  return res.json({
-    verified: true,
-    deviceId,
-    challengeId,
-    txHash,
-    accessToken,
-    expiresAt: new Date(payload.exp * 1000).toISOString(),
-    message:
-      'Payment verified. Use this accessToken as Bearer token to control the device via X.402 endpoints.',
-  });
-});
+        res.json({
+          chain,
+          txHash,
+          transaction: built.transaction,
+          sender,
+          recipient: refund.walletAddress,
+          token: refund.token,
+          amount: refund.uiAmount,
+          createsRecipientAccount: built.createsRecipientAccount,
+          message:
+            'Sign with the sender wallet, submit via /transactions/submit, then POST the signature to /sent.',
+        });
+      } catch (error) {
+        console.error('❌ Error building refund transaction:', error);
+        res.status(500).json({ error: error.message });
+      }
+    } catch (error) {
+      next(error);
+    }
+  }
+);
 
 /**
- * Middleware: require valid X.402 access token
+ * Record that the refund was sent
+ * POST /admin/refunds/:chain/:txHash/sent
+ * body: { refundTxHash, note? }
  */
-function requireX402(req, res, next) {
-  const authHeader = req.headers.authorization;
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return res
-      .status(401)
-      .json({ error: 'Missing or invalid Authorization header' });
+app.post('/admin/refunds/:chain/:txHash/sent', requireAdmin, (req, res) => {
+  if (!req.body.refundTxHash) {
+    return res.status(400).json({ error: 'refundTxHash required' });
   }
+  return moveRefund(req, res, 'sent');
+});
 
-  const token = authHeader.slice(7);
-
+/**
+ * Subscribe a URL to events
+ * POST /admin/webhooks
+ * body: { url, events: ['payment.verified', ...] | ['*'], description? }
+ *
+ * The signing secret is only returned here.
+ */
+app.post('/admin/webhooks', requireAdmin, async (req, res, next) => {
   try {
-    const decoded = jwt.verify(token, JWT_SECRET);
-    if (decoded.type !== 'x402-access') {
-      throw new Error('Wrong token type');
+    const errors = validateSubscription(req.body, EVENT_TYPES);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid subscription', errors });
     }
-    req.x402 = decoded;
-    next();
+
+    const subscription = await webhooks.createSubscription(req.body);
+
+    console.log(`\n🪝 Webhook subscribed: ${subscription.url}`);
+    res.status(201).json(subscription);
   } catch (error) {
-    return res.status(401).json({
-      error: 'Invalid or expired X.402 access token',
-      message: error.message,
+    next(error);
+  }
+});
+
+/**
+ * List webhook subscriptions
+ * GET /admin/webhooks
+ */
+app.get('/admin/webhooks', requireAdmin, async (req, res, next) => {
+  try {
+    const subscriptions = await webhooks.listSubscriptions();
+    res.json({
+      eventTypes: EVENT_TYPES,
+      subscriptions: subscriptions.map(toPublicSubscription),
     });
+  } catch (error) {
+    next(error);
   }
-}
+});
 
 /**
- * X.402: Unlock using X.402 token
+ * Remove a webhook subscription (pending deliveries to it fail)
+ * DELETE /admin/webhooks/:subscriptionId
  */
-app.post('/x402/:deviceId/unlock', requireX402, (req, res) => {
-  const { deviceId } = req.params;
+app.delete(
+  '/admin/webhooks/:subscriptionId',
+  requireAdmin,
+  async (req, res, next) => {
+    try {
+      const { subscriptionId } = req.params;
 
-  if (req.x402.deviceId !== deviceId) {
-    return res
-      .status(403)
-      .json({ error: 'Token not valid for this device' });
-  }
+      if (!(await webhooks.deleteSubscription(subscriptionId))) {
+        return res
+          .status(404)
+          .json({ error: 'Subscription not found', subscriptionId });
+      }
 
-  console.log(`\n🔓 X.402 unlock request for ${deviceId} (token OK)`);
+      console.log(`\n🪝 Webhook removed: ${subscriptionId}`);
+      res.json({ deleted: true, subscriptionId });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
 
-  res.json({
-    success: true,
-    granted: true,
-    action: 'unlock',
-    deviceId,
-    walletAddress: req.x402.walletAddress.substring(0, 10) + '...',
-    timestamp: new Date().toISOString(),
-    sessionExpiresAt: new Date(req.x402.exp * 1000).toISOString(),
-    message: '✅ Device unlocked via X.402 access token',
-  });
+/**
+ * Delivery log, newest first
+ * GET /admin/webhooks/deliveries?subscriptionId=&status=&type=
+ */
+app.get('/admin/webhooks/deliveries', requireAdmin, async (req, res, next) => {
+  try {
+    const { subscriptionId, status, type } = req.query;
+    res.json({
+      deliveries: await webhooks.listDeliveries({
+        subscriptionId,
+        status,
+        type,
+      }),
+    });
+  } catch (error) {
+    next(error);
+  }
 });
 
 /**
- * X.402: Lock using X.402 token
+ * Send a logged delivery again (as a new delivery of the same event)
+ * POST /admin/webhooks/deliveries/:deliveryId/replay
  */
-app.post('/x402/:deviceId/lock', requireX402, (req, res) => {
-  const { deviceId } = req.params;
-
-  if (req.x402.deviceId !== deviceId) {
-    return res
-      .status(403)
-      .json({ error: 'Token not valid for this device' });
-  }
+app.post(
+  '/admin/webhooks/deliveries/:deliveryId/replay',
+  requireAdmin,
+  async (req, res, next) => {
+    try {
+      const { deliveryId } = req.params;
 
-  console.log(`\n🔒 X.402 lock request for ${deviceId} (token OK)`);
+      const replay = await webhooks.replayDelivery(deliveryId);
+      if (!replay) {
+        return res.status(404).json({
+          error: 'Delivery or its subscription not found',
+          deliveryId,
+        });
+      }
 
-  res.json({
-    success: true,
-    granted: true,
-    action: 'lock',
-    deviceId,
-    walletAddress: req.x402.walletAddress.substring(0, 10) + '...',
-    timestamp: new Date().toISOString(),
-    sessionExpiresAt: new Date(req.x402.exp * 1000).toISOString(),
-    message: '✅ Device locked via X.402 access token',
-  });
-});
+      res.status(202).json(replay);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
 
 // ============ PHANTOM TRANSACTION BUILDING (FIXED SPL-TOKEN IMPORT) ============
 
@@ -1058,151 +5774,60 @@ app.post('/x402/:deviceId/lock', requireX402, (req, res) => {
  * POST /transactions/build
  * body: { senderWallet, recipientWallet, amount, tokenType }
  */
-app.post('/transactions/build', async (req, res) => {
-  const { senderWallet, recipientWallet, amount, tokenType } = req.body;
-
-  console.log(`\n💳 Building ${tokenType} transaction...`);
-  console.log(`   Sender: ${senderWallet?.substring(0, 10)}...`);
-  console.log(`   Recipient: ${recipientWallet?.substring(0, 10)}...`);
-  console.log(`   Amount: ${amount}`);
-
-  // Validate inputs
-  if (!senderWallet || !recipientWallet || !amount || !tokenType) {
-    return res.status(400).json({
-      success: false,
-      error:
-        'Missing required fields: senderWallet, recipientWallet, amount, tokenType',
-    });
-  }
-
+app.post('/transactions/build', async (req, res, next) => {
   try {
-    const connection = new Connection(SOLANA_RPC_URL, 'confirmed');
+    const { senderWallet, recipientWallet, amount, tokenType } = req.body;
 
-    // Parse addresses
-    let sender, recipient;
-    try {
-      sender = new PublicKey(senderWallet);
-      recipient = new PublicKey(recipientWallet);
-    } catch (e) {
+    console.log(`\n💳 Building ${tokenType} transaction...`);
+    console.log(`   Sender: ${senderWallet?.substring(0, 10)}...`);
+    console.log(`   Recipient: ${recipientWallet?.substring(0, 10)}...`);
+    console.log(`   Amount: ${amount}`);
+
+    // Validate inputs
+    if (!senderWallet || !recipientWallet || !amount || !tokenType) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid wallet address format',
+        error:
+          'Missing required fields: senderWallet, recipientWallet, amount, tokenType',
       });
     }
 
-    // Get recent blockhash
-    const { blockhash, lastValidBlockHeight } =
-      await connection.getLatestBlockhash('confirmed');
-
-    const transaction = new Transaction();
-    transaction.recentBlockhash = blockhash;
-    transaction.lastValidBlockHeight = lastValidBlockHeight;
-    transaction.feePayer = sender;
-
-    if (tokenType.toUpperCase() === 'SOL') {
-      // Native SOL transfer
-      const lamports = Math.floor(amount * LAMPORTS_PER_SOL);
-      console.log(`   Lamports: ${lamports}`);
+    try {
+      const connection = new Connection(SOLANA_RPC_URL, 'confirmed');
 
-      transaction.add(
-        SystemProgram.transfer({
-          fromPubkey: sender,
-          toPubkey: recipient,
-          lamports: lamports,
-        })
-      );
-    } else if (tokenType.toUpperCase() === 'TSE') {
-      // TSE token transfer
-      const tseMint = new PublicKey(TSE_MINT);
-      const tokenAmount = Math.floor(amount * Math.pow(10, TSE_DECIMALS));
-      console.log(`   Token amount (raw): ${tokenAmount}`);
-
-      // Get sender's token account
-      const senderTokenAccount = await getAssociatedTokenAddress(
-        tseMint,
-        sender,
-        false,
-        TOKEN_PROGRAM_ID,
-        ASSOCIATED_TOKEN_PROGRAM_ID
-      );
+      const token = SOLANA_TOKENS[tokenType.toUpperCase()];
+      const scale = token ? Math.pow(10, token.decimals) : LAMPORTS_PER_SOL;
 
-      // Check sender has token account
-      const senderAccountInfo = await connection.getAccountInfo(
-        senderTokenAccount
-      );
-      if (!senderAccountInfo) {
-        return res.status(400).json({
-          success: false,
-          error: 'Sender does not have a TSE token account',
-        });
+      const built = await buildTransferTransaction(connection, {
+        senderWallet,
+        recipientWallet,
+        tokenType,
+        rawAmount: Math.floor(amount * scale),
+        tokens: SOLANA_TOKENS,
+      });
+      if (!built.ok) {
+        return res
+          .status(built.status)
+          .json({ success: false, error: built.error });
       }
 
-      // Get recipient's token account
-      const recipientTokenAccount = await getAssociatedTokenAddress(
-        tseMint,
-        recipient,
-        false,
-        TOKEN_PROGRAM_ID,
-        ASSOCIATED_TOKEN_PROGRAM_ID
-      );
-
-      // Check if recipient token account exists
-      const recipientAccountInfo = await connection.getAccountInfo(
-        recipientTokenAccount
-      );
-      if (!recipientAccountInfo) {
-        // Create associated token account for recipient
-        console.log('   Creating recipient token account...');
-        transaction.add(
-          createAssociatedTokenAccountInstruction(
-            sender, // payer
-            recipientTokenAccount, // ata
-            recipient, // owner
-            tseMint, // mint
-            TOKEN_PROGRAM_ID,
-            ASSOCIATED_TOKEN_PROGRAM_ID
-          )
-        );
-      }
+      const base64Tx = built.transaction;
+      console.log(`✅ Transaction built, base64 length: ${base64Tx.length}`);
 
-      // Add transfer instruction
-      transaction.add(
-        createTransferInstruction(
-          senderTokenAccount,
-          recipientTokenAccount,
-          sender,
-          tokenAmount,
-          [],
-          TOKEN_PROGRAM_ID
-        )
-      );
-    } else {
-      return res.status(400).json({
+      return res.json({
+        success: true,
+        transaction: base64Tx,
+        message: 'Transaction built successfully. Send to Phantom for signing.',
+      });
+    } catch (error) {
+      console.error('❌ Error building transaction:', error);
+      return res.status(500).json({
         success: false,
-        error: `Unknown token type: ${tokenType}. Use 'SOL' or 'TSE'.`,
+        error: error.message,
       });
     }
-
-    // Serialize transaction (without signatures)
-    const serialized = transaction.serialize({
-      requireAllSignatures: false,
-      verifySignatures: false,
-    });
-
-    const base64Tx = serialized.toString('base64');
-    console.log(`✅ Transaction built, base64 length: ${base64Tx.length}`);
-
-    return res.json({
-      success: true,
-      transaction: base64Tx,
-      message: 'Transaction built successfully. Send to Phantom for signing.',
-    });
   } catch (error) {
-    console.error('❌ Error building transaction:', error);
-    return res.status(500).json({
-      success: false,
-      error: error.message,
-    });
+    next(error);
   }
 });
 
@@ -1214,68 +5839,72 @@ app.post('/transactions/build', async (req, res) => {
  * Note: Phantom returns the fully signed transaction, not just the signature.
  * The 'transaction' field should contain the signed transaction from Phantom.
  */
-app.post('/transactions/submit', async (req, res) => {
-  const { transaction } = req.body;
+app.post('/transactions/submit', async (req, res, next) => {
+  try {
+    const { transaction } = req.body;
 
-  console.log(`\n📤 Submitting signed transaction to Solana...`);
+    console.log(`\n📤 Submitting signed transaction to Solana...`);
 
-  if (!transaction) {
-    return res.status(400).json({
-      success: false,
-      error: 'Missing required field: transaction',
-    });
-  }
+    if (!transaction) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required field: transaction',
+      });
+    }
 
-  try {
-    const connection = new Connection(SOLANA_RPC_URL, 'confirmed');
+    try {
+      const connection = new Connection(SOLANA_RPC_URL, 'confirmed');
 
-    // Decode the base64 transaction
-    const txBuffer = Buffer.from(transaction, 'base64');
+      // Decode the base64 transaction
+      const txBuffer = Buffer.from(transaction, 'base64');
 
-    // Send the raw transaction
-    const txHash = await connection.sendRawTransaction(txBuffer, {
-      skipPreflight: false,
-      preflightCommitment: 'confirmed',
-      maxRetries: 3,
-    });
+      // Send the raw transaction
+      const txHash = await connection.sendRawTransaction(txBuffer, {
+        skipPreflight: false,
+        preflightCommitment: 'confirmed',
+        maxRetries: 3,
+      });
 
-    console.log(`✅ Transaction sent: ${txHash}`);
+      console.log(`✅ Transaction sent: ${txHash}`);
 
-    // Wait for confirmation
-    console.log('   Waiting for confirmation...');
-    const latestBlockhash = await connection.getLatestBlockhash('confirmed');
+      // Wait for confirmation
+      console.log('   Waiting for confirmation...');
+      const latestBlockhash = await connection.getLatestBlockhash('confirmed');
 
-    const confirmation = await connection.confirmTransaction(
-      {
-        signature: txHash,
-        blockhash: latestBlockhash.blockhash,
-        lastValidBlockHeight: latestBlockhash.lastValidBlockHeight,
-      },
-      'confirmed'
-    );
+      const confirmation = await connection.confirmTransaction(
+        {
+          signature: txHash,
+          blockhash: latestBlockhash.blockhash,
+          lastValidBlockHeight: latestBlockhash.lastValidBlockHeight,
+        },
+        'confirmed'
+      );
 
-    if (confirmation.value.err) {
-      console.error('❌ Transaction failed:', confirmation.value.err);
-      return res.status(400).json({
+      if (confirmation.value.err) {
+        console.error('❌ Transaction failed:', confirmation.value.err);
+        return res.status(400).json({
+          success: false,
+          error: 'Transaction failed on-chain',
+          details: confirmation.value.err,
+        });
+      }
+
+      console.log(`✅ Transaction confirmed: ${txHash}`);
+
+      return res.json({
+        success: true,
+        txHash: txHash,
+        message: 'Transaction submitted and confirmed successfully',
+      });
+    } catch (error) {
+      console.error('❌ Error submitting transaction:', error);
+      return res.status(500).json({
         success: false,
-        error: 'Transaction failed on-chain',
-        details: confirmation.value.err,
+        error: error.message,
       });
     }
-
-    console.log(`✅ Transaction confirmed: ${txHash}`);
-
-    return res.json({
-      success: true,
-      txHash: txHash,
-      message: 'Transaction submitted and confirmed successfully',
-    });
   } catch (error) {
-    console.error('❌ Error submitting transaction:', error);
-    return res.status(500).json({
-      success: false,
-      error: error.message,
-    });
+    next(error);
   }
 });
 
@@ -1289,19 +5918,107 @@ app.use((err, req, res, next) => {
 });
 
 // ============ START SERVER ============
-app.listen(PORT, () => {
+
+/**
+ * Seed the default devices with credentials, as registration would. The
+ * secrets are shown in this log only; rotate them through
+ * /admin/devices/:deviceId/credentials.
+ */
+async function seedDefaultDevices() {
+  const seeded = await deviceRegistry.seedDevices(DEFAULT_DEVICES);
+  for (const device of seeded) {
+    const deviceSecret = await deviceRegistry.issueDeviceSecret(
+      device.deviceId
+    );
+    if (supportsOfflineTickets(device)) {
+      await ticketIssuer.provisionKey(device.deviceId);
+    }
+    console.log(`🔑 ${device.deviceId} device secret: ${deviceSecret}`);
+  }
+}
+
+tokenKeys
+  .start()
+  .then(seedDefaultDevices)
+  .then(() => pricing.seedPlans(DEFAULT_PRICE_PLANS))
+  .then(() => tsePriceFeed.start())
+  .then(() =>
+    Promise.all(Object.values(assetPriceFeeds).map((feed) => feed.start()))
+  )
+  .then(() => relockScheduler.start())
+  .then(() => webhooks.start())
+  .then(() => realtime.start())
+  .then(() => deviceTelemetry.start())
+  .then(() => paymentWatcher && paymentWatcher.start())
+  .then(() => {
+    const server = http.createServer(app);
+    deviceChannel.attach(server);
+    server.listen(PORT, startupBanner);
+  })
+  .catch((error) => {
+    console.error('❌ Failed to start:', error.message);
+    process.exit(1);
+  });
+
+async function startupBanner() {
   console.log('\n');
   console.log('🚀 X.402 Backend running on port', PORT);
   console.log('🔒 Lock System: Pay once per 30-min session');
-  console.log('☕ Coffee: Pay per brew');
-  console.log('💰 Payment Methods: USDC (Base) & TSE (Solana)');
+  console.log('☕ Coffee: Pay per brew (menu at /devices/:deviceId/menu)');
+  console.log(
+    `💰 Payment Methods: USDC (Base) & ${Object.keys(SOLANA_ASSETS).join(
+      ', '
+    )} (Solana)`
+  );
   console.log('📡 TSE Receiver Wallet (X.402):', TSE_RECEIVER_WALLET);
+  console.log('📡 USDC Receiver Wallet (X.402):', BASE_USDC_RECEIVER);
+  console.log(
+    `💼 Owner Payouts: per device (payoutAddresses), default platform fee ${PLATFORM_FEE_PCT}%`
+  );
   console.log('💳 Transaction Building: /transactions/build');
   console.log('📤 Transaction Submit: /transactions/submit');
+  console.log(
+    '📒 Payments: /wallets/:walletAddress/payments (operator: /admin/payments)'
+  );
+  console.log('💸 Refunds: /refunds/:chain/:txHash (operator: /admin/refunds)');
+  console.log('🔌 Device Channel: /devices/connect (WebSocket)');
+  console.log(
+    '⏱️  Timed Unlock: /unlock-request → /unlock-confirm (/devices/:id/state)'
+  );
+  console.log(`💾 Store: ${store.driver}`);
+  console.log(
+    `🚦 Abuse Controls: per-route rate limits, max ${MAX_OPEN_CHALLENGES_PER_WALLET} open challenges per wallet, backoff after ${VERIFY_FAILURES_BEFORE_BACKOFF} failed verifications`
+  );
+  console.log('🪝 Webhooks: /admin/webhooks (HMAC-signed, retried)');
+  console.log('📶 Event Stream: /devices/:deviceId/events (SSE, resumable)');
+  console.log(
+    `💓 Device Heartbeats: /devices/:deviceId/heartbeat, offline after ${DEVICE_OFFLINE_AFTER_SECONDS}s of silence`
+  );
+  console.log(
+    '🔗 Solana Pay: reference per Solana challenge, /x402/:deviceId/lookup'
+  );
+  console.log(
+    `👀 Payment Watcher: ${
+      paymentWatcher
+        ? `${PAYMENT_WATCHER_MODE}, every ${PAYMENT_WATCHER_INTERVAL_SECONDS}s`
+        : 'off'
+    } (/x402/:deviceId/challenges/:challengeId?wait=)`
+  );
+  console.log('🔑 Token Keys: ES256, public keys at /.well-known/jwks.json');
+  console.log(
+    `🎫 Offline Tickets: /devices/:deviceId/ticket (ed25519, max ${OFFLINE_TICKET_MAX_MINUTES} min)`
+  );
+  console.log(`📈 TSE Price Feed: ${PRICE_FEED_SOURCE} (/prices/tse)`);
+  console.log(
+    `🧾 x402 Paywall: X-PAYMENT on /x402/:deviceId/unlock|lock (facilitator: ${
+      X402_FACILITATOR_URL || 'none'
+    })`
+  );
   console.log('📱 Available Devices:');
-  Object.keys(devices).forEach((id) => {
-    const device = devices[id];
-    console.log(`   - ${id}: ${device.deviceName}`);
+  const registered = await deviceRegistry.listDevices();
+  registered.forEach((device) => {
+    const suffix = device.enabled ? '' : ' (disabled)';
+    console.log(`   - ${device.deviceId}: ${device.deviceName}${suffix}`);
   });
   console.log('\n');
-});
+}
@@ -0,0 +1,193 @@
+// Request rate limits and backoff after failed verifications. Rate limit
+// counters are kept in memory (per process); failure backoff lives in the
+// store ('verifyFailures').
+
+const VERIFY_FAILURES = 'verifyFailures';
+
+/*
+  counters        "<route>:<scope>:<id>" -> { count, windowStartedAt, expiresAt }
+    scope: 'ip' (id: ip) | 'wallet' (id: wallet address)
+
+  verifyFailures  walletAddress -> { failures, blockedUntil, lastFailureAt, expiresAt }
+    Cleared by a successful verification, forgotten once expiresAt passes.
+
+  Limits per route: { windowSeconds, perIp, perWallet } where a missing or
+  0 limit means unlimited for that scope.
+*/
+
+const LIMIT_FIELDS = ['windowSeconds', 'perIp', 'perWallet'];
+
+/**
+ * Merge per-route overrides into the defaults. Throws on unknown routes or
+ * non-numeric limits.
+ */
+function parseRateLimits(defaults, overrides = {}) {
+  const limits = {};
+  for (const [route, base] of Object.entries(defaults)) {
+    limits[route] = { ...base };
+  }
+
+  for (const [route, override] of Object.entries(overrides)) {
+    if (!limits[route]) {
+      throw new Error(
+        `Unknown rate limit route ${route} (known: ${Object.keys(
+          defaults
+        ).join(', ')})`
+      );
+    }
+    for (const [field, value] of Object.entries(override)) {
+      if (!LIMIT_FIELDS.includes(field)) {
+        throw new Error(`Unknown rate limit field ${route}.${field}`);
+      }
+      if (!Number.isInteger(value) || value < 0) {
+        throw new Error(`${route}.${field} must be a non-negative integer`);
+      }
+      limits[route][field] = value;
+    }
+  }
+
+  return limits;
+}
+
+function secondsUntil(isoDate, now) {
+  return Math.max(1, Math.ceil((new Date(isoDate).getTime() - now) / 1000));
+}
+
+function createAbuseControls(
+  store,
+  { limits, backoff: { threshold, baseMs, maxMs } }
+) {
+  const counters = new Map();
+  let nextPruneAt = 0;
+
+  // Drop counters whose window is over, at most once a minute
+  function prune(now) {
+    if (now < nextPruneAt) return;
+    nextPruneAt = now + 60 * 1000;
+    for (const [key, entry] of counters) {
+      if (new Date(entry.expiresAt).getTime() <= now) counters.delete(key);
+    }
+  }
+
+  /**
+   * Count one request against a limit (fixed window).
+   * Returns { ok } or { ok: false, retryAfterSeconds }.
+   */
+  function hit(route, scope, id, max, windowSeconds) {
+    const now = Date.now();
+    prune(now);
+
+    const key = `${route}:${scope}:${id}`;
+    const current = counters.get(key);
+    if (!current || new Date(current.expiresAt).getTime() <= now) {
+      counters.set(key, {
+        count: 1,
+        windowStartedAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + windowSeconds * 1000).toISOString(),
+      });
+      return { ok: true };
+    }
+    if (current.count >= max) {
+      return {
+        ok: false,
+        retryAfterSeconds: secondsUntil(current.expiresAt, now),
+      };
+    }
+    current.count += 1;
+    return { ok: true };
+  }
+
+  /**
+   * Middleware: per-IP and per-wallet request limits of `route`.
+   * walletOf(req) picks the wallet the request is for.
+   */
+  function limit(route, { walletOf = (req) => req.body.walletAddress } = {}) {
+    const config = limits[route];
+    if (!config) {
+      throw new Error(`No rate limits configured for ${route}`);
+    }
+
+    return async (req, res, next) => {
+      try {
+        const checks = [];
+        if (config.perIp) checks.push(['ip', req.ip, config.perIp]);
+
+        const walletAddress = walletOf(req);
+        if (config.perWallet && typeof walletAddress === 'string') {
+          checks.push(['wallet', walletAddress, config.perWallet]);
+        }
+
+        for (const [scope, id, max] of checks) {
+          const result = hit(route, scope, id, max, config.windowSeconds);
+          if (!result.ok) {
+            console.log(`🚦 ${route} rate limit hit (${scope} ${id})`);
+            res.set('Retry-After', String(result.retryAfterSeconds));
+            return res.status(429).json({
+              error: 'Too many requests',
+              limit: `${max} per ${config.windowSeconds}s per ${scope}`,
+              retryAfter: result.retryAfterSeconds,
+            });
+          }
+        }
+        next();
+      } catch (error) {
+        next(error);
+      }
+    };
+  }
+
+  /**
+   * Resolves { ok } or { ok: false, retryAfterSeconds } while the wallet
+   * is backing off after failed verifications.
+   */
+  async function checkBackoff(walletAddress) {
+    const entry = await store.get(VERIFY_FAILURES, walletAddress);
+    const now = Date.now();
+    if (
+      !entry ||
+      !entry.blockedUntil ||
+      new Date(entry.blockedUntil).getTime() <= now
+    ) {
+      return { ok: true };
+    }
+    return {
+      ok: false,
+      retryAfterSeconds: secondsUntil(entry.blockedUntil, now),
+    };
+  }
+
+  /**
+   * Count a failed verification. From the `threshold`th failure in a row
+   * the wallet is blocked, twice as long each time (up to maxMs).
+   */
+  async function recordFailure(walletAddress) {
+    const now = Date.now();
+    return store.update(VERIFY_FAILURES, walletAddress, (current) => {
+      const failures =
+        current && new Date(current.expiresAt).getTime() > now
+          ? current.failures + 1
+          : 1;
+      const blockedUntil =
+        failures >= threshold
+          ? now + Math.min(baseMs * 2 ** (failures - threshold), maxMs)
+          : null;
+
+      return {
+        failures,
+        blockedUntil: blockedUntil && new Date(blockedUntil).toISOString(),
+        lastFailureAt: new Date(now).toISOString(),
+        expiresAt: new Date(
+          Math.max(blockedUntil || 0, now) + maxMs
+        ).toISOString(),
+      };
+    });
+  }
+
+  async function recordSuccess(walletAddress) {
+    return store.delete(VERIFY_FAILURES, walletAddress);
+  }
+
+  return { limit, checkBackoff, recordFailure, recordSuccess };
+}
+
+module.exports = { createAbuseControls, parseRateLimits };
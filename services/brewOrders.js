@@ -0,0 +1,147 @@
+const crypto = require('crypto');
+
+/*
+  Single-use brew orders ('brewOrders' collection).
+
+  A verified payment on a coffee device creates one order. /brew consumes
+  it, and the device reports progress until the order is done or failed:
+
+    paid ──/brew──▶ queued ──ack──▶ brewing ──device report──▶ done
+                      │                 └──────────────────────▶ failed
+                      └── device offline: back to paid (retry later)
+
+  An order that is never brewed stops being usable at expiresAt.
+*/
+
+const COLLECTION = 'brewOrders';
+
+const ORDER_STATUSES = ['paid', 'queued', 'brewing', 'done', 'failed'];
+
+// Allowed moves; anything else is ignored (e.g. a late report)
+const TRANSITIONS = {
+  paid: ['queued'],
+  queued: ['paid', 'brewing', 'done', 'failed'],
+  brewing: ['done', 'failed'],
+  done: [],
+  failed: [],
+};
+
+/*
+  orderId -> {
+    orderId,
+    deviceId,
+    walletAddress,
+    itemId,
+    itemName,
+    brewSeconds,     expected brew time from the menu, or null
+    payment,         { source: 'verify' | 'x402', currency, amount, challengeId?, txHash? }
+    status,
+    commandId,       device command that started the brew
+    error,           why it failed
+    createdAt,
+    expiresAt,       last moment the order can be brewed
+    queuedAt,
+    startedAt,
+    finishedAt,
+    updatedAt
+  }
+*/
+
+function createBrewOrderBook(store, { orderTtlMs }) {
+  async function createOrder({
+    deviceId,
+    walletAddress,
+    itemId,
+    itemName,
+    brewSeconds,
+    payment,
+  }) {
+    const now = new Date();
+    const order = {
+      orderId: crypto.randomBytes(16).toString('hex'),
+      deviceId,
+      walletAddress,
+      itemId,
+      itemName: itemName || itemId,
+      brewSeconds: brewSeconds || null,
+      payment,
+      status: 'paid',
+      commandId: null,
+      error: null,
+      createdAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + orderTtlMs).toISOString(),
+      queuedAt: null,
+      startedAt: null,
+      finishedAt: null,
+      updatedAt: now.toISOString(),
+    };
+    await store.set(COLLECTION, order.orderId, order);
+    return order;
+  }
+
+  async function getOrder(orderId) {
+    return store.get(COLLECTION, orderId);
+  }
+
+  /**
+   * Take a paid order for brewing. The check-and-set is one store update,
+   * so an order can only be consumed once.
+   * Returns { ok, order } or
+   * { ok: false, reason: 'not_found' | 'used' | 'expired', order }.
+   */
+  async function claimOrder(orderId) {
+    let reason = null;
+    const now = new Date();
+
+    const order = await store.update(COLLECTION, orderId, (current) => {
+      if (!current) {
+        reason = 'not_found';
+        return undefined;
+      }
+      if (current.status !== 'paid') {
+        reason = 'used';
+        return undefined;
+      }
+      if (new Date(current.expiresAt) <= now) {
+        reason = 'expired';
+        return undefined;
+      }
+      return {
+        ...current,
+        status: 'queued',
+        queuedAt: now.toISOString(),
+        updatedAt: now.toISOString(),
+      };
+    });
+
+    return reason ? { ok: false, reason, order } : { ok: true, order };
+  }
+
+  /**
+   * Move an order to `status` if the lifecycle allows it. Returns the
+   * updated order, or null if the move was not allowed.
+   */
+  async function setStatus(orderId, status, changes = {}) {
+    let moved = false;
+    const now = new Date().toISOString();
+
+    const order = await store.update(COLLECTION, orderId, (current) => {
+      if (!current || !TRANSITIONS[current.status].includes(status)) {
+        return undefined;
+      }
+      moved = true;
+
+      const next = { ...current, ...changes, status, updatedAt: now };
+      if (status === 'paid') next.queuedAt = null;
+      if (status === 'brewing') next.startedAt = now;
+      if (status === 'done' || status === 'failed') next.finishedAt = now;
+      return next;
+    });
+
+    return moved ? order : null;
+  }
+
+  return { createOrder, getOrder, claimOrder, setStatus };
+}
+
+module.exports = { createBrewOrderBook, ORDER_STATUSES };
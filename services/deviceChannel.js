@@ -0,0 +1,234 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { WebSocketServer } = require('ws');
+
+/*
+  Device-facing WebSocket channel.
+
+  Devices connect to `path` with headers
+    X-Device-Id: <deviceId>
+    Authorization: Bearer <deviceSecret>
+
+  Backend -> device:  { type: 'command', commandId, action, params, sentAt }
+  Device -> backend:  { type: 'ack', commandId, ok, error?, result? }
+
+  Any other JSON message is re-emitted as a 'message' event so other
+  subsystems can consume device-originated events.
+
+  Events: 'connected' (deviceId), 'disconnected' (deviceId),
+          'message' (deviceId, message)
+*/
+
+const PING_INTERVAL_MS = 30 * 1000;
+
+function createDeviceChannel({
+  path = '/devices/connect',
+  authenticate,
+  commandTimeoutMs = 10000,
+}) {
+  const events = new EventEmitter();
+  const wss = new WebSocketServer({ noServer: true });
+
+  // deviceId -> ws
+  const connections = new Map();
+  // commandId -> { deviceId, resolve, timer }
+  const pendingCommands = new Map();
+
+  function settleCommand(commandId, outcome) {
+    const pending = pendingCommands.get(commandId);
+    if (!pending) return;
+    clearTimeout(pending.timer);
+    pendingCommands.delete(commandId);
+    pending.resolve({ commandId, ...outcome });
+  }
+
+  function handleMessage(deviceId, raw) {
+    let message;
+    try {
+      message = JSON.parse(raw.toString());
+    } catch (e) {
+      console.log(`⚠️  ${deviceId}: ignoring non-JSON message`);
+      return;
+    }
+
+    if (message.type === 'ack' && message.commandId) {
+      const pending = pendingCommands.get(message.commandId);
+      if (!pending || pending.deviceId !== deviceId) return;
+
+      settleCommand(
+        message.commandId,
+        message.ok
+          ? { ok: true, status: 'acked', result: message.result || null }
+          : {
+              ok: false,
+              status: 'failed',
+              error: message.error || 'Device reported failure',
+            }
+      );
+      return;
+    }
+
+    events.emit('message', deviceId, message);
+  }
+
+  function handleConnection(ws, deviceId) {
+    const previous = connections.get(deviceId);
+    if (previous) {
+      previous.close(4000, 'Replaced by a newer connection');
+    }
+
+    connections.set(deviceId, ws);
+    ws.isAlive = true;
+    console.log(`\n📶 Device connected: ${deviceId}`);
+    events.emit('connected', deviceId);
+
+    ws.on('pong', () => {
+      ws.isAlive = true;
+    });
+
+    ws.on('message', (raw) => handleMessage(deviceId, raw));
+
+    ws.on('close', () => {
+      if (connections.get(deviceId) !== ws) return;
+      connections.delete(deviceId);
+      console.log(`\n📴 Device disconnected: ${deviceId}`);
+
+      // Nothing in flight can be acked any more
+      for (const [commandId, pending] of pendingCommands) {
+        if (pending.deviceId === deviceId) {
+          settleCommand(commandId, {
+            ok: false,
+            status: 'offline',
+            error: 'Device disconnected before acknowledging',
+          });
+        }
+      }
+      events.emit('disconnected', deviceId);
+    });
+
+    ws.on('error', (error) => {
+      console.error(`❌ Device socket error (${deviceId}):`, error.message);
+    });
+  }
+
+  function rejectUpgrade(socket, status, message) {
+    socket.write(
+      `HTTP/1.1 ${status} ${message}\r\nConnection: close\r\n\r\n`
+    );
+    socket.destroy();
+  }
+
+  /**
+   * Hook the channel into an http.Server's upgrade handling.
+   */
+  function attach(server) {
+    server.on('upgrade', async (req, socket, head) => {
+      const { pathname } = new URL(req.url, 'http://localhost');
+      if (pathname !== path) {
+        return rejectUpgrade(socket, 404, 'Not Found');
+      }
+
+      const deviceId = req.headers['x-device-id'];
+      const authHeader = req.headers.authorization || '';
+      const secret = authHeader.startsWith('Bearer ')
+        ? authHeader.slice(7)
+        : null;
+
+      let allowed = false;
+      try {
+        allowed = Boolean(
+          deviceId && secret && (await authenticate(deviceId, secret))
+        );
+      } catch (error) {
+        console.error('❌ Device authentication error:', error.message);
+      }
+
+      if (!allowed) {
+        console.log(`⛔ Rejected device connection (${deviceId || 'no id'})`);
+        return rejectUpgrade(socket, 401, 'Unauthorized');
+      }
+
+      wss.handleUpgrade(req, socket, head, (ws) => {
+        handleConnection(ws, deviceId);
+      });
+    });
+
+    // Drop sockets that stopped answering pings
+    const heartbeat = setInterval(() => {
+      for (const ws of connections.values()) {
+        if (!ws.isAlive) {
+          ws.terminate();
+          continue;
+        }
+        ws.isAlive = false;
+        ws.ping();
+      }
+    }, PING_INTERVAL_MS);
+    heartbeat.unref();
+  }
+
+  function isOnline(deviceId) {
+    return connections.has(deviceId);
+  }
+
+  /**
+   * Send a command and wait for the device's ack. Never rejects; resolves
+   * { ok, status: 'acked' | 'failed' | 'timeout' | 'offline', commandId, ... }
+   */
+  function sendCommand(deviceId, action, params = {}, options = {}) {
+    const commandId = crypto.randomBytes(12).toString('hex');
+    const ws = connections.get(deviceId);
+
+    if (!ws) {
+      return Promise.resolve({
+        commandId,
+        ok: false,
+        status: 'offline',
+        error: 'Device is not connected',
+      });
+    }
+
+    const timeoutMs = options.timeoutMs || commandTimeoutMs;
+
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        settleCommand(commandId, {
+          ok: false,
+          status: 'timeout',
+          error: `Device did not acknowledge within ${timeoutMs}ms`,
+        });
+      }, timeoutMs);
+
+      pendingCommands.set(commandId, { deviceId, resolve, timer });
+
+      console.log(`   📡 ${action} → ${deviceId} (command ${commandId})`);
+      ws.send(
+        JSON.stringify({
+          type: 'command',
+          commandId,
+          action,
+          params,
+          sentAt: new Date().toISOString(),
+        }),
+        (error) => {
+          if (error) {
+            settleCommand(commandId, {
+              ok: false,
+              status: 'offline',
+              error: `Send failed: ${error.message}`,
+            });
+          }
+        }
+      );
+    });
+  }
+
+  return {
+    attach,
+    isOnline,
+    sendCommand,
+    on: events.on.bind(events),
+  };
+}
+
+module.exports = { createDeviceChannel };
@@ -0,0 +1,283 @@
+const crypto = require('crypto');
+
+// Device registry backed by the persistent store ('devices' collection)
+
+const COLLECTION = 'devices';
+
+const DEVICE_ID_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+
+const CAPABILITY_FLAGS = [
+  'supportsLock',
+  'supportsTimer',
+  'supportsNFC',
+  'supportsBLE',
+];
+
+const TEXT_FIELDS = ['deviceName', 'deviceType', 'model', 'firmwareVersion'];
+
+// Chains an owner can be paid out on (payoutAddresses keys)
+const PAYOUT_CHAINS = ['base', 'solana'];
+
+// Seeded into an empty registry on first boot
+const DEFAULT_DEVICES = [
+  {
+    deviceId: 'X402-LOCK-001',
+    deviceName: 'Smart Bike Lock',
+    deviceType: 'Bike Lock',
+    model: 'X402-BL Pro',
+    supportsLock: true,
+    supportsTimer: false,
+    supportsNFC: true,
+    supportsBLE: true,
+    firmwareVersion: '1.2.1',
+  },
+  {
+    deviceId: 'X402-LOCK-002',
+    deviceName: 'Office Door Lock',
+    deviceType: 'Door Lock',
+    model: 'X402-DL Standard',
+    supportsLock: true,
+    supportsTimer: false,
+    supportsNFC: true,
+    supportsBLE: true,
+    firmwareVersion: '1.0.5',
+  },
+  {
+    deviceId: 'X402-COFFEE-001',
+    deviceName: 'Smart Coffee Maker',
+    deviceType: 'Coffee Machine',
+    model: 'X402-CM Elite',
+    supportsLock: false,
+    supportsTimer: true,
+    supportsNFC: false,
+    supportsBLE: true,
+    firmwareVersion: '2.0.1',
+  },
+];
+
+/**
+ * Validate a device body. With `partial` only the fields present are
+ * checked (updates); otherwise deviceId and deviceName are required.
+ * Returns a list of error messages (empty when valid).
+ */
+function validateDevice(input, { partial = false } = {}) {
+  const errors = [];
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return ['Device body must be an object'];
+  }
+
+  if (!partial) {
+    if (!DEVICE_ID_PATTERN.test(input.deviceId || '')) {
+      errors.push(
+        'deviceId required (1-64 chars: letters, digits, ".", "_", "-")'
+      );
+    }
+    if (!input.deviceName) {
+      errors.push('deviceName required');
+    }
+  }
+
+  for (const field of TEXT_FIELDS) {
+    if (input[field] !== undefined && typeof input[field] !== 'string') {
+      errors.push(`${field} must be a string`);
+    }
+  }
+
+  for (const flag of CAPABILITY_FLAGS) {
+    if (input[flag] !== undefined && typeof input[flag] !== 'boolean') {
+      errors.push(`${flag} must be a boolean`);
+    }
+  }
+
+  if (
+    input.pricePlanId !== undefined &&
+    input.pricePlanId !== null &&
+    typeof input.pricePlanId !== 'string'
+  ) {
+    errors.push('pricePlanId must be a string or null');
+  }
+
+  if (input.payoutAddresses !== undefined && input.payoutAddresses !== null) {
+    const payout = input.payoutAddresses;
+    if (typeof payout !== 'object' || Array.isArray(payout)) {
+      errors.push('payoutAddresses must be an object or null');
+    } else {
+      for (const [chain, address] of Object.entries(payout)) {
+        if (!PAYOUT_CHAINS.includes(chain)) {
+          errors.push(
+            `payoutAddresses.${chain}: unknown chain (use ${PAYOUT_CHAINS.join(
+              ' or '
+            )})`
+          );
+        } else if (address !== null && typeof address !== 'string') {
+          errors.push(`payoutAddresses.${chain} must be a string or null`);
+        }
+      }
+    }
+  }
+
+  if (
+    input.platformFeePct !== undefined &&
+    input.platformFeePct !== null &&
+    (typeof input.platformFeePct !== 'number' ||
+      !(input.platformFeePct >= 0 && input.platformFeePct <= 100))
+  ) {
+    errors.push('platformFeePct must be a number from 0 to 100, or null');
+  }
+
+  return errors;
+}
+
+function pickDeviceFields(input) {
+  const fields = {};
+  for (const field of [
+    ...TEXT_FIELDS,
+    ...CAPABILITY_FLAGS,
+    'pricePlanId',
+    'payoutAddresses',
+    'platformFeePct',
+  ]) {
+    if (input[field] !== undefined) {
+      fields[field] = input[field];
+    }
+  }
+  return fields;
+}
+
+function hashDeviceSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+/**
+ * Strip credentials before a device record leaves the server. Presence
+ * comes from device telemetry; a stored `status` predates it.
+ */
+function toPublicDevice(device) {
+  if (!device) return device;
+  const { secretHash, status, ...publicFields } = device;
+  return { ...publicFields, hasCredentials: Boolean(secretHash) };
+}
+
+function createDeviceRegistry(store) {
+  async function listDevices() {
+    const devices = await store.list(COLLECTION);
+    return devices.sort((a, b) => a.deviceId.localeCompare(b.deviceId));
+  }
+
+  async function getDevice(deviceId) {
+    return store.get(COLLECTION, deviceId);
+  }
+
+  /**
+   * Returns the created device, or null if the deviceId is taken.
+   */
+  async function createDevice(input) {
+    const now = new Date().toISOString();
+    let created = null;
+
+    await store.update(COLLECTION, input.deviceId, (current) => {
+      if (current) return undefined;
+      created = {
+        deviceId: input.deviceId,
+        deviceName: input.deviceName,
+        deviceType: 'Generic',
+        model: null,
+        firmwareVersion: null,
+        supportsLock: false,
+        supportsTimer: false,
+        supportsNFC: false,
+        supportsBLE: false,
+        pricePlanId: null,
+        // Owner's address per chain; null = the platform receives it all
+        payoutAddresses: null,
+        // Platform's share of owner payments; null = PLATFORM_FEE_PCT
+        platformFeePct: null,
+        ...pickDeviceFields(input),
+        enabled: true,
+        createdAt: now,
+        updatedAt: now,
+      };
+      return created;
+    });
+
+    return created;
+  }
+
+  /**
+   * Returns the updated device, or null if it does not exist.
+   */
+  async function updateDevice(deviceId, changes) {
+    return store.update(COLLECTION, deviceId, (current) => {
+      if (!current) return undefined;
+      return {
+        ...current,
+        ...changes,
+        deviceId,
+        updatedAt: new Date().toISOString(),
+      };
+    });
+  }
+
+  /**
+   * Generate a new device secret (replacing any previous one). Only the
+   * hash is stored; the plain secret is returned once for provisioning.
+   */
+  async function issueDeviceSecret(deviceId) {
+    const secret = crypto.randomBytes(32).toString('base64url');
+    const device = await updateDevice(deviceId, {
+      secretHash: hashDeviceSecret(secret),
+    });
+    return device ? secret : null;
+  }
+
+  async function verifyDeviceSecret(deviceId, secret) {
+    const device = await getDevice(deviceId);
+    if (!device || !device.enabled || !device.secretHash) return false;
+
+    const provided = Buffer.from(hashDeviceSecret(secret), 'hex');
+    const expected = Buffer.from(device.secretHash, 'hex');
+    return crypto.timingSafeEqual(provided, expected);
+  }
+
+  async function deleteDevice(deviceId) {
+    return store.delete(COLLECTION, deviceId);
+  }
+
+  /**
+   * Create `defaults` in an empty registry. Resolves the created devices
+   * (none when the registry already had some).
+   */
+  async function seedDevices(defaults) {
+    const existing = await store.list(COLLECTION);
+    if (existing.length > 0) return [];
+
+    const seeded = [];
+    for (const device of defaults) {
+      const created = await createDevice(device);
+      if (created) seeded.push(created);
+    }
+    console.log(`🌱 Seeded device registry with ${seeded.length} devices`);
+    return seeded;
+  }
+
+  return {
+    listDevices,
+    getDevice,
+    createDevice,
+    updateDevice,
+    deleteDevice,
+    issueDeviceSecret,
+    verifyDeviceSecret,
+    seedDevices,
+  };
+}
+
+module.exports = {
+  createDeviceRegistry,
+  validateDevice,
+  pickDeviceFields,
+  toPublicDevice,
+  DEFAULT_DEVICES,
+  PAYOUT_CHAINS,
+};
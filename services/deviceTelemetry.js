@@ -0,0 +1,215 @@
+// Device heartbeats and telemetry ('deviceTelemetry' collection). A device
+// is online while it holds its command channel open or keeps reporting
+// (HTTP heartbeat, WebSocket messages); offlineAfterMs of silence marks it
+// offline.
+
+const COLLECTION = 'deviceTelemetry';
+
+/*
+  deviceId -> {
+    deviceId,
+    lastSeen,          last heartbeat or message from the device
+    online,            as of the last contact / scan, for transitions
+    batteryLevel,      0-100
+    firmwareVersion,
+    lockSensor,        'locked' | 'unlocked' | 'open' | 'unknown'
+    rssi,              dBm
+    errors,            [{ code, message }] from the latest report
+    reportedAt         latest telemetry report
+  }
+*/
+
+const LOCK_SENSOR_STATES = ['locked', 'unlocked', 'open', 'unknown'];
+const MAX_ERRORS = 20;
+const MAX_TEXT_LENGTH = 200;
+
+/**
+ * Validate a heartbeat body; every field is optional.
+ * Returns a list of error messages.
+ */
+function validateHeartbeat(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return ['Heartbeat body must be an object'];
+  }
+
+  const errors = [];
+  if (
+    input.batteryLevel !== undefined &&
+    !(
+      typeof input.batteryLevel === 'number' &&
+      input.batteryLevel >= 0 &&
+      input.batteryLevel <= 100
+    )
+  ) {
+    errors.push('batteryLevel must be a number from 0 to 100');
+  }
+  if (
+    input.firmwareVersion !== undefined &&
+    (typeof input.firmwareVersion !== 'string' ||
+      input.firmwareVersion.length > MAX_TEXT_LENGTH)
+  ) {
+    errors.push('firmwareVersion must be a string');
+  }
+  if (
+    input.lockSensor !== undefined &&
+    !LOCK_SENSOR_STATES.includes(input.lockSensor)
+  ) {
+    errors.push(`lockSensor must be one of ${LOCK_SENSOR_STATES.join(', ')}`);
+  }
+  if (
+    input.rssi !== undefined &&
+    !(typeof input.rssi === 'number' && input.rssi >= -150 && input.rssi <= 0)
+  ) {
+    errors.push('rssi must be a number of dBm from -150 to 0');
+  }
+  if (input.errors !== undefined) {
+    if (!Array.isArray(input.errors) || input.errors.length > MAX_ERRORS) {
+      errors.push(`errors must be an array of at most ${MAX_ERRORS} entries`);
+    } else if (
+      !input.errors.every(
+        (entry) =>
+          typeof entry === 'string' ||
+          (entry && typeof entry === 'object' && entry.message !== undefined)
+      )
+    ) {
+      errors.push('errors entries must be strings or { code?, message }');
+    }
+  }
+  return errors;
+}
+
+function normalizeError(entry) {
+  const { code = null, message } =
+    typeof entry === 'string' ? { message: entry } : entry;
+  return {
+    code: code === null ? null : String(code).slice(0, MAX_TEXT_LENGTH),
+    message: String(message).slice(0, MAX_TEXT_LENGTH),
+  };
+}
+
+function createDeviceTelemetry(
+  store,
+  {
+    offlineAfterMs,
+    scanIntervalMs = 30 * 1000,
+    isConnected = () => false,
+    onPresenceChange = () => {},
+  }
+) {
+  let timer = null;
+
+  function isOnline(deviceId, entry, now = Date.now()) {
+    return (
+      isConnected(deviceId) ||
+      (Boolean(entry) &&
+        now - new Date(entry.lastSeen).getTime() < offlineAfterMs)
+    );
+  }
+
+  /**
+   * Note contact from a device, with the telemetry fields it reported
+   * (a validated heartbeat body, or {} for plain contact).
+   */
+  async function recordContact(deviceId, report = {}) {
+    const now = new Date().toISOString();
+    let cameOnline = false;
+
+    const entry = await store.update(COLLECTION, deviceId, (current) => {
+      cameOnline = !current || !current.online;
+      const updated = {
+        deviceId,
+        batteryLevel: null,
+        firmwareVersion: null,
+        lockSensor: null,
+        rssi: null,
+        errors: [],
+        reportedAt: null,
+        ...current,
+        lastSeen: now,
+        online: true,
+      };
+
+      const telemetry = {};
+      for (const field of [
+        'batteryLevel',
+        'firmwareVersion',
+        'lockSensor',
+        'rssi',
+      ]) {
+        if (report[field] !== undefined) telemetry[field] = report[field];
+      }
+      if (report.errors !== undefined) {
+        telemetry.errors = report.errors.map(normalizeError);
+      }
+      if (Object.keys(telemetry).length === 0) return updated;
+      return { ...updated, ...telemetry, reportedAt: now };
+    });
+
+    if (cameOnline) onPresenceChange(deviceId, true, entry);
+    return entry;
+  }
+
+  /**
+   * What status routes show: { online, lastSeen, batteryLevel,
+   * firmwareVersion, lockSensor, rssi, errors, reportedAt }, nulls for a
+   * device that never reported.
+   */
+  async function getPresence(deviceId) {
+    const entry = await store.get(COLLECTION, deviceId);
+    return {
+      online: isOnline(deviceId, entry),
+      lastSeen: entry ? entry.lastSeen : null,
+      batteryLevel: entry ? entry.batteryLevel : null,
+      firmwareVersion: entry ? entry.firmwareVersion : null,
+      lockSensor: entry ? entry.lockSensor : null,
+      rssi: entry ? entry.rssi : null,
+      errors: entry ? entry.errors : [],
+      reportedAt: entry ? entry.reportedAt : null,
+    };
+  }
+
+  /**
+   * Mark devices that went silent offline
+   */
+  async function scan() {
+    const now = Date.now();
+    const entries = await store.list(COLLECTION);
+    for (const entry of entries) {
+      if (!entry.online || isOnline(entry.deviceId, entry, now)) continue;
+
+      let wentOffline = false;
+      const updated = await store.update(
+        COLLECTION,
+        entry.deviceId,
+        (current) => {
+          if (!current || !current.online) return undefined;
+          if (isOnline(entry.deviceId, current, Date.now())) return undefined;
+          wentOffline = true;
+          return { ...current, online: false };
+        }
+      );
+      if (wentOffline) onPresenceChange(entry.deviceId, false, updated);
+    }
+  }
+
+  function start() {
+    timer = setInterval(() => {
+      scan().catch((error) =>
+        console.error('❌ Device presence scan failed:', error.message)
+      );
+    }, scanIntervalMs);
+    timer.unref();
+  }
+
+  function stop() {
+    clearInterval(timer);
+  }
+
+  return { start, stop, recordContact, getPresence, scan };
+}
+
+module.exports = {
+  createDeviceTelemetry,
+  validateHeartbeat,
+  LOCK_SENSOR_STATES,
+};
@@ -0,0 +1,59 @@
+const crypto = require('crypto');
+
+/*
+  In-process bus for domain events. Routes publish what happened,
+  outbound integrations (webhooks, ...) subscribe. So do event streams and
+  long polls, one subscriber per open request: subscribers are a plain Set,
+  with no listener limit to trip.
+
+  event: { eventId, type, occurredAt, data }
+*/
+
+const EVENT_TYPES = [
+  'payment.verified',
+  'payment.failed',
+  'session.issued',
+  'session.revoked',
+  'device.unlocked',
+  'device.locked',
+  'device.online',
+  'device.offline',
+  'brew.started',
+  'brew.completed',
+  'brew.failed',
+];
+
+function createEventBus() {
+  const subscribers = new Set();
+
+  function publish(type, data) {
+    const event = {
+      eventId: crypto.randomBytes(12).toString('hex'),
+      type,
+      occurredAt: new Date().toISOString(),
+      data,
+    };
+    for (const subscriber of subscribers) subscriber(event);
+    return event;
+  }
+
+  /**
+   * Call listener(event) for every event. A failing listener is logged and
+   * never reaches the publisher. Returns an unsubscribe function.
+   */
+  function subscribe(listener) {
+    const wrapped = (event) => {
+      Promise.resolve()
+        .then(() => listener(event))
+        .catch((error) =>
+          console.error(`❌ ${event.type} listener failed:`, error.message)
+        );
+    };
+    subscribers.add(wrapped);
+    return () => subscribers.delete(wrapped);
+  }
+
+  return { publish, subscribe };
+}
+
+module.exports = { createEventBus, EVENT_TYPES };
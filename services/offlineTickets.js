@@ -0,0 +1,220 @@
+const crypto = require('crypto');
+const bs58 = require('bs58');
+
+/*
+  Offline capability tickets for devices reached over BLE/NFC.
+
+  Each device has its own ed25519 key ('ticketKeys' collection). The device
+  is provisioned with the public half and checks tickets with no connection
+  to the backend.
+
+  Ticket bytes (sent base64url encoded), integers big-endian:
+
+    0        version             1
+    1        actions bitmask     unlock 0x01, lock 0x02, brew 0x04
+    2-5      nonce               uint32, counts up per device and wallet
+    6-9      validFrom           uint32, unix seconds
+    10-13    validUntil          uint32, unix seconds
+    14       N, then N bytes     deviceId (ASCII)
+    ..       wallet chain        1 base, 2 solana
+    ..       M, then M bytes     wallet (20-byte EVM address / 32-byte key)
+    last 64  signature           ed25519 over all preceding bytes
+
+  The device keeps, per wallet, the highest nonce it has accepted and
+  refuses lower ones: a ticket can be reused for its actions inside its
+  window, but once a newer ticket of the same wallet is presented every
+  older one of that wallet is dead. Other wallets' tickets are unaffected.
+*/
+
+const COLLECTION = 'ticketKeys';
+const TICKET_VERSION = 1;
+const SIGNATURE_LENGTH = 64;
+
+const ACTION_BITS = { unlock: 0x01, lock: 0x02, brew: 0x04 };
+const CHAIN_CODES = { base: 1, solana: 2 };
+
+/*
+  deviceId -> { deviceId, publicKey, privateKeyPem, nonces, createdAt }
+    publicKey: raw 32-byte ed25519 key, base64
+    nonces:    "<chain>:<wallet>" -> last nonce issued to that wallet
+*/
+
+function encodeWallet(chain, walletAddress) {
+  return chain === 'base'
+    ? Buffer.from(walletAddress.slice(2), 'hex')
+    : Buffer.from(bs58.decode(walletAddress));
+}
+
+function decodeWallet(chain, bytes) {
+  return chain === 'base' ? `0x${bytes.toString('hex')}` : bs58.encode(bytes);
+}
+
+// Nonce counter of a wallet, as the device tells wallets apart (by bytes)
+function nonceKey(chain, walletAddress) {
+  return `${chain}:${decodeWallet(chain, encodeWallet(chain, walletAddress))}`;
+}
+
+function encodeTicketBody({
+  actions,
+  nonce,
+  validFrom,
+  validUntil,
+  deviceId,
+  chain,
+  walletAddress,
+}) {
+  const header = Buffer.alloc(14);
+  header.writeUInt8(TICKET_VERSION, 0);
+  header.writeUInt8(
+    actions.reduce((bits, action) => bits | ACTION_BITS[action], 0),
+    1
+  );
+  header.writeUInt32BE(nonce, 2);
+  header.writeUInt32BE(validFrom, 6);
+  header.writeUInt32BE(validUntil, 10);
+
+  const device = Buffer.from(deviceId, 'ascii');
+  const wallet = encodeWallet(chain, walletAddress);
+
+  return Buffer.concat([
+    header,
+    Buffer.from([device.length]),
+    device,
+    Buffer.from([CHAIN_CODES[chain], wallet.length]),
+    wallet,
+  ]);
+}
+
+/**
+ * Reference check of a ticket, as a device would do it.
+ * Returns the decoded fields, or null if malformed or badly signed.
+ */
+function verifyTicket(ticket, publicKeyBase64) {
+  try {
+    const bytes = Buffer.from(ticket, 'base64url');
+    const body = bytes.subarray(0, bytes.length - SIGNATURE_LENGTH);
+    const signature = bytes.subarray(bytes.length - SIGNATURE_LENGTH);
+
+    const publicKey = crypto.createPublicKey({
+      key: {
+        kty: 'OKP',
+        crv: 'Ed25519',
+        x: Buffer.from(publicKeyBase64, 'base64').toString('base64url'),
+      },
+      format: 'jwk',
+    });
+    if (!crypto.verify(null, body, publicKey, signature)) return null;
+    if (body.readUInt8(0) !== TICKET_VERSION) return null;
+
+    const bits = body.readUInt8(1);
+    let offset = 14;
+    const deviceLength = body.readUInt8(offset);
+    const deviceId = body.toString(
+      'ascii',
+      offset + 1,
+      offset + 1 + deviceLength
+    );
+    offset += 1 + deviceLength;
+
+    const chain = Object.keys(CHAIN_CODES).find(
+      (name) => CHAIN_CODES[name] === body.readUInt8(offset)
+    );
+    const walletLength = body.readUInt8(offset + 1);
+    const wallet = body.subarray(offset + 2, offset + 2 + walletLength);
+
+    return {
+      actions: Object.keys(ACTION_BITS).filter(
+        (action) => bits & ACTION_BITS[action]
+      ),
+      nonce: body.readUInt32BE(2),
+      validFrom: body.readUInt32BE(6),
+      validUntil: body.readUInt32BE(10),
+      deviceId,
+      chain,
+      walletAddress: decodeWallet(chain, wallet),
+    };
+  } catch (e) {
+    return null;
+  }
+}
+
+function createTicketIssuer(store) {
+  /**
+   * Generate (or replace) a device's ticket key. Returns the public key
+   * to provision the device with. Replacing a key voids its old tickets.
+   */
+  async function provisionKey(deviceId) {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+    const record = {
+      deviceId,
+      publicKey: Buffer.from(
+        publicKey.export({ format: 'jwk' }).x,
+        'base64url'
+      ).toString('base64'),
+      privateKeyPem: privateKey.export({ format: 'pem', type: 'pkcs8' }),
+      nonces: {},
+      createdAt: new Date().toISOString(),
+    };
+    await store.set(COLLECTION, deviceId, record);
+    return { deviceId, algorithm: 'Ed25519', publicKey: record.publicKey };
+  }
+
+  async function getPublicKey(deviceId) {
+    const record = await store.get(COLLECTION, deviceId);
+    return record ? record.publicKey : null;
+  }
+
+  async function deleteKey(deviceId) {
+    return store.delete(COLLECTION, deviceId);
+  }
+
+  /**
+   * Sign a ticket with the wallet's next nonce. Resolves null when the
+   * device has no ticket key.
+   */
+  async function issueTicket({
+    deviceId,
+    walletAddress,
+    chain,
+    actions,
+    validFrom,
+    validUntil,
+  }) {
+    // Take the next nonce atomically so no two tickets of a wallet share one
+    const key = nonceKey(chain, walletAddress);
+    const record = await store.update(COLLECTION, deviceId, (current) => {
+      if (!current) return undefined;
+      const nonces = current.nonces || {};
+      return {
+        ...current,
+        nonces: { ...nonces, [key]: (nonces[key] || 0) + 1 },
+      };
+    });
+    if (!record) return null;
+
+    const fields = {
+      actions,
+      nonce: record.nonces[key],
+      validFrom,
+      validUntil,
+      deviceId,
+      chain,
+      walletAddress,
+    };
+    const body = encodeTicketBody(fields);
+    const signature = crypto.sign(
+      null,
+      body,
+      crypto.createPrivateKey(record.privateKeyPem)
+    );
+
+    return {
+      ticket: Buffer.concat([body, signature]).toString('base64url'),
+      ...fields,
+    };
+  }
+
+  return { provisionKey, getPublicKey, deleteKey, issueTicket };
+}
+
+module.exports = { createTicketIssuer, verifyTicket, ACTION_BITS };
@@ -0,0 +1,107 @@
+const { ledgerKey } = require('./spentTransactions');
+
+// Durable ledger of verified payments ('payments' collection), keyed like
+// the spent-tx ledger. Written once when a payment settles, never swept:
+// support and accounting read it long after challenges and sessions are gone.
+
+const COLLECTION = 'payments';
+
+/*
+  "<chain>:<txHash>" -> {
+    chain,
+    token,
+    amount,            raw units (string)
+    uiAmount,
+    txHash,
+    payer,             wallet that paid
+    receiver,          platform receiver
+    ownerPayout,       device owner's address, when the payment was split
+    ownerAmount,       raw units the owner received (string)
+    platformAmount,    raw units the platform kept (string)
+    deviceId,
+    kind,              'session' | 'top-up' | 'brew' | 'refunded' (paid
+                       while the device was offline, refunded instead)
+    planId,
+    minutes,
+    itemId,
+    challengeId,
+    sessionId,         session the payment issued or extended
+    sessionExpiresAt,
+    orderId,           brew order it bought
+    paidAt
+  }
+*/
+
+const CSV_COLUMNS = [
+  'paidAt',
+  'chain',
+  'token',
+  'amount',
+  'uiAmount',
+  'txHash',
+  'payer',
+  'receiver',
+  'ownerPayout',
+  'ownerAmount',
+  'platformAmount',
+  'deviceId',
+  'kind',
+  'planId',
+  'minutes',
+  'itemId',
+  'challengeId',
+  'sessionId',
+  'sessionExpiresAt',
+  'orderId',
+];
+
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(payments) {
+  const lines = [CSV_COLUMNS.join(',')];
+  for (const payment of payments) {
+    lines.push(
+      CSV_COLUMNS.map((column) => csvField(payment[column])).join(',')
+    );
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+function createPaymentLedger(store) {
+  async function recordPayment(payment) {
+    const entry = { ...payment, paidAt: new Date().toISOString() };
+    await store.set(COLLECTION, ledgerKey(entry.chain, entry.txHash), entry);
+    return entry;
+  }
+
+  async function getPayment(chain, txHash) {
+    return store.get(COLLECTION, ledgerKey(chain, txHash));
+  }
+
+  /**
+   * Payments matching every given filter, newest first.
+   * from / to: Date bounds on paidAt (inclusive)
+   */
+  async function listPayments({ walletAddress, deviceId, from, to } = {}) {
+    const payments = await store.list(COLLECTION);
+    return payments
+      .filter((payment) => {
+        const paidAt = new Date(payment.paidAt);
+        return (
+          (!walletAddress || payment.payer === walletAddress) &&
+          (!deviceId || payment.deviceId === deviceId) &&
+          (!from || paidAt >= from) &&
+          (!to || paidAt <= to)
+        );
+      })
+      .sort((a, b) => b.paidAt.localeCompare(a.paidAt));
+  }
+
+  return { recordPayment, getPayment, listPayments };
+}
+
+module.exports = { createPaymentLedger, toCsv };
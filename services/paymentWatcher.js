@@ -0,0 +1,309 @@
+const { ethers } = require('ethers');
+const { PublicKey } = require('@solana/web3.js');
+const { referenceSignatures } = require('./solanaPay');
+const { checkRecipients } = require('./payouts');
+
+/*
+  Settles open X.402 challenges whose payment is already on chain, so a
+  client that never calls /verify (app closed, crashed, ...) still gets its
+  access token.
+
+    Solana  every challenge carries a Solana Pay reference; transactions
+            with that reference are its payment candidates
+    Base    USDC Transfer logs from the challenge's wallet to its recipients
+            (payer + amounts), scanned block range by block range
+
+  A match only nominates a transaction: settle(challenge, txHash) runs the
+  same strict verification /verify does. A transaction settlement refused
+  for a challenge is not nominated for it again, unless the refusal was
+  retryable (RPC error, not indexed yet, ...); the Base cursor then stays
+  before its block so the next scan sees it again.
+
+  Modes:
+    'poll'       scan every intervalMs
+    'subscribe'  also scan Solana as soon as a reference shows up in the
+                 logs, and Base on every new block; the poll keeps running
+                 as a safety net for dropped subscriptions
+
+  paymentWatcher  'base' -> { lastBlock, updatedAt }   Base scan cursor
+
+  listOpenChallenges() resolves the unpaid, unexpired challenges the watcher
+  may settle as
+  { challengeId, chain, walletAddress, recipients, reference, createdAt }.
+  A Base transfer says nothing but payer and amounts, so it should only list
+  Base challenges whose wallet was proven to belong to their creator.
+*/
+
+const STATE = 'paymentWatcher';
+const MODES = ['poll', 'subscribe'];
+const CHAINS = ['solana', 'base'];
+
+const TRANSFER_TOPIC = ethers.id('Transfer(address,address,uint256)');
+// Largest block range per getLogs request
+const MAX_BLOCK_RANGE = 1000;
+// Where a fresh cursor starts: about one challenge lifetime of Base blocks
+const INITIAL_LOOKBACK_BLOCKS = 300;
+// How long a refused transaction stays refused
+const REJECTED_TTL_MS = 60 * 60 * 1000;
+
+function addressTopic(address) {
+  return ethers.zeroPadValue(address.toLowerCase(), 32);
+}
+
+function topicAddress(topic) {
+  return ethers.dataSlice(topic, 12).toLowerCase();
+}
+
+// txHash -> payer -> (recipient -> raw amount), addresses lowercased
+function groupTransfers(logs) {
+  const transfers = new Map();
+  for (const log of logs) {
+    if (log.removed || log.topics.length < 3) continue;
+
+    const from = topicAddress(log.topics[1]);
+    const to = topicAddress(log.topics[2]);
+    if (!transfers.has(log.transactionHash)) {
+      transfers.set(log.transactionHash, new Map());
+    }
+    const payers = transfers.get(log.transactionHash);
+    if (!payers.has(from)) payers.set(from, new Map());
+    const received = payers.get(from);
+    received.set(to, (received.get(to) || 0n) + BigInt(log.data));
+  }
+  return transfers;
+}
+
+function createPaymentWatcher(
+  store,
+  {
+    mode = 'poll',
+    intervalMs = 15 * 1000,
+    baseProvider,
+    usdcContract,
+    solanaConnection,
+    listOpenChallenges,
+    settle,
+  }
+) {
+  if (!MODES.includes(mode)) {
+    throw new Error(
+      `Unknown payment watcher mode ${mode} (known: ${MODES.join(', ')})`
+    );
+  }
+
+  // "<challengeId>:<txHash>" -> refused at (ms)
+  const rejected = new Map();
+  // reference -> onLogs subscription id ('subscribe' mode)
+  const subscriptions = new Map();
+  // chains to scan once the running scan is done
+  const pending = new Set();
+  let running = null;
+  let timer = null;
+
+  /**
+   * Have settle() check `txHash` against `challenge`. Resolves 'settled'
+   * once the challenge is paid, 'refused' or 'retry' (worth another try
+   * on a later scan).
+   */
+  async function nominate(challenge, txHash) {
+    const key = `${challenge.challengeId}:${txHash}`;
+    if (rejected.has(key)) return 'refused';
+
+    let result;
+    try {
+      result = await settle(challenge, txHash);
+    } catch (error) {
+      console.error(
+        `❌ Payment watcher could not check ${txHash}:`,
+        error.message
+      );
+      return 'retry';
+    }
+    if (result.ok) {
+      console.log(
+        `👀 Payment watcher settled ${challenge.challengeId} with ${txHash}`
+      );
+      return 'settled';
+    }
+    if (result.retryable) return 'retry';
+
+    rejected.set(key, Date.now());
+    return 'refused';
+  }
+
+  async function scanSolana(challenges) {
+    for (const challenge of challenges) {
+      const signatures = await referenceSignatures(
+        solanaConnection,
+        challenge.reference
+      );
+      for (const signature of signatures) {
+        if ((await nominate(challenge, signature)) === 'settled') break;
+      }
+    }
+  }
+
+  async function scanBase(challenges) {
+    const latest = await baseProvider.getBlockNumber();
+    const state = await store.get(STATE, 'base');
+    const fromBlock = state
+      ? state.lastBlock + 1
+      : Math.max(0, latest - INITIAL_LOOKBACK_BLOCKS);
+    if (fromBlock > latest) return;
+    const toBlock = Math.min(latest, fromBlock + MAX_BLOCK_RANGE - 1);
+    // Earliest block with a transaction to check again on the next scan
+    let retryBlock = null;
+
+    if (challenges.length > 0) {
+      const payers = [
+        ...new Set(
+          challenges.map((challenge) => challenge.walletAddress.toLowerCase())
+        ),
+      ];
+      const logs = await baseProvider.getLogs({
+        address: usdcContract,
+        topics: [TRANSFER_TOPIC, payers.map(addressTopic)],
+        fromBlock,
+        toBlock,
+      });
+
+      const blocks = new Map(
+        logs.map((log) => [log.transactionHash, log.blockNumber])
+      );
+      const settled = new Set();
+      for (const [txHash, byPayer] of groupTransfers(logs)) {
+        // Oldest open challenge of the payer that the transfers cover
+        for (const challenge of challenges) {
+          if (settled.has(challenge.challengeId)) continue;
+
+          const received = byPayer.get(challenge.walletAddress.toLowerCase());
+          if (
+            !received ||
+            !checkRecipients(challenge.recipients, received, (address) =>
+              address.toLowerCase()
+            ).ok
+          ) {
+            continue;
+          }
+          const outcome = await nominate(challenge, txHash);
+          if (outcome === 'retry') {
+            const block = blocks.get(txHash);
+            retryBlock =
+              retryBlock === null ? block : Math.min(retryBlock, block);
+          }
+          if (outcome === 'settled') {
+            settled.add(challenge.challengeId);
+            break;
+          }
+        }
+      }
+    }
+
+    await store.set(STATE, 'base', {
+      lastBlock: retryBlock === null ? toBlock : retryBlock - 1,
+      updatedAt: new Date().toISOString(),
+    });
+  }
+
+  function syncSubscriptions(challenges) {
+    const wanted = new Set(challenges.map((challenge) => challenge.reference));
+
+    for (const [reference, subscriptionId] of subscriptions) {
+      if (wanted.has(reference)) continue;
+      subscriptions.delete(reference);
+      solanaConnection
+        .removeOnLogsListener(subscriptionId)
+        .catch((error) =>
+          console.error('❌ Solana logs unsubscribe failed:', error.message)
+        );
+    }
+
+    for (const reference of wanted) {
+      if (subscriptions.has(reference)) continue;
+      subscriptions.set(
+        reference,
+        solanaConnection.onLogs(
+          new PublicKey(reference),
+          (logs) => {
+            if (!logs.err) trigger(['solana']);
+          },
+          'confirmed'
+        )
+      );
+    }
+  }
+
+  async function scan(chains) {
+    const now = Date.now();
+    for (const [key, refusedAt] of rejected) {
+      if (now - refusedAt > REJECTED_TTL_MS) rejected.delete(key);
+    }
+
+    const open = (await listOpenChallenges()).sort((a, b) =>
+      a.createdAt.localeCompare(b.createdAt)
+    );
+    const byChain = {
+      solana: open.filter(
+        (challenge) => challenge.chain === 'solana' && challenge.reference
+      ),
+      base: open.filter((challenge) => challenge.chain === 'base'),
+    };
+    if (mode === 'subscribe') syncSubscriptions(byChain.solana);
+
+    for (const chain of chains) {
+      try {
+        if (chain === 'solana') {
+          await scanSolana(byChain.solana);
+        } else {
+          await scanBase(byChain.base);
+        }
+      } catch (error) {
+        console.error(`❌ Payment watcher ${chain} scan failed:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Scan `chains` now, or right after the scan in progress
+   */
+  function trigger(chains = CHAINS) {
+    chains.forEach((chain) => pending.add(chain));
+    if (running) return running;
+
+    running = (async () => {
+      try {
+        while (pending.size > 0) {
+          const next = [...pending];
+          pending.clear();
+          await scan(next);
+        }
+      } catch (error) {
+        console.error('❌ Payment watcher scan failed:', error.message);
+      } finally {
+        running = null;
+      }
+    })();
+    return running;
+  }
+
+  function onBlock() {
+    trigger(['base']);
+  }
+
+  function start() {
+    timer = setInterval(() => trigger(), intervalMs);
+    timer.unref();
+    if (mode === 'subscribe') baseProvider.on('block', onBlock);
+    trigger();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    if (mode === 'subscribe') baseProvider.off('block', onBlock);
+    syncSubscriptions([]);
+  }
+
+  return { start, stop, trigger };
+}
+
+module.exports = { createPaymentWatcher, PAYMENT_WATCHER_MODES: MODES };
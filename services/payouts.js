@@ -0,0 +1,62 @@
+// Splitting a payment between a device's owner and the platform. Every
+// share has to arrive in the same transaction for the payment to verify.
+
+/*
+  recipient: { role: 'owner' | 'platform', address, amount }
+    amount: raw units (string)
+*/
+
+const BASIS_POINTS = 10000n;
+
+function sameAddress(chain, a, b) {
+  // EVM addresses are case-insensitive, base58 ones are not
+  return chain === 'base' ? a.toLowerCase() === b.toLowerCase() : a === b;
+}
+
+/**
+ * Shares of `rawAmount`: the platform keeps platformFeePct percent (rounded
+ * down to the raw unit), the owner receives the rest. Without an owner
+ * address (or when it is the platform's own) the platform receives
+ * everything. Zero shares are left out.
+ */
+function splitPayment(
+  chain,
+  rawAmount,
+  { platformAddress, ownerAddress, platformFeePct }
+) {
+  const total = BigInt(rawAmount);
+  if (!ownerAddress || sameAddress(chain, ownerAddress, platformAddress)) {
+    return [
+      { role: 'platform', address: platformAddress, amount: total.toString() },
+    ];
+  }
+
+  const fee = (total * BigInt(Math.round(platformFeePct * 100))) / BASIS_POINTS;
+  return [
+    { role: 'owner', address: ownerAddress, amount: (total - fee).toString() },
+    { role: 'platform', address: platformAddress, amount: fee.toString() },
+  ].filter((recipient) => recipient.amount !== '0');
+}
+
+/**
+ * Compare what each address received in a transaction against the shares.
+ * `received` maps address -> raw amount (BigInt); lookups go through
+ * normalize(address). Returns { ok, total, shortfalls: [{ role, address,
+ * amount, received }] }.
+ */
+function checkRecipients(recipients, received, normalize = (a) => a) {
+  let total = 0n;
+  const shortfalls = [];
+
+  for (const recipient of recipients) {
+    const got = received.get(normalize(recipient.address)) || 0n;
+    total += got;
+    if (got < BigInt(recipient.amount)) {
+      shortfalls.push({ ...recipient, received: got.toString() });
+    }
+  }
+
+  return { ok: shortfalls.length === 0, total, shortfalls };
+}
+
+module.exports = { splitPayment, checkRecipients };
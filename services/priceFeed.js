@@ -0,0 +1,150 @@
+const fetch = require('node-fetch');
+
+/*
+  USD price feed for a single token.
+
+  Sources:
+    stub  fixed price (stubPrice), for local testing
+    http  GET `url`, read the number at `jsonPath` (dot separated)
+
+  Guards:
+    maxAgeMs         getPrice() refuses a price older than this
+    maxDeviationPct  a reading that moves further than this from the last
+                     (still fresh) accepted price is rejected as an outlier
+*/
+
+const FETCH_TIMEOUT_MS = 10 * 1000;
+
+function readJsonPath(data, jsonPath) {
+  return jsonPath
+    .split('.')
+    .filter(Boolean)
+    .reduce((value, key) => (value == null ? undefined : value[key]), data);
+}
+
+function createPriceFeed({
+  symbol,
+  source = 'stub',
+  stubPrice,
+  url,
+  jsonPath,
+  refreshIntervalMs = 60 * 1000,
+  maxAgeMs = 5 * 60 * 1000,
+  maxDeviationPct = 20,
+}) {
+  // Last accepted reading
+  let current = null; // { price, updatedAt, source }
+  let lastError = null;
+  let timer = null;
+
+  async function fetchPrice() {
+    if (source === 'stub') {
+      return Number(stubPrice);
+    }
+
+    if (source === 'http') {
+      const controller = new AbortController();
+      const timeout = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+      try {
+        const response = await fetch(url, { signal: controller.signal });
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        return Number(readJsonPath(await response.json(), jsonPath));
+      } finally {
+        clearTimeout(timeout);
+      }
+    }
+
+    throw new Error(`Unknown price feed source: ${source}`);
+  }
+
+  function isFresh(reading, now = Date.now()) {
+    return Boolean(reading) && now - reading.updatedAt.getTime() <= maxAgeMs;
+  }
+
+  async function refresh() {
+    let price;
+    try {
+      price = await fetchPrice();
+    } catch (error) {
+      lastError = `Fetch failed: ${error.message}`;
+      console.error(`❌ ${symbol} price feed: ${lastError}`);
+      return { accepted: false, error: lastError };
+    }
+
+    if (!Number.isFinite(price) || price <= 0) {
+      lastError = `Invalid price reading: ${price}`;
+      console.error(`❌ ${symbol} price feed: ${lastError}`);
+      return { accepted: false, error: lastError };
+    }
+
+    // Only guard against a fresh anchor; once stale, re-anchor on the feed
+    if (isFresh(current)) {
+      const deviationPct =
+        (Math.abs(price - current.price) / current.price) * 100;
+      if (deviationPct > maxDeviationPct) {
+        lastError = `Rejected ${price} (${deviationPct.toFixed(
+          1
+        )}% from ${current.price}, max ${maxDeviationPct}%)`;
+        console.error(`⚠️  ${symbol} price feed: ${lastError}`);
+        return { accepted: false, error: lastError };
+      }
+    }
+
+    current = { price, updatedAt: new Date(), source };
+    lastError = null;
+    return { accepted: true, price };
+  }
+
+  /**
+   * Current USD price, or { ok: false } when missing or stale.
+   */
+  function getPrice() {
+    if (!current) {
+      return {
+        ok: false,
+        error: `${symbol} price unavailable${lastError ? `: ${lastError}` : ''}`,
+      };
+    }
+    if (!isFresh(current)) {
+      return {
+        ok: false,
+        error: `${symbol} price is stale (last update ${current.updatedAt.toISOString()})`,
+      };
+    }
+    return {
+      ok: true,
+      price: current.price,
+      source: current.source,
+      updatedAt: current.updatedAt.toISOString(),
+    };
+  }
+
+  function getStatus() {
+    return {
+      symbol,
+      source,
+      price: current ? current.price : null,
+      updatedAt: current ? current.updatedAt.toISOString() : null,
+      fresh: isFresh(current),
+      maxAgeSeconds: Math.round(maxAgeMs / 1000),
+      maxDeviationPct,
+      lastError,
+    };
+  }
+
+  async function start() {
+    await refresh();
+    timer = setInterval(refresh, refreshIntervalMs);
+    timer.unref();
+  }
+
+  function stop() {
+    clearInterval(timer);
+  }
+
+  return { start, stop, refresh, getPrice, getStatus };
+}
+
+module.exports = { createPriceFeed };
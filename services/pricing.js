@@ -0,0 +1,340 @@
+const { ethers } = require('ethers');
+
+// Price plans backed by the persistent store ('pricePlans' collection)
+
+const COLLECTION = 'pricePlans';
+
+const PLAN_ID_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+const PLAN_KINDS = ['duration', 'item'];
+
+// Reference price key: currencies without an explicit price are converted
+// from it at the current USD rate (see getUsdRate)
+const USD = 'USD';
+const USD_DECIMALS = 6;
+
+// Plans picked when a device has neither its own plan nor a type plan
+const DEFAULT_LOCK_PLAN_ID = 'default-lock';
+const DEFAULT_BREW_PLAN_ID = 'default-brew';
+
+/*
+  planId -> {
+    planId,
+    name,
+    kind,            'duration' (locks) | 'item' (brew types)
+    deviceTypes,     device types this plan applies to, e.g. ['Bike Lock']
+    tiers,           duration: [{ minutes, prices: { USDC: '0.50', TSE: '15953.42' } }]
+    items,           item:     [{ itemId, name, brewSeconds?, prices: { ... } }]
+    createdAt,
+    updatedAt
+  }
+
+  Prices are UI amounts (decimal strings) per currency; a plan does not
+  have to price every currency. A `USD` price covers every currency that
+  has no explicit amount, converted when the quote is made.
+*/
+
+function isValidPrice(value, decimals) {
+  if (typeof value !== 'string') return false;
+  try {
+    return ethers.parseUnits(value, decimals) > 0n;
+  } catch (e) {
+    return false;
+  }
+}
+
+function validatePrices(prices, currencies, label, errors) {
+  if (!prices || typeof prices !== 'object' || Array.isArray(prices)) {
+    errors.push(`${label}.prices must be an object`);
+    return;
+  }
+  const entries = Object.entries(prices);
+  if (entries.length === 0) {
+    errors.push(`${label}.prices must price at least one currency`);
+  }
+  for (const [currency, value] of entries) {
+    const decimals =
+      currency === USD ? USD_DECIMALS : (currencies[currency] || {}).decimals;
+    if (decimals === undefined) {
+      errors.push(`${label}: unknown currency ${currency}`);
+    } else if (!isValidPrice(value, decimals)) {
+      errors.push(
+        `${label}: ${currency} price must be a positive decimal string`
+      );
+    }
+  }
+}
+
+/**
+ * Validate a full plan body against the supported currencies
+ * ({ USDC: { decimals }, ... }). Returns a list of error messages.
+ */
+function validatePricePlan(plan, currencies) {
+  const errors = [];
+
+  if (!plan || typeof plan !== 'object' || Array.isArray(plan)) {
+    return ['Price plan must be an object'];
+  }
+  if (!PLAN_ID_PATTERN.test(plan.planId || '')) {
+    errors.push('planId required (1-64 chars: letters, digits, ".", "_", "-")');
+  }
+  if (!PLAN_KINDS.includes(plan.kind)) {
+    errors.push(`kind must be one of: ${PLAN_KINDS.join(', ')}`);
+  }
+  if (
+    plan.deviceTypes !== undefined &&
+    (!Array.isArray(plan.deviceTypes) ||
+      plan.deviceTypes.some((type) => typeof type !== 'string'))
+  ) {
+    errors.push('deviceTypes must be an array of strings');
+  }
+
+  if (plan.kind === 'duration') {
+    if (!Array.isArray(plan.tiers) || plan.tiers.length === 0) {
+      errors.push('tiers must be a non-empty array');
+    } else {
+      const seen = new Set();
+      plan.tiers.forEach((tier, i) => {
+        if (!Number.isInteger(tier.minutes) || tier.minutes <= 0) {
+          errors.push(`tiers[${i}].minutes must be a positive integer`);
+        } else if (seen.has(tier.minutes)) {
+          errors.push(`tiers[${i}].minutes duplicates ${tier.minutes}`);
+        }
+        seen.add(tier.minutes);
+        validatePrices(tier.prices, currencies, `tiers[${i}]`, errors);
+      });
+    }
+  }
+
+  if (plan.kind === 'item') {
+    if (!Array.isArray(plan.items) || plan.items.length === 0) {
+      errors.push('items must be a non-empty array');
+    } else {
+      const seen = new Set();
+      plan.items.forEach((item, i) => {
+        if (!PLAN_ID_PATTERN.test(item.itemId || '')) {
+          errors.push(`items[${i}].itemId required`);
+        } else if (seen.has(item.itemId)) {
+          errors.push(`items[${i}].itemId duplicates ${item.itemId}`);
+        }
+        seen.add(item.itemId);
+        if (
+          item.brewSeconds !== undefined &&
+          (!Number.isInteger(item.brewSeconds) || item.brewSeconds <= 0)
+        ) {
+          errors.push(`items[${i}].brewSeconds must be a positive integer`);
+        }
+        validatePrices(item.prices, currencies, `items[${i}]`, errors);
+      });
+    }
+  }
+
+  return errors;
+}
+
+function normalizePlan(plan) {
+  const normalized = {
+    planId: plan.planId,
+    name: plan.name || plan.planId,
+    kind: plan.kind,
+    deviceTypes: plan.deviceTypes || [],
+  };
+  if (plan.kind === 'duration') {
+    normalized.tiers = plan.tiers
+      .map(({ minutes, prices }) => ({ minutes, prices }))
+      .sort((a, b) => a.minutes - b.minutes);
+  } else {
+    normalized.items = plan.items.map(
+      ({ itemId, name, brewSeconds, prices }) => ({
+        itemId,
+        name: name || itemId,
+        brewSeconds: brewSeconds || null,
+        prices,
+      })
+    );
+  }
+  return normalized;
+}
+
+/**
+ * Smallest raw amount of a token worth at least `usd` at `usdPerToken`.
+ */
+function convertUsd(usd, usdPerToken, decimals) {
+  const usdUnits = ethers.parseUnits(usd, 18);
+  const rateUnits = ethers.parseUnits(usdPerToken.toFixed(18), 18);
+  const scale = 10n ** BigInt(decimals);
+  return (usdUnits * scale + rateUnits - 1n) / rateUnits;
+}
+
+/**
+ * getUsdRate(currency) -> { ok, price, source, updatedAt } | { ok: false, error }
+ */
+function createPricingEngine(store, { currencies, getUsdRate }) {
+  async function listPlans() {
+    const plans = await store.list(COLLECTION);
+    return plans.sort((a, b) => a.planId.localeCompare(b.planId));
+  }
+
+  async function getPlan(planId) {
+    return store.get(COLLECTION, planId);
+  }
+
+  /**
+   * Create or replace a plan. Returns { plan, created }.
+   */
+  async function savePlan(input) {
+    const now = new Date().toISOString();
+    let created = false;
+
+    const plan = await store.update(COLLECTION, input.planId, (current) => {
+      created = !current;
+      return {
+        ...normalizePlan(input),
+        createdAt: current ? current.createdAt : now,
+        updatedAt: now,
+      };
+    });
+
+    return { plan, created };
+  }
+
+  async function deletePlan(planId) {
+    return store.delete(COLLECTION, planId);
+  }
+
+  async function seedPlans(defaults) {
+    for (const plan of defaults) {
+      if (!(await getPlan(plan.planId))) {
+        await savePlan(plan);
+        console.log(`🌱 Seeded price plan ${plan.planId}`);
+      }
+    }
+  }
+
+  /**
+   * Plan for a device: its own pricePlanId, then a plan listing its
+   * deviceType, then the default for its capability.
+   */
+  async function resolvePlan(device) {
+    if (device.pricePlanId) {
+      const own = await getPlan(device.pricePlanId);
+      if (own) return own;
+    }
+
+    const plans = await listPlans();
+    const byType = plans.find((plan) =>
+      plan.deviceTypes.includes(device.deviceType)
+    );
+    if (byType) return byType;
+
+    const fallbackId = device.supportsLock
+      ? DEFAULT_LOCK_PLAN_ID
+      : DEFAULT_BREW_PLAN_ID;
+    return plans.find((plan) => plan.planId === fallbackId) || null;
+  }
+
+  /**
+   * Price one purchase for a device.
+   * options: { currency, minutes? (duration plans), itemId? (item plans) }
+   * Without minutes/itemId the plan's first tier/item is used.
+   */
+  async function quote(device, { currency, minutes, itemId }) {
+    const plan = await resolvePlan(device);
+    if (!plan) {
+      return { ok: false, error: 'No price plan configured for device' };
+    }
+
+    const currencyInfo = currencies[currency];
+    if (!currencyInfo) {
+      return { ok: false, error: `Unsupported currency: ${currency}` };
+    }
+
+    let entry;
+    if (plan.kind === 'duration') {
+      const wanted = minutes === undefined ? undefined : Number(minutes);
+      entry =
+        wanted === undefined
+          ? plan.tiers[0]
+          : plan.tiers.find((tier) => tier.minutes === wanted);
+      if (!entry) {
+        return {
+          ok: false,
+          error: `No ${minutes}-minute option. Available: ${plan.tiers
+            .map((tier) => tier.minutes)
+            .join(', ')} minutes`,
+        };
+      }
+    } else {
+      entry =
+        itemId === undefined
+          ? plan.items[0]
+          : plan.items.find((item) => item.itemId === itemId);
+      if (!entry) {
+        return {
+          ok: false,
+          error: `Unknown item ${itemId}. Available: ${plan.items
+            .map((item) => item.itemId)
+            .join(', ')}`,
+        };
+      }
+    }
+
+    let amount = entry.prices[currency];
+    let rawAmount;
+    let conversion = null;
+
+    if (amount) {
+      rawAmount = ethers.parseUnits(amount, currencyInfo.decimals);
+    } else if (entry.prices[USD]) {
+      const rate = getUsdRate(currency);
+      if (!rate.ok) {
+        return { ok: false, code: 'rate_unavailable', error: rate.error };
+      }
+      rawAmount = convertUsd(
+        entry.prices[USD],
+        rate.price,
+        currencyInfo.decimals
+      );
+      amount = ethers.formatUnits(rawAmount, currencyInfo.decimals);
+      conversion = {
+        usd: entry.prices[USD],
+        usdPerToken: rate.price,
+        rateSource: rate.source,
+        rateUpdatedAt: rate.updatedAt,
+      };
+    } else {
+      return {
+        ok: false,
+        error: `${currency} is not accepted for this option`,
+      };
+    }
+
+    return {
+      ok: true,
+      planId: plan.planId,
+      kind: plan.kind,
+      minutes: plan.kind === 'duration' ? entry.minutes : null,
+      itemId: plan.kind === 'item' ? entry.itemId : null,
+      currency,
+      amount,
+      rawAmount: rawAmount.toString(),
+      conversion,
+    };
+  }
+
+  return {
+    listPlans,
+    getPlan,
+    savePlan,
+    deletePlan,
+    seedPlans,
+    resolvePlan,
+    quote,
+  };
+}
+
+module.exports = {
+  createPricingEngine,
+  validatePricePlan,
+  DEFAULT_LOCK_PLAN_ID,
+  DEFAULT_BREW_PLAN_ID,
+};
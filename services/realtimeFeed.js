@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+
+/*
+  Server-Sent Events feed for apps watching a device.
+
+  Every published entry gets an id "<bootId>:<seq>" and is kept in a ring
+  buffer of bufferSize entries. A client reconnecting with Last-Event-ID
+  gets the entries it missed; when they are gone (buffer rolled over,
+  server restarted) it gets a fresh snapshot instead.
+
+  entry: { id, type, deviceId, walletAddress, data }
+    walletAddress  null for device-wide entries; otherwise only streams of
+                   that wallet receive it
+
+  Frames:  id: <id>\nevent: <type>\ndata: <json>\n\n
+  A ': ping' comment every heartbeatMs keeps proxies from closing idle
+  streams.
+*/
+
+const RETRY_MS = 3000;
+
+function createRealtimeFeed({ bufferSize = 500, heartbeatMs = 25 * 1000 }) {
+  const bootId = crypto.randomBytes(4).toString('hex');
+  const buffer = [];
+  const clients = new Set();
+  let lastSeq = 0;
+  let timer = null;
+
+  function frame(type, data, id) {
+    return `${id ? `id: ${id}\n` : ''}event: ${type}\ndata: ${JSON.stringify(
+      data
+    )}\n\n`;
+  }
+
+  function matches(client, entry) {
+    return (
+      entry.deviceId === client.deviceId &&
+      (!entry.walletAddress || entry.walletAddress === client.walletAddress)
+    );
+  }
+
+  // Sequence number after which `lastEventId` has seen everything, or null
+  // when the entries since then are no longer buffered
+  function resumePoint(lastEventId) {
+    const [boot, seqText] = String(lastEventId || '').split(':');
+    const seq = parseInt(seqText, 10);
+    if (boot !== bootId || !Number.isInteger(seq) || seq > lastSeq) {
+      return null;
+    }
+    const oldestSeq = buffer.length > 0 ? buffer[0].seq : lastSeq + 1;
+    return seq >= oldestSeq - 1 ? seq : null;
+  }
+
+  function publish({ type, deviceId, walletAddress = null, data }) {
+    lastSeq += 1;
+    const entry = {
+      id: `${bootId}:${lastSeq}`,
+      seq: lastSeq,
+      type,
+      deviceId,
+      walletAddress,
+      data,
+    };
+    buffer.push(entry);
+    if (buffer.length > bufferSize) buffer.shift();
+
+    for (const client of clients) {
+      if (matches(client, entry)) {
+        client.res.write(frame(entry.type, entry.data, entry.id));
+      }
+    }
+    return entry;
+  }
+
+  /**
+   * Start streaming to `res`. Resumes after lastEventId when possible;
+   * otherwise the stream opens with a 'status' event from snapshot().
+   * Resolves { resumed, send(type, data), close(), onClose(fn) }; send()
+   * writes an unbuffered event to this stream only.
+   */
+  async function open(res, { deviceId, walletAddress, lastEventId, snapshot }) {
+    let since = resumePoint(lastEventId);
+    const resumed = since !== null;
+    if (!resumed) since = lastSeq;
+    const initial = resumed ? null : await snapshot();
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    const client = { res, deviceId, walletAddress };
+    if (initial) {
+      res.write(frame('status', initial, `${bootId}:${since}`));
+    }
+    // Entries published while the snapshot was read, or missed while away
+    for (const entry of buffer) {
+      if (entry.seq > since && matches(client, entry)) {
+        res.write(frame(entry.type, entry.data, entry.id));
+      }
+    }
+    clients.add(client);
+
+    const closeListeners = [];
+    res.on('close', () => {
+      clients.delete(client);
+      closeListeners.forEach((listener) => listener());
+    });
+
+    return {
+      resumed,
+      send: (type, data) => res.write(frame(type, data)),
+      close: () => res.end(),
+      onClose: (listener) => closeListeners.push(listener),
+    };
+  }
+
+  function start() {
+    timer = setInterval(() => {
+      for (const client of clients) client.res.write(': ping\n\n');
+    }, heartbeatMs);
+    timer.unref();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    for (const client of clients) client.res.end();
+  }
+
+  return { start, stop, publish, open };
+}
+
+module.exports = { createRealtimeFeed };
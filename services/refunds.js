@@ -0,0 +1,168 @@
+const { ledgerKey } = require('./spentTransactions');
+
+// Refunds for payments whose paid action did not happen ('refunds'
+// collection). One refund per payment, keyed like the spent-tx ledger, and
+// every step is appended to its log.
+
+const COLLECTION = 'refunds';
+
+const REFUND_STATUSES = ['pending', 'approved', 'sent', 'rejected'];
+
+const TRANSITIONS = {
+  pending: ['approved', 'rejected'],
+  approved: ['sent', 'rejected'],
+  sent: [],
+  rejected: [],
+};
+
+/*
+  "<chain>:<txHash>" -> {
+    chain,
+    txHash,          the original payment
+    challengeId,
+    orderId,         brew order, if the payment bought one
+    deviceId,
+    walletAddress,   who gets the refund
+    receiver,        wallet that was paid (and sends the refund)
+    token,
+    amount,          raw units
+    uiAmount,
+    reason,          'device_offline' | 'command_failed' | 'brew_failed' | 'manual'
+    status,
+    refundTxHash,    once sent
+    transaction,     last unsigned refund tx built for the operator (Solana)
+    createdAt,
+    updatedAt,
+    log: [{ at, event, by, note, ... }]
+  }
+*/
+
+function logEntry(event, { by = 'system', note = null, ...details } = {}) {
+  return { at: new Date().toISOString(), event, by, note, ...details };
+}
+
+function createRefundBook(store) {
+  async function getRefund(chain, txHash) {
+    return store.get(COLLECTION, ledgerKey(chain, txHash));
+  }
+
+  async function listRefunds({ status, walletAddress, deviceId } = {}) {
+    const refunds = await store.list(COLLECTION);
+    return refunds
+      .filter(
+        (refund) =>
+          (!status || refund.status === status) &&
+          (!walletAddress || refund.walletAddress === walletAddress) &&
+          (!deviceId || refund.deviceId === deviceId)
+      )
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Record a refund-eligible payment. Reporting a payment that already has
+   * a refund only adds to its log.
+   * Returns { refund, created }.
+   */
+  async function openRefund(payment, { reason, by, note } = {}) {
+    const now = new Date().toISOString();
+    let created = false;
+
+    const refund = await store.update(
+      COLLECTION,
+      ledgerKey(payment.chain, payment.txHash),
+      (current) => {
+        if (current) {
+          return {
+            ...current,
+            updatedAt: now,
+            log: [...current.log, logEntry('reported', { by, note, reason })],
+          };
+        }
+        created = true;
+        return {
+          chain: payment.chain,
+          txHash: payment.txHash,
+          challengeId: payment.challengeId || null,
+          orderId: payment.orderId || null,
+          deviceId: payment.deviceId,
+          walletAddress: payment.walletAddress,
+          receiver: payment.receiver || null,
+          token: payment.token || null,
+          amount: payment.amount || null,
+          uiAmount: payment.uiAmount || null,
+          reason,
+          status: 'pending',
+          refundTxHash: null,
+          transaction: null,
+          createdAt: now,
+          updatedAt: now,
+          log: [logEntry('opened', { by, note, reason })],
+        };
+      }
+    );
+
+    return { refund, created };
+  }
+
+  /**
+   * Move a refund along pending → approved → sent (or to rejected).
+   * Returns { ok, refund } or
+   * { ok: false, reason: 'not_found' | 'invalid_transition', refund }.
+   */
+  async function setStatus(chain, txHash, status, { by, note, refundTxHash }) {
+    let reason = null;
+    const now = new Date().toISOString();
+
+    const refund = await store.update(
+      COLLECTION,
+      ledgerKey(chain, txHash),
+      (current) => {
+        if (!current) {
+          reason = 'not_found';
+          return undefined;
+        }
+        if (!TRANSITIONS[current.status].includes(status)) {
+          reason = 'invalid_transition';
+          return undefined;
+        }
+        return {
+          ...current,
+          status,
+          refundTxHash: refundTxHash || current.refundTxHash,
+          updatedAt: now,
+          log: [
+            ...current.log,
+            logEntry(status, {
+              by,
+              note,
+              ...(refundTxHash ? { refundTxHash } : {}),
+            }),
+          ],
+        };
+      }
+    );
+
+    return reason ? { ok: false, reason, refund } : { ok: true, refund };
+  }
+
+  /**
+   * Keep the unsigned refund transaction built for the operator.
+   */
+  async function attachTransaction(chain, txHash, transaction, { by }) {
+    const now = new Date().toISOString();
+    return store.update(COLLECTION, ledgerKey(chain, txHash), (current) =>
+      current
+        ? {
+            ...current,
+            transaction,
+            updatedAt: now,
+            log: [...current.log, logEntry('transaction_built', { by })],
+          }
+        : undefined
+    );
+  }
+
+  return { getRefund, listRefunds, openRefund, setStatus, attachTransaction };
+}
+
+module.exports = { createRefundBook, REFUND_STATUSES };
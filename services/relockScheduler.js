@@ -0,0 +1,105 @@
+/*
+  Re-locks devices whose timed unlock has run out.
+
+  Reads the 'deviceState' collection ({ lockState, unlockUntil }). A timer
+  per device fires at unlockUntil; a periodic scan picks up anything the
+  timers missed (restarts, a relock the device never acknowledged).
+
+    relock(deviceId, state)  lock the device and clear the state; leaving it
+                             unlocked has it retried by the next scan
+*/
+
+const COLLECTION = 'deviceState';
+
+// setTimeout cannot wait longer than this; longer unlocks re-arm on wake-up
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+function isExpired(state, now = Date.now()) {
+  return (
+    Boolean(state) &&
+    state.lockState === 'unlocked' &&
+    Boolean(state.unlockUntil) &&
+    new Date(state.unlockUntil).getTime() <= now
+  );
+}
+
+function createRelockScheduler(store, { relock, scanIntervalMs = 30 * 1000 }) {
+  // deviceId -> timeout
+  const timers = new Map();
+  // deviceIds with a relock in flight
+  const relocking = new Set();
+  let scanTimer = null;
+
+  function cancel(deviceId) {
+    clearTimeout(timers.get(deviceId));
+    timers.delete(deviceId);
+  }
+
+  function schedule(deviceId, unlockUntil) {
+    cancel(deviceId);
+    const delay = Math.max(0, new Date(unlockUntil).getTime() - Date.now());
+    const timer = setTimeout(() => {
+      timers.delete(deviceId);
+      check(deviceId);
+    }, Math.min(delay, MAX_TIMER_MS));
+    timer.unref();
+    timers.set(deviceId, timer);
+  }
+
+  /**
+   * Relock `deviceId` if its unlock has run out; re-arm if it was extended.
+   */
+  async function check(deviceId) {
+    if (relocking.has(deviceId)) return;
+    relocking.add(deviceId);
+    try {
+      const state = await store.get(COLLECTION, deviceId);
+      if (!state || state.lockState !== 'unlocked' || !state.unlockUntil) {
+        return;
+      }
+      if (!isExpired(state)) {
+        schedule(deviceId, state.unlockUntil);
+        return;
+      }
+      await relock(deviceId, state);
+    } catch (error) {
+      console.error(`❌ Relock of ${deviceId} failed:`, error.message);
+    } finally {
+      relocking.delete(deviceId);
+    }
+  }
+
+  async function scan() {
+    const states = await store.list(COLLECTION);
+    for (const state of states) {
+      if (isExpired(state)) {
+        await check(state.deviceId);
+      } else if (
+        state.lockState === 'unlocked' &&
+        state.unlockUntil &&
+        !timers.has(state.deviceId)
+      ) {
+        schedule(state.deviceId, state.unlockUntil);
+      }
+    }
+  }
+
+  async function start() {
+    await scan();
+    scanTimer = setInterval(() => {
+      scan().catch((error) =>
+        console.error('❌ Relock scan failed:', error.message)
+      );
+    }, scanIntervalMs);
+    scanTimer.unref();
+  }
+
+  function stop() {
+    clearInterval(scanTimer);
+    for (const deviceId of [...timers.keys()]) cancel(deviceId);
+  }
+
+  return { start, stop, schedule, cancel, check };
+}
+
+module.exports = { createRelockScheduler };
@@ -0,0 +1,71 @@
+// Revocation list for issued session tokens. Tokens are stateless JWTs, so
+// every check that accepts one also asks here whether its session was ended.
+
+const COLLECTION = 'revokedSessions';
+
+/*
+  sessionId -> {
+    sessionId,       jti of a lock session, challengeId of an X.402 session
+    walletAddress,
+    deviceId,
+    revokedBy,       'wallet' | 'admin' | 'refund'
+    reason,
+    revokedAt,
+    expiresAt        session expiry; the entry can be dropped after it
+  }
+*/
+
+/**
+ * Session id a decoded token belongs to.
+ */
+function sessionIdOf(decoded) {
+  return decoded.type === 'x402-access' ? decoded.challengeId : decoded.jti;
+}
+
+function createRevocationList(store) {
+  async function isRevoked(sessionId) {
+    if (!sessionId) return false;
+    return Boolean(await store.get(COLLECTION, sessionId));
+  }
+
+  async function getRevocation(sessionId) {
+    return store.get(COLLECTION, sessionId);
+  }
+
+  /**
+   * Revoke a session (a record of the 'sessions' collection). Revoking an
+   * already revoked session keeps the original entry.
+   * Returns { entry, revoked } where revoked is false for repeats.
+   */
+  async function revokeSession(session, { revokedBy, reason = null }) {
+    const { sessionId } = session;
+    const now = new Date().toISOString();
+    let revoked = false;
+
+    const entry = await store.update(COLLECTION, sessionId, (current) => {
+      if (current) return undefined;
+      revoked = true;
+      return {
+        sessionId,
+        walletAddress: session.walletAddress,
+        deviceId: session.deviceId,
+        revokedBy,
+        reason,
+        revokedAt: now,
+        expiresAt: session.expiresAt,
+      };
+    });
+
+    if (revoked) {
+      await store.update('sessions', sessionId, (current) =>
+        current ? { ...current, revokedAt: now, revokedBy } : undefined
+      );
+    }
+
+    return { entry, revoked };
+  }
+
+  return { isRevoked, getRevocation, revokeSession };
+}
+
+module.exports = { createRevocationList, sessionIdOf };
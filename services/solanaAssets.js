@@ -0,0 +1,211 @@
+const { PublicKey } = require('@solana/web3.js');
+const {
+  TOKEN_PROGRAM_ID,
+  TOKEN_2022_PROGRAM_ID,
+} = require('@solana/spl-token');
+
+// Solana assets X.402 payments can be made in. Token mints (SPL and
+// Token-2022) are verified through token-balance deltas, native SOL through
+// lamport deltas of the recipients' accounts.
+
+/*
+  currency code -> {
+    symbol,       display name, e.g. 'USDC'
+    program,      'spl-token' | 'token-2022' | 'native'
+    mint,         token mint (not for 'native')
+    decimals,
+    usdPrice,     fixed USD price (stablecoins), or
+    priceFeed     { url, jsonPath, stubPrice } for a live USD rate
+  }
+
+  An asset with neither usdPrice nor priceFeed is only accepted where a
+  price plan prices it explicitly.
+*/
+
+const TOKEN_PROGRAMS = {
+  'spl-token': TOKEN_PROGRAM_ID,
+  'token-2022': TOKEN_2022_PROGRAM_ID,
+};
+const ASSET_PROGRAMS = [...Object.keys(TOKEN_PROGRAMS), 'native'];
+
+const SOL_DECIMALS = 9;
+const CODE_PATTERN = /^[A-Z0-9_]{2,16}$/;
+
+function isPublicKey(value) {
+  try {
+    new PublicKey(value);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+function validateAsset(code, asset) {
+  const errors = [];
+  const label = `SOLANA_ASSETS.${code}`;
+
+  if (!CODE_PATTERN.test(code)) {
+    errors.push(`${label}: code must be 2-16 of A-Z, 0-9, _`);
+  }
+  if (!asset || typeof asset !== 'object' || Array.isArray(asset)) {
+    return [...errors, `${label} must be an object or null`];
+  }
+  if (!ASSET_PROGRAMS.includes(asset.program)) {
+    errors.push(`${label}.program must be one of ${ASSET_PROGRAMS.join(', ')}`);
+  }
+  if (asset.program === 'native') {
+    if (asset.decimals !== SOL_DECIMALS) {
+      errors.push(`${label}.decimals must be ${SOL_DECIMALS} for native SOL`);
+    }
+  } else {
+    if (typeof asset.mint !== 'string' || !isPublicKey(asset.mint)) {
+      errors.push(`${label}.mint must be a Solana address`);
+    }
+    if (
+      !Number.isInteger(asset.decimals) ||
+      asset.decimals < 0 ||
+      asset.decimals > 18
+    ) {
+      errors.push(`${label}.decimals must be an integer from 0 to 18`);
+    }
+  }
+  if (
+    asset.usdPrice !== undefined &&
+    !(typeof asset.usdPrice === 'number' && asset.usdPrice > 0)
+  ) {
+    errors.push(`${label}.usdPrice must be a positive number`);
+  }
+  if (
+    asset.priceFeed !== undefined &&
+    (!asset.priceFeed ||
+      typeof asset.priceFeed.url !== 'string' ||
+      typeof asset.priceFeed.jsonPath !== 'string')
+  ) {
+    errors.push(`${label}.priceFeed needs url and jsonPath`);
+  }
+
+  return errors;
+}
+
+/**
+ * Merge SOLANA_ASSETS-style overrides into the defaults: an entry adds or
+ * replaces an asset, null removes it. Throws listing every invalid field.
+ */
+function parseSolanaAssets(defaults, overrides = {}) {
+  const assets = { ...defaults };
+  for (const [code, asset] of Object.entries(overrides)) {
+    if (asset === null) {
+      delete assets[code];
+    } else {
+      assets[code] = { symbol: code, ...asset };
+    }
+  }
+
+  const errors = Object.entries(assets).flatMap(([code, asset]) =>
+    validateAsset(code, asset)
+  );
+  if (Object.keys(assets).length === 0) {
+    errors.push('SOLANA_ASSETS must leave at least one asset');
+  }
+  if (errors.length > 0) {
+    throw new Error(errors.join('; '));
+  }
+  return assets;
+}
+
+function tokenProgramId(asset) {
+  return TOKEN_PROGRAMS[asset.program] || null;
+}
+
+// Static keys followed by the ones loaded from lookup tables (v0), in the
+// order meta.preBalances / postBalances use
+function accountKeysOf(tx) {
+  return tx.transaction.message
+    .getAccountKeys({
+      accountKeysFromLookups: tx.meta.loadedAddresses || undefined,
+    })
+    .keySegments()
+    .flat()
+    .map((key) => key.toBase58());
+}
+
+/**
+ * Raw amount of `asset` each of `owners` (base58 addresses) gained in a
+ * transaction from getTransaction. Returns a Map owner -> BigInt; owners
+ * that gained nothing are missing.
+ */
+function receivedByOwners(tx, asset, owners) {
+  const received = new Map();
+  const add = (owner, diff) => {
+    if (diff > 0n) received.set(owner, (received.get(owner) || 0n) + diff);
+  };
+
+  if (asset.program === 'native') {
+    accountKeysOf(tx).forEach((key, index) => {
+      if (owners.includes(key)) {
+        add(
+          key,
+          BigInt(tx.meta.postBalances[index]) -
+            BigInt(tx.meta.preBalances[index])
+        );
+      }
+    });
+    return received;
+  }
+
+  const programId = tokenProgramId(asset).toBase58();
+  const pre = tx.meta.preTokenBalances || [];
+  for (const postEntry of tx.meta.postTokenBalances || []) {
+    if (postEntry.mint !== asset.mint || !owners.includes(postEntry.owner)) {
+      continue;
+    }
+    // Older RPC nodes leave programId out; the mint decides then
+    if (postEntry.programId && postEntry.programId !== programId) continue;
+
+    const preEntry = pre.find((p) => p.accountIndex === postEntry.accountIndex);
+    const before = preEntry ? BigInt(preEntry.uiTokenAmount.amount) : 0n;
+    add(postEntry.owner, BigInt(postEntry.uiTokenAmount.amount) - before);
+  }
+  return received;
+}
+
+/**
+ * Raw amount of `asset` that `owner` (base58 address) gave up in a
+ * transaction from getTransaction; 0n if its balance did not go down.
+ * Lamports include the fee when `owner` paid it.
+ */
+function spentByOwner(tx, asset, owner) {
+  let spent = 0n;
+
+  if (asset.program === 'native') {
+    accountKeysOf(tx).forEach((key, index) => {
+      if (key === owner) {
+        spent +=
+          BigInt(tx.meta.preBalances[index]) -
+          BigInt(tx.meta.postBalances[index]);
+      }
+    });
+    return spent > 0n ? spent : 0n;
+  }
+
+  const programId = tokenProgramId(asset).toBase58();
+  const post = tx.meta.postTokenBalances || [];
+  for (const preEntry of tx.meta.preTokenBalances || []) {
+    if (preEntry.mint !== asset.mint || preEntry.owner !== owner) continue;
+    if (preEntry.programId && preEntry.programId !== programId) continue;
+
+    const postEntry = post.find(
+      (p) => p.accountIndex === preEntry.accountIndex
+    );
+    const after = postEntry ? BigInt(postEntry.uiTokenAmount.amount) : 0n;
+    spent += BigInt(preEntry.uiTokenAmount.amount) - after;
+  }
+  return spent > 0n ? spent : 0n;
+}
+
+module.exports = {
+  parseSolanaAssets,
+  receivedByOwners,
+  spentByOwner,
+  tokenProgramId,
+};
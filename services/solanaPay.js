@@ -0,0 +1,59 @@
+const { Keypair, PublicKey } = require('@solana/web3.js');
+
+// Solana Pay transfer requests (https://docs.solanapay.com/spec). Every
+// Solana challenge gets its own reference key; the wallet adds it to the
+// transfer as a read-only account, so the payment can be found on chain
+// without the client ever reporting the signature.
+
+// How many of the latest transactions touching a reference are looked at
+const REFERENCE_SCAN_LIMIT = 20;
+
+function createReference() {
+  return Keypair.generate().publicKey.toBase58();
+}
+
+/**
+ * solana:<recipient>?amount=&spl-token=&reference=&label=&message=&memo=
+ * amount is a UI amount (decimal string); splToken is left out for SOL.
+ */
+function buildTransferRequestUrl({
+  recipient,
+  amount,
+  splToken,
+  reference,
+  label,
+  message,
+  memo,
+}) {
+  const params = new URLSearchParams();
+  params.set('amount', amount);
+  if (splToken) params.set('spl-token', splToken);
+  params.set('reference', reference);
+  if (label) params.set('label', label);
+  if (message) params.set('message', message);
+  if (memo) params.set('memo', memo);
+  return `solana:${recipient}?${params.toString()}`;
+}
+
+/**
+ * Signatures of the successful transactions that carry `reference`, oldest
+ * first.
+ */
+async function referenceSignatures(connection, reference) {
+  const signatures = await connection.getSignaturesForAddress(
+    new PublicKey(reference),
+    { limit: REFERENCE_SCAN_LIMIT },
+    'confirmed'
+  );
+  // The RPC lists newest first
+  return signatures
+    .filter((entry) => !entry.err)
+    .map((entry) => entry.signature)
+    .reverse();
+}
+
+module.exports = {
+  createReference,
+  buildTransferRequestUrl,
+  referenceSignatures,
+};
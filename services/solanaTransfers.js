@@ -0,0 +1,157 @@
+const {
+  PublicKey,
+  Transaction,
+  SystemProgram,
+} = require('@solana/web3.js');
+const {
+  getAssociatedTokenAddress,
+  createTransferCheckedInstruction,
+  createAssociatedTokenAccountInstruction,
+  TOKEN_PROGRAM_ID,
+  ASSOCIATED_TOKEN_PROGRAM_ID,
+} = require('@solana/spl-token');
+
+// Unsigned Solana transfers for a wallet to sign: Phantom on
+// /transactions/build, the operator for refunds.
+
+/**
+ * Build a SOL or SPL token transfer. `tokens` maps token symbols to
+ * { mint, decimals, programId? } (Token-2022 mints pass its program id);
+ * SOL is always available. rawAmount is in base units
+ * (lamports / token units).
+ *
+ * Resolves { ok: true, transaction (base64), createsRecipientAccount }
+ * or { ok: false, status, error }. RPC failures reject.
+ */
+async function buildTransferTransaction(
+  connection,
+  { senderWallet, recipientWallet, tokenType, rawAmount, tokens = {} }
+) {
+  // Parse addresses
+  let sender, recipient;
+  try {
+    sender = new PublicKey(senderWallet);
+    recipient = new PublicKey(recipientWallet);
+  } catch (e) {
+    return { ok: false, status: 400, error: 'Invalid wallet address format' };
+  }
+
+  const symbol = tokenType.toUpperCase();
+  const token = tokens[symbol];
+  if (symbol !== 'SOL' && !token) {
+    const known = ['SOL', ...Object.keys(tokens)].map((name) => `'${name}'`);
+    return {
+      ok: false,
+      status: 400,
+      error: `Unknown token type: ${tokenType}. Use ${known.join(' or ')}.`,
+    };
+  }
+
+  // Get recent blockhash
+  const { blockhash, lastValidBlockHeight } =
+    await connection.getLatestBlockhash('confirmed');
+
+  const transaction = new Transaction();
+  transaction.recentBlockhash = blockhash;
+  transaction.lastValidBlockHeight = lastValidBlockHeight;
+  transaction.feePayer = sender;
+
+  let createsRecipientAccount = false;
+
+  if (symbol === 'SOL') {
+    // Native SOL transfer
+    console.log(`   Lamports: ${rawAmount}`);
+
+    transaction.add(
+      SystemProgram.transfer({
+        fromPubkey: sender,
+        toPubkey: recipient,
+        lamports: rawAmount,
+      })
+    );
+  } else {
+    // SPL token transfer
+    const mint = new PublicKey(token.mint);
+    const programId = token.programId || TOKEN_PROGRAM_ID;
+    console.log(`   Token amount (raw): ${rawAmount}`);
+
+    // Get sender's token account
+    const senderTokenAccount = await getAssociatedTokenAddress(
+      mint,
+      sender,
+      false,
+      programId,
+      ASSOCIATED_TOKEN_PROGRAM_ID
+    );
+
+    // Check sender has token account
+    const senderAccountInfo = await connection.getAccountInfo(
+      senderTokenAccount
+    );
+    if (!senderAccountInfo) {
+      return {
+        ok: false,
+        status: 400,
+        error: `Sender does not have a ${symbol} token account`,
+      };
+    }
+
+    // Get recipient's token account
+    const recipientTokenAccount = await getAssociatedTokenAddress(
+      mint,
+      recipient,
+      false,
+      programId,
+      ASSOCIATED_TOKEN_PROGRAM_ID
+    );
+
+    // Check if recipient token account exists
+    const recipientAccountInfo = await connection.getAccountInfo(
+      recipientTokenAccount
+    );
+    if (!recipientAccountInfo) {
+      // Create associated token account for recipient
+      console.log('   Creating recipient token account...');
+      createsRecipientAccount = true;
+      transaction.add(
+        createAssociatedTokenAccountInstruction(
+          sender, // payer
+          recipientTokenAccount, // ata
+          recipient, // owner
+          mint, // mint
+          programId,
+          ASSOCIATED_TOKEN_PROGRAM_ID
+        )
+      );
+    }
+
+    // Add transfer instruction (checked: Token-2022 mints with extensions
+    // refuse the plain transfer)
+    transaction.add(
+      createTransferCheckedInstruction(
+        senderTokenAccount,
+        mint,
+        recipientTokenAccount,
+        sender,
+        rawAmount,
+        token.decimals,
+        [],
+        programId
+      )
+    );
+  }
+
+  // Serialize transaction (without signatures)
+  const serialized = transaction.serialize({
+    requireAllSignatures: false,
+    verifySignatures: false,
+  });
+
+  return {
+    ok: true,
+    transaction: serialized.toString('base64'),
+    createsRecipientAccount,
+  };
+}
+
+module.exports = { buildTransferTransaction };
@@ -0,0 +1,94 @@
+// Persistent ledger of consumed payment transactions, keyed by chain.
+// A tx can only ever buy one challenge, no matter which device/wallet asks.
+
+const COLLECTION = 'spentTransactions';
+
+// How long a verification may hold a tx before others can retry it
+// (covers a process dying between reserve and markSpent)
+const RESERVATION_TTL_MS = 2 * 60 * 1000;
+
+/*
+  "<chain>:<txHash>" -> {
+    chain,
+    txHash,
+    status,          'pending' | 'spent'
+    challengeId,
+    deviceId,
+    walletAddress,
+    amount,
+    reservedUntil,   (pending only)
+    spentAt          (spent only)
+  }
+*/
+
+function ledgerKey(chain, txHash) {
+  // EVM hashes are case-insensitive hex, Solana signatures are base58
+  const normalized = chain === 'base' ? txHash.toLowerCase() : txHash;
+  return `${chain}:${normalized}`;
+}
+
+function createSpentTransactionLedger(store) {
+  async function getSpentTransaction(chain, txHash) {
+    const entry = await store.get(COLLECTION, ledgerKey(chain, txHash));
+    return entry && entry.status === 'spent' ? entry : null;
+  }
+
+  /**
+   * Claim a tx before verifying it on-chain. The check-and-set runs as one
+   * store update, so two concurrent verify calls can never both get ok.
+   */
+  async function reserveTransaction(chain, txHash, meta) {
+    let conflict = null;
+    const now = Date.now();
+
+    await store.update(COLLECTION, ledgerKey(chain, txHash), (current) => {
+      if (current && current.status === 'spent') {
+        conflict = { reason: 'spent', entry: current };
+        return undefined;
+      }
+      if (current && new Date(current.reservedUntil).getTime() > now) {
+        conflict = { reason: 'pending', entry: current };
+        return undefined;
+      }
+      return {
+        chain,
+        txHash,
+        status: 'pending',
+        challengeId: meta.challengeId,
+        deviceId: meta.deviceId,
+        walletAddress: meta.walletAddress,
+        reservedUntil: new Date(now + RESERVATION_TTL_MS).toISOString(),
+      };
+    });
+
+    return conflict ? { ok: false, ...conflict } : { ok: true };
+  }
+
+  async function releaseTransaction(chain, txHash) {
+    await store.update(COLLECTION, ledgerKey(chain, txHash), (current) =>
+      current && current.status === 'pending' ? null : undefined
+    );
+  }
+
+  async function markTransactionSpent(chain, txHash, meta) {
+    return store.set(COLLECTION, ledgerKey(chain, txHash), {
+      chain,
+      txHash,
+      status: 'spent',
+      challengeId: meta.challengeId,
+      deviceId: meta.deviceId,
+      walletAddress: meta.walletAddress,
+      amount: meta.amount !== undefined ? meta.amount.toString() : null,
+      spentAt: new Date().toISOString(),
+    });
+  }
+
+  return {
+    getSpentTransaction,
+    reserveTransaction,
+    releaseTransaction,
+    markTransactionSpent,
+  };
+}
+
+module.exports = { createSpentTransactionLedger, ledgerKey };
@@ -0,0 +1,256 @@
+const fs = require('fs');
+const path = require('path');
+
+/*
+  Storage interface shared by every backend. Records live in named
+  collections and must be JSON-serializable (dates as ISO strings).
+  Every method returns a Promise so a networked backend can slot in.
+
+    get(collection, key)              -> value | null
+    set(collection, key, value)       -> value
+    delete(collection, key)           -> removed value | null
+    list(collection)                  -> [value]
+    update(collection, key, updater)  -> value | null
+        updater(current) runs atomically; return the new value,
+        undefined to leave it unchanged, or null to delete it
+    removeWhere(collection, predicate) -> number removed
+*/
+
+const LOCK_RETRY_MS = 10;
+const LOCK_STALE_MS = 10 * 1000;
+
+function clone(value) {
+  return value === undefined || value === null
+    ? null
+    : JSON.parse(JSON.stringify(value));
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Generic collection operations on top of a backing that can read a
+// snapshot of all data and run a mutation atomically.
+function buildStore(backing) {
+  return {
+    driver: backing.driver,
+
+    async get(collection, key) {
+      const data = await backing.read();
+      return clone((data[collection] || {})[key]);
+    },
+
+    async list(collection) {
+      const data = await backing.read();
+      return Object.values(data[collection] || {}).map(clone);
+    },
+
+    async set(collection, key, value) {
+      const stored = clone(value);
+      await backing.mutate((data) => {
+        data[collection] = data[collection] || {};
+        data[collection][key] = stored;
+        return true;
+      });
+      return clone(stored);
+    },
+
+    async delete(collection, key) {
+      let removed = null;
+      await backing.mutate((data) => {
+        const entries = data[collection] || {};
+        if (!(key in entries)) return false;
+        removed = entries[key];
+        delete entries[key];
+        return true;
+      });
+      return clone(removed);
+    },
+
+    async update(collection, key, updater) {
+      let result = null;
+      await backing.mutate((data) => {
+        data[collection] = data[collection] || {};
+        const current = clone(data[collection][key]);
+        const next = updater(current);
+
+        if (next === undefined) {
+          result = current;
+          return false;
+        }
+        if (next === null) {
+          delete data[collection][key];
+          result = null;
+          return true;
+        }
+        data[collection][key] = clone(next);
+        result = clone(next);
+        return true;
+      });
+      return result;
+    },
+
+    async removeWhere(collection, predicate) {
+      let removed = 0;
+      await backing.mutate((data) => {
+        const entries = data[collection] || {};
+        for (const key of Object.keys(entries)) {
+          if (predicate(clone(entries[key]))) {
+            delete entries[key];
+            removed++;
+          }
+        }
+        return removed > 0;
+      });
+      return removed;
+    },
+  };
+}
+
+// ---------- In-memory backend (single process, lost on restart) ----------
+
+function createMemoryStore() {
+  const data = {};
+  return buildStore({
+    driver: 'memory',
+    async read() {
+      return data;
+    },
+    async mutate(fn) {
+      fn(data);
+    },
+  });
+}
+
+// ---------- File backend (durable, shareable between processes) ----------
+
+function createFileStore(filePath) {
+  const lockPath = `${filePath}.lock`;
+  let data = {};
+  let loadedInode = null;
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  // Reload when another process (or a restart) replaced the file. Writes go
+  // through rename, so a new inode means new contents.
+  function refresh() {
+    let stat;
+    try {
+      stat = fs.statSync(filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      data = {};
+      loadedInode = null;
+      return;
+    }
+    if (stat.ino === loadedInode) return;
+    data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    loadedInode = stat.ino;
+  }
+
+  function write() {
+    const tmp = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data));
+    fs.renameSync(tmp, filePath);
+    loadedInode = fs.statSync(filePath).ino;
+  }
+
+  async function acquireLock() {
+    for (;;) {
+      try {
+        const fd = fs.openSync(lockPath, 'wx');
+        fs.closeSync(fd);
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+
+      // Holder crashed mid-write: break the lock
+      try {
+        const { mtimeMs } = fs.statSync(lockPath);
+        if (Date.now() - mtimeMs > LOCK_STALE_MS) {
+          fs.unlinkSync(lockPath);
+          continue;
+        }
+      } catch (error) {
+        if (error.code === 'ENOENT') continue;
+        throw error;
+      }
+
+      await sleep(LOCK_RETRY_MS);
+    }
+  }
+
+  function releaseLock() {
+    try {
+      fs.unlinkSync(lockPath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  refresh();
+
+  return buildStore({
+    driver: 'file',
+    async read() {
+      refresh();
+      return data;
+    },
+    async mutate(fn) {
+      await acquireLock();
+      try {
+        refresh();
+        if (fn(data)) {
+          write();
+        }
+      } finally {
+        releaseLock();
+      }
+    },
+  });
+}
+
+function createStore({ driver = 'file', filePath } = {}) {
+  if (driver === 'memory') {
+    return createMemoryStore();
+  }
+  if (driver === 'file') {
+    if (!filePath) throw new Error('filePath required for file store');
+    return createFileStore(filePath);
+  }
+  throw new Error(`Unknown store driver: ${driver}`);
+}
+
+/**
+ * Periodically drop records that are past their useful life.
+ * sweeps: [{ collection, isExpired(record, now) }]
+ */
+function startSweeper(store, sweeps, intervalMs) {
+  async function sweep() {
+    const now = Date.now();
+    for (const { collection, isExpired } of sweeps) {
+      try {
+        const removed = await store.removeWhere(collection, (record) =>
+          isExpired(record, now)
+        );
+        if (removed > 0) {
+          console.log(`🧹 Swept ${removed} expired ${collection} record(s)`);
+        }
+      } catch (error) {
+        console.error(`❌ Sweep of ${collection} failed:`, error.message);
+      }
+    }
+  }
+
+  const timer = setInterval(sweep, intervalMs);
+  timer.unref();
+  return { sweep, stop: () => clearInterval(timer) };
+}
+
+module.exports = {
+  createStore,
+  createMemoryStore,
+  createFileStore,
+  startSweeper,
+};
@@ -0,0 +1,207 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+/*
+  ES256 signing keys for every token we issue ('signingKeys' collection).
+
+  Tokens carry the signing key's `kid` in their header, and the public
+  halves are published as a JWKS so devices and partners can verify tokens
+  without any shared secret.
+
+  Rotation: a key signs for `rotationIntervalMs`, then a new one takes
+  over. A retired key stays verifiable (and in the JWKS) until the last
+  token it signed has expired, plus `verifyGraceMs`.
+*/
+
+const COLLECTION = 'signingKeys';
+const ALGORITHM = 'ES256';
+
+// How often to look for due rotations and retired keys
+const MAX_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+/*
+  kid -> {
+    kid,
+    alg,
+    privateKeyPem,
+    publicJwk,
+    createdAt,
+    activeUntil,          stops signing after this
+    lastTokenExpiresAt    latest exp of a token it signed
+  }
+*/
+
+function generateKey(rotationIntervalMs) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', {
+    namedCurve: 'P-256',
+  });
+  const now = new Date();
+  return {
+    kid: crypto.randomBytes(8).toString('hex'),
+    alg: ALGORITHM,
+    privateKeyPem: privateKey.export({ format: 'pem', type: 'pkcs8' }),
+    publicJwk: publicKey.export({ format: 'jwk' }),
+    createdAt: now.toISOString(),
+    activeUntil: new Date(now.getTime() + rotationIntervalMs).toISOString(),
+    lastTokenExpiresAt: null,
+  };
+}
+
+function createTokenKeyRing(
+  store,
+  { rotationIntervalMs, verifyGraceMs = 0, legacySecret = null }
+) {
+  // kid -> key record, mirrored from the store
+  let keys = new Map();
+  let timer = null;
+
+  async function load() {
+    const records = await store.list(COLLECTION);
+    keys = new Map(records.map((record) => [record.kid, record]));
+  }
+
+  function newestKey() {
+    let newest = null;
+    for (const key of keys.values()) {
+      if (!newest || key.createdAt > newest.createdAt) newest = key;
+    }
+    return newest;
+  }
+
+  function isRetired(key, now = Date.now()) {
+    const lastValid = Math.max(
+      new Date(key.activeUntil).getTime(),
+      key.lastTokenExpiresAt ? new Date(key.lastTokenExpiresAt).getTime() : 0
+    );
+    return lastValid + verifyGraceMs < now;
+  }
+
+  async function rotate() {
+    const key = generateKey(rotationIntervalMs);
+    await store.set(COLLECTION, key.kid, key);
+    keys.set(key.kid, key);
+    console.log(`🔑 New token signing key ${key.kid}`);
+    return key;
+  }
+
+  async function pruneRetired() {
+    const removed = await store.removeWhere(COLLECTION, (key) =>
+      isRetired(key)
+    );
+    if (removed > 0) {
+      console.log(`🔑 Dropped ${removed} retired signing key(s)`);
+      await load();
+    }
+  }
+
+  async function tick() {
+    await load();
+    const newest = newestKey();
+    if (!newest || new Date(newest.activeUntil).getTime() <= Date.now()) {
+      await rotate();
+    }
+    await pruneRetired();
+  }
+
+  async function start() {
+    await tick();
+    timer = setInterval(() => {
+      tick().catch((error) =>
+        console.error('❌ Signing key rotation failed:', error.message)
+      );
+    }, Math.min(rotationIntervalMs, MAX_CHECK_INTERVAL_MS));
+    timer.unref();
+  }
+
+  function stop() {
+    clearInterval(timer);
+  }
+
+  function noteTokenExpiry(key, exp) {
+    const expiresAt = new Date(exp * 1000).toISOString();
+    if (key.lastTokenExpiresAt && key.lastTokenExpiresAt >= expiresAt) return;
+
+    key.lastTokenExpiresAt = expiresAt;
+    store
+      .update(COLLECTION, key.kid, (current) =>
+        current &&
+        (!current.lastTokenExpiresAt || current.lastTokenExpiresAt < expiresAt)
+          ? { ...current, lastTokenExpiresAt: expiresAt }
+          : undefined
+      )
+      .catch((error) =>
+        console.error('❌ Could not record key usage:', error.message)
+      );
+  }
+
+  /**
+   * Sign a payload (which must carry exp) with the newest key. A key past
+   * activeUntil keeps signing until the next check rotates it.
+   */
+  function sign(payload) {
+    const key = newestKey();
+    if (!key) {
+      throw new Error('Token signing keys are not loaded');
+    }
+
+    const token = jwt.sign(payload, key.privateKeyPem, {
+      algorithm: key.alg,
+      keyid: key.kid,
+    });
+    noteTokenExpiry(key, payload.exp);
+    return token;
+  }
+
+  /**
+   * Verify a token against the key named by its kid. Rejects like
+   * jwt.verify. HS256 tokens are accepted only while `legacySecret` is set.
+   */
+  async function verify(token, options = {}) {
+    const decoded = jwt.decode(token, { complete: true });
+    if (!decoded) {
+      throw new jwt.JsonWebTokenError('jwt malformed');
+    }
+
+    const { alg, kid } = decoded.header;
+    if (alg === 'HS256' && legacySecret) {
+      return jwt.verify(token, legacySecret, {
+        ...options,
+        algorithms: ['HS256'],
+      });
+    }
+
+    // Another process may have rotated since we last loaded
+    if (kid && !keys.has(kid)) await load();
+    const key = kid && keys.get(kid);
+    if (!key || isRetired(key)) {
+      throw new jwt.JsonWebTokenError('Unknown or retired signing key');
+    }
+
+    return jwt.verify(
+      token,
+      crypto.createPublicKey({ key: key.publicJwk, format: 'jwk' }),
+      { ...options, algorithms: [key.alg] }
+    );
+  }
+
+  /**
+   * Public keys for /.well-known/jwks.json
+   */
+  function getJwks() {
+    return {
+      keys: [...keys.values()]
+        .filter((key) => !isRetired(key))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .map((key) => ({
+          ...key.publicJwk,
+          kid: key.kid,
+          alg: key.alg,
+          use: 'sig',
+        })),
+    };
+  }
+
+  return { start, stop, rotate, sign, verify, getJwks };
+}
+
+module.exports = { createTokenKeyRing };
@@ -0,0 +1,350 @@
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+
+/*
+  Outbound webhooks.
+
+  Subscriptions ('webhookSubscriptions') name a URL and the event types it
+  wants ('*' for all). Every matching event becomes a delivery
+  ('webhookDeliveries'), POSTed as the event JSON with headers
+
+    X-Webhook-Id          delivery id (a replay gets a new one)
+    X-Webhook-Event       event type
+    X-Webhook-Timestamp   unix seconds
+    X-Webhook-Signature   t=<timestamp>,v1=<hex HMAC-SHA256 of "<timestamp>.<body>">
+
+  keyed with the subscription's secret. Receivers should dedupe on the
+  body's eventId. Non-2xx answers are retried with exponential backoff
+  until maxAttempts, and pending deliveries survive a restart.
+*/
+
+const SUBSCRIPTIONS = 'webhookSubscriptions';
+const DELIVERIES = 'webhookDeliveries';
+
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+// Longest wait between two attempts
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000;
+
+/*
+  subscriptionId -> { subscriptionId, url, events, description, secret, createdAt }
+
+  deliveryId -> {
+    deliveryId,
+    subscriptionId,
+    url,
+    eventId,
+    type,
+    event,           the body that is sent
+    status,          'pending' | 'delivered' | 'failed'
+    attempts,
+    nextAttemptAt,
+    lastStatusCode,
+    lastError,
+    replayOf,        deliveryId this one replays
+    createdAt,
+    deliveredAt
+  }
+*/
+
+function signPayload(secret, timestamp, body) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+}
+
+/**
+ * Validate a subscription body against the known event types.
+ * Returns a list of error messages.
+ */
+function validateSubscription(input, eventTypes) {
+  const errors = [];
+
+  let url = null;
+  try {
+    url = new URL(input.url);
+  } catch (e) {
+    // reported below
+  }
+  if (!url || !['http:', 'https:'].includes(url.protocol)) {
+    errors.push('url must be an http(s) URL');
+  }
+
+  if (!Array.isArray(input.events) || input.events.length === 0) {
+    errors.push('events must be a non-empty array');
+  } else {
+    const unknown = input.events.filter(
+      (type) => type !== '*' && !eventTypes.includes(type)
+    );
+    if (unknown.length > 0) {
+      errors.push(
+        `unknown events: ${unknown.join(', ')} (known: ${eventTypes.join(
+          ', '
+        )}, or '*')`
+      );
+    }
+  }
+
+  return errors;
+}
+
+function toPublicSubscription(subscription) {
+  const { secret, ...publicFields } = subscription;
+  return publicFields;
+}
+
+function createWebhookDispatcher(
+  store,
+  { maxAttempts = 8, retryBaseMs = 10 * 1000, scanIntervalMs = 5 * 1000 }
+) {
+  // deliveryIds being POSTed by this process
+  const inFlight = new Set();
+  let timer = null;
+
+  async function createSubscription({ url, events, description }) {
+    const subscription = {
+      subscriptionId: crypto.randomBytes(8).toString('hex'),
+      url,
+      events,
+      description: description || null,
+      secret: `whsec_${crypto.randomBytes(24).toString('hex')}`,
+      createdAt: new Date().toISOString(),
+    };
+    await store.set(SUBSCRIPTIONS, subscription.subscriptionId, subscription);
+    return subscription;
+  }
+
+  async function listSubscriptions() {
+    const subscriptions = await store.list(SUBSCRIPTIONS);
+    return subscriptions.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  async function getSubscription(subscriptionId) {
+    return store.get(SUBSCRIPTIONS, subscriptionId);
+  }
+
+  async function deleteSubscription(subscriptionId) {
+    return store.delete(SUBSCRIPTIONS, subscriptionId);
+  }
+
+  async function getDelivery(deliveryId) {
+    return store.get(DELIVERIES, deliveryId);
+  }
+
+  async function listDeliveries({ subscriptionId, status, type } = {}) {
+    const deliveries = await store.list(DELIVERIES);
+    return deliveries
+      .filter(
+        (delivery) =>
+          (!subscriptionId || delivery.subscriptionId === subscriptionId) &&
+          (!status || delivery.status === status) &&
+          (!type || delivery.type === type)
+      )
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  async function createDelivery(subscription, event, replayOf = null) {
+    const now = new Date().toISOString();
+    const delivery = {
+      deliveryId: crypto.randomBytes(12).toString('hex'),
+      subscriptionId: subscription.subscriptionId,
+      url: subscription.url,
+      eventId: event.eventId,
+      type: event.type,
+      event,
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: now,
+      lastStatusCode: null,
+      lastError: null,
+      replayOf,
+      createdAt: now,
+      deliveredAt: null,
+    };
+    await store.set(DELIVERIES, delivery.deliveryId, delivery);
+    attemptSoon(delivery.deliveryId);
+    return delivery;
+  }
+
+  function attemptSoon(deliveryId) {
+    attempt(deliveryId).catch((error) =>
+      console.error(`❌ Webhook delivery ${deliveryId}:`, error.message)
+    );
+  }
+
+  /**
+   * Queue an event for every subscription that wants it
+   */
+  async function enqueue(event) {
+    const subscriptions = await listSubscriptions();
+    for (const subscription of subscriptions) {
+      if (
+        subscription.events.includes('*') ||
+        subscription.events.includes(event.type)
+      ) {
+        await createDelivery(subscription, event);
+      }
+    }
+  }
+
+  /**
+   * Send a delivery again, as a new delivery of the same event
+   */
+  async function replayDelivery(deliveryId) {
+    const original = await getDelivery(deliveryId);
+    if (!original) return null;
+
+    const subscription = await getSubscription(original.subscriptionId);
+    if (!subscription) return null;
+
+    return createDelivery(subscription, original.event, deliveryId);
+  }
+
+  async function post(subscription, delivery) {
+    const body = JSON.stringify(delivery.event);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const signature = signPayload(subscription.secret, timestamp, body);
+
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), DELIVERY_TIMEOUT_MS);
+    try {
+      const response = await fetch(subscription.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'TSE-X-Webhooks/1.0',
+          'X-Webhook-Id': delivery.deliveryId,
+          'X-Webhook-Event': delivery.type,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': `t=${timestamp},v1=${signature}`,
+        },
+        body,
+        signal: controller.signal,
+      });
+      return response.ok
+        ? { ok: true, statusCode: response.status }
+        : {
+            ok: false,
+            statusCode: response.status,
+            error: `HTTP ${response.status}`,
+          };
+    } catch (error) {
+      return { ok: false, statusCode: null, error: error.message };
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+
+  async function attempt(deliveryId) {
+    if (inFlight.has(deliveryId)) return;
+    inFlight.add(deliveryId);
+
+    try {
+      // Lease the delivery so a scan (here or in another process) skips it
+      // while this attempt runs
+      const now = Date.now();
+      let claimed = false;
+      const delivery = await store.update(DELIVERIES, deliveryId, (current) => {
+        if (
+          !current ||
+          current.status !== 'pending' ||
+          new Date(current.nextAttemptAt).getTime() > now
+        ) {
+          return undefined;
+        }
+        claimed = true;
+        return {
+          ...current,
+          nextAttemptAt: new Date(now + 2 * DELIVERY_TIMEOUT_MS).toISOString(),
+        };
+      });
+      if (!claimed) return;
+
+      const subscription = await getSubscription(delivery.subscriptionId);
+      const result = subscription
+        ? await post(subscription, delivery)
+        : { ok: false, statusCode: null, error: 'Subscription deleted' };
+
+      const attempts = delivery.attempts + 1;
+      const giveUp = !subscription || attempts >= maxAttempts;
+      const retryDelay = Math.min(
+        retryBaseMs * 2 ** (attempts - 1),
+        MAX_RETRY_DELAY_MS
+      );
+
+      await store.update(DELIVERIES, deliveryId, (current) => {
+        if (!current) return undefined;
+        const finishedAt = new Date().toISOString();
+        return {
+          ...current,
+          attempts,
+          lastStatusCode: result.statusCode,
+          lastError: result.ok ? null : result.error,
+          status: result.ok ? 'delivered' : giveUp ? 'failed' : 'pending',
+          nextAttemptAt:
+            result.ok || giveUp
+              ? null
+              : new Date(Date.now() + retryDelay).toISOString(),
+          deliveredAt: result.ok ? finishedAt : null,
+        };
+      });
+
+      if (result.ok) {
+        console.log(`📨 Webhook ${delivery.type} → ${delivery.url}`);
+      } else {
+        console.log(
+          `⚠️  Webhook ${delivery.type} → ${delivery.url} failed (${
+            result.error
+          }), ${giveUp ? 'giving up' : `attempt ${attempts}/${maxAttempts}`}`
+        );
+      }
+    } finally {
+      inFlight.delete(deliveryId);
+    }
+  }
+
+  async function scan() {
+    const now = Date.now();
+    const due = (await store.list(DELIVERIES)).filter(
+      (delivery) =>
+        delivery.status === 'pending' &&
+        new Date(delivery.nextAttemptAt).getTime() <= now
+    );
+    for (const delivery of due) {
+      await attempt(delivery.deliveryId);
+    }
+  }
+
+  function start() {
+    timer = setInterval(() => {
+      scan().catch((error) =>
+        console.error('❌ Webhook retry scan failed:', error.message)
+      );
+    }, scanIntervalMs);
+    timer.unref();
+  }
+
+  function stop() {
+    clearInterval(timer);
+  }
+
+  return {
+    start,
+    stop,
+    enqueue,
+    createSubscription,
+    listSubscriptions,
+    getSubscription,
+    deleteSubscription,
+    getDelivery,
+    listDeliveries,
+    replayDelivery,
+  };
+}
+
+module.exports = {
+  createWebhookDispatcher,
+  validateSubscription,
+  toPublicSubscription,
+  signPayload,
+};
@@ -0,0 +1,167 @@
+const fetch = require('node-fetch');
+
+/*
+  x402 HTTP handshake as Express middleware.
+
+    1. Unauthenticated request -> 402 { x402Version, error, accepts: [PaymentRequirements] }
+    2. Client retries with X-PAYMENT: base64(JSON PaymentPayload)
+         { x402Version, scheme, network, payload }
+    3. Payment settles -> request continues with
+         X-PAYMENT-RESPONSE: base64(JSON { success, transaction, network, payer })
+
+  The middleware only speaks the protocol; the app supplies:
+
+    authenticate(req)                  -> { ok: true } to let an already
+                                          authorized request through, or
+                                          { ok: false, error }
+    getRequirements(req)               -> [PaymentRequirements]
+    settle(req, paymentPayload, requirements)
+                                       -> { success: true, transaction, network,
+                                            payer, extra? }
+                                        | { success: false, errorReason }
+
+  `extra` from a successful settlement is merged into X-PAYMENT-RESPONSE.
+*/
+
+const X402_VERSION = 1;
+
+const FACILITATOR_TIMEOUT_MS = 30 * 1000;
+
+function encodeHeader(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64');
+}
+
+function decodePaymentHeader(header) {
+  try {
+    const decoded = JSON.parse(Buffer.from(header, 'base64').toString('utf8'));
+    if (!decoded || typeof decoded !== 'object') return null;
+    return decoded;
+  } catch (e) {
+    return null;
+  }
+}
+
+function createX402Paywall({ authenticate, getRequirements, settle }) {
+  async function sendPaymentRequired(req, res, error) {
+    const accepts = await getRequirements(req);
+    return res.status(402).json({
+      x402Version: X402_VERSION,
+      error,
+      accepts,
+    });
+  }
+
+  return async function x402Paywall(req, res, next) {
+    try {
+      const paymentHeader = req.headers['x-payment'];
+
+      if (!paymentHeader) {
+        const auth = await authenticate(req);
+        if (auth.ok) return next();
+        return sendPaymentRequired(
+          req,
+          res,
+          auth.error || 'X-PAYMENT header is required'
+        );
+      }
+
+      const paymentPayload = decodePaymentHeader(paymentHeader);
+      if (
+        !paymentPayload ||
+        paymentPayload.x402Version !== X402_VERSION ||
+        !paymentPayload.scheme ||
+        !paymentPayload.network ||
+        !paymentPayload.payload
+      ) {
+        return sendPaymentRequired(req, res, 'Malformed X-PAYMENT header');
+      }
+
+      const accepts = await getRequirements(req);
+      const requirements = accepts.find(
+        (option) =>
+          option.scheme === paymentPayload.scheme &&
+          option.network === paymentPayload.network
+      );
+      if (!requirements) {
+        return res.status(402).json({
+          x402Version: X402_VERSION,
+          error: `No accepted payment for ${paymentPayload.scheme} on ${paymentPayload.network}`,
+          accepts,
+        });
+      }
+
+      const settlement = await settle(req, paymentPayload, requirements);
+      if (!settlement.success) {
+        return res.status(402).json({
+          x402Version: X402_VERSION,
+          error: settlement.errorReason || 'Payment could not be settled',
+          accepts,
+        });
+      }
+
+      res.setHeader(
+        'X-PAYMENT-RESPONSE',
+        encodeHeader({
+          success: true,
+          transaction: settlement.transaction,
+          network: settlement.network,
+          payer: settlement.payer,
+          ...(settlement.extra || {}),
+        })
+      );
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+/**
+ * Client for an x402 facilitator (/verify and /settle).
+ */
+function createFacilitatorClient(baseUrl) {
+  async function call(path, paymentPayload, paymentRequirements) {
+    const controller = new AbortController();
+    const timeout = setTimeout(
+      () => controller.abort(),
+      FACILITATOR_TIMEOUT_MS
+    );
+    try {
+      const response = await fetch(`${baseUrl.replace(/\/$/, '')}${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          x402Version: X402_VERSION,
+          paymentPayload,
+          paymentRequirements,
+        }),
+        signal: controller.signal,
+      });
+      const body = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(
+          body.error || body.errorReason || `Facilitator HTTP ${response.status}`
+        );
+      }
+      return body;
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+
+  return {
+    // -> { isValid, invalidReason, payer }
+    verify: (paymentPayload, paymentRequirements) =>
+      call('/verify', paymentPayload, paymentRequirements),
+    // -> { success, errorReason, transaction, network, payer }
+    settle: (paymentPayload, paymentRequirements) =>
+      call('/settle', paymentPayload, paymentRequirements),
+  };
+}
+
+module.exports = {
+  createX402Paywall,
+  createFacilitatorClient,
+  decodePaymentHeader,
+  X402_VERSION,
+};